@@ -7,7 +7,7 @@ CREATE TABLE IF NOT EXISTS guilds (
     guild_id VARCHAR(20) UNIQUE NOT NULL,
     guild_name TEXT NOT NULL,
     welcome_channel_id VARCHAR(20),
-    welcome_message TEXT DEFAULT 'Welcome to {guild}, {user}! 🎉',
+    welcome_message TEXT, -- NULL uses the default message in the guild's language
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -114,9 +114,13 @@ CREATE TABLE IF NOT EXISTS message_tracking (
     channel_id VARCHAR(20) NOT NULL,
     user_id VARCHAR(20) NOT NULL,
     posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    content TEXT, -- original content, used when the edited message is not cached
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Add content column to message_tracking tables created before it existed
+ALTER TABLE message_tracking ADD COLUMN IF NOT EXISTS content TEXT;
+
 -- Create indexes for the message tracking table
 CREATE INDEX IF NOT EXISTS idx_message_tracking_message_id ON message_tracking(message_id);
 CREATE INDEX IF NOT EXISTS idx_message_tracking_guild_id ON message_tracking(guild_id);
@@ -136,4 +140,250 @@ BEGIN
     DELETE FROM message_tracking 
     WHERE posted_at < NOW() - INTERVAL '24 hours';
 END;
-$$ LANGUAGE plpgsql; 
\ No newline at end of file
+$$ LANGUAGE plpgsql; 
+-- Create link_policies table for per-guild link editing rules
+CREATE TABLE IF NOT EXISTS link_policies (
+    id BIGSERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) UNIQUE NOT NULL,
+    grace_period_minutes INTEGER DEFAULT 10,
+    action VARCHAR(20) DEFAULT 'delete', -- 'delete', 'warn' or 'log'
+    exempt_moderators BOOLEAN DEFAULT true,
+    exempt_channel_ids TEXT[] DEFAULT '{}',
+    trusted_role_ids TEXT[] DEFAULT '{}',
+    track_all_messages BOOLEAN DEFAULT false, -- track every message, not just ones with links
+    allowed_domains TEXT[] DEFAULT '{}', -- links to these domains may always be edited in
+    blocked_domains TEXT[] DEFAULT '{}', -- links to these domains are never allowed, even in the grace period
+    escalation_window_days INTEGER DEFAULT 30, -- rolling window for counting repeat violations
+    escalation_steps JSONB DEFAULT '[]', -- e.g. [{"violations": 3, "action": "timeout", "duration_minutes": 60}]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index for the link policies table
+CREATE INDEX IF NOT EXISTS idx_link_policies_guild_id ON link_policies(guild_id);
+
+-- Enable RLS for the new table
+ALTER TABLE link_policies ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for the new table
+CREATE POLICY "Allow authenticated users to manage link policies" ON link_policies
+    FOR ALL USING (auth.role() = 'authenticated');
+
+-- Keep updated_at current on link policy changes
+CREATE TRIGGER update_link_policies_updated_at
+    BEFORE UPDATE ON link_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add mod-log channel to guild settings (moderation events are mirrored there)
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS mod_log_channel_id VARCHAR(20);
+
+-- Create link_edit_escalations table for auditing sanctions against repeat offenders
+CREATE TABLE IF NOT EXISTS link_edit_escalations (
+    id BIGSERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) NOT NULL,
+    user_id VARCHAR(20) NOT NULL,
+    username TEXT NOT NULL,
+    violation_count INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL, -- 'warn', 'timeout' or 'kick'
+    duration_minutes INTEGER, -- timeout length
+    succeeded BOOLEAN DEFAULT true,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the escalations table
+CREATE INDEX IF NOT EXISTS idx_link_escalations_guild_id ON link_edit_escalations(guild_id);
+CREATE INDEX IF NOT EXISTS idx_link_escalations_user_id ON link_edit_escalations(user_id);
+
+-- Enable RLS for the new table
+ALTER TABLE link_edit_escalations ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for the new table
+CREATE POLICY "Allow authenticated users to manage link escalations" ON link_edit_escalations
+    FOR ALL USING (auth.role() = 'authenticated');
+
+-- Add welcome DM settings to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS dm_enabled BOOLEAN DEFAULT true;
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS dm_message TEXT; -- NULL uses the bot's default DM
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS dm_format VARCHAR(10) DEFAULT 'text'; -- 'text' or 'embed'
+
+-- Example: the ACW welcome DM (replace the guild ID with your server's ID)
+-- UPDATE guilds SET dm_message = E'We just wanted to thank you for joining our server.\n\nWe created this space to actually offer support that feels real, not surface-level stuff, but the kind of help that makes a difference when you’re building something from scratch or trying to figure out your next move.\n\nACW (A Conversation Worldwide) exists to make starting (and continuing) less lonely and more doable. That’s the heart of it.\n\nHere’s what we promise to hold ourselves to:\n\n• We’ll always be honest, not performative.\n\n• We’ll keep things simple and clear.\n\n• We’ll keep this a space where new conversations can thrive.\n\nThis server is a place to share progress, get feedback, meet others who get it, and just feel a little more seen in the process. No pressure to be perfect here.\n\nWe’re glad you’re with us.\n\nIf you ever need anything, just shoot a message.\n\nBecause anything is possible with the right support.\n\n— The ACW Team'
+-- WHERE guild_id = 'your_acw_guild_id';
+
+-- Add welcome post layout to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS welcome_format VARCHAR(10) DEFAULT 'embed'; -- 'embed', 'text' or 'both'
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS welcome_embed JSONB; -- overrides of the default embed spec, NULL uses the default
+
+-- Add welcome card settings to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS welcome_card_enabled BOOLEAN DEFAULT false;
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS welcome_card JSONB; -- overrides of the default card background and colors, NULL uses the default
+
+-- Add join role settings to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS auto_role_ids TEXT[] DEFAULT '{}';
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS delayed_role_id VARCHAR(20); -- NULL turns the delayed role off
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS delayed_role_trigger VARCHAR(10) DEFAULT 'timer'; -- 'timer' or 'screening'
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS delayed_role_minutes INTEGER DEFAULT 10;
+
+-- Add goodbye message settings to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS goodbye_enabled BOOLEAN DEFAULT false;
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS goodbye_channel_id VARCHAR(20); -- NULL uses the welcome channel
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS goodbye_message TEXT; -- NULL uses the bot's default goodbye
+
+-- Create member_leaves table for logging when members leave servers
+CREATE TABLE IF NOT EXISTS member_leaves (
+    id BIGSERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) NOT NULL,
+    user_id VARCHAR(20) NOT NULL,
+    username TEXT NOT NULL,
+    joined_at TIMESTAMP WITH TIME ZONE, -- from the latest member_joins row, NULL if unknown
+    left_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    time_in_server_seconds BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the leaves table
+CREATE INDEX IF NOT EXISTS idx_member_leaves_guild_id ON member_leaves(guild_id);
+CREATE INDEX IF NOT EXISTS idx_member_leaves_user_id ON member_leaves(user_id);
+CREATE INDEX IF NOT EXISTS idx_member_leaves_left_at ON member_leaves(left_at);
+
+-- Enable RLS for the new table
+ALTER TABLE member_leaves ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for the new table
+CREATE POLICY "Allow authenticated users to manage member leaves" ON member_leaves
+    FOR ALL USING (auth.role() = 'authenticated');
+
+-- Add raid protection settings to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS raid_protection_enabled BOOLEAN DEFAULT false;
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS raid_protection JSONB; -- overrides of the default thresholds and action, NULL uses the defaults
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lockdown_until TIMESTAMP WITH TIME ZONE; -- set while the guild is in raid lockdown
+
+-- Add new member screening settings to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS screening_enabled BOOLEAN DEFAULT false;
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS screening JSONB; -- overrides of the default thresholds, quarantine role and name blocklist, NULL uses the defaults
+
+-- Create announcements table for per-guild announcement posts
+CREATE TABLE IF NOT EXISTS announcements (
+    id BIGSERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) NOT NULL,
+    name VARCHAR(32) NOT NULL, -- short key used in commands, e.g. 'rules'
+    channel_id VARCHAR(20), -- NULL looks the channel up by channel_name
+    channel_name TEXT, -- fallback when the channel ID is unknown or the channel was recreated
+    title TEXT NOT NULL,
+    body TEXT NOT NULL, -- template, supports {channel:name} and the other placeholders
+    banner_url TEXT, -- image posted above the embed, NULL for none
+    color VARCHAR(7) DEFAULT '#7289DA',
+    enabled BOOLEAN DEFAULT true, -- posted on startup when true
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (guild_id, name)
+);
+
+-- Create index for the announcements table
+CREATE INDEX IF NOT EXISTS idx_announcements_guild_id ON announcements(guild_id);
+
+-- Enable RLS for the new table
+ALTER TABLE announcements ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for the new table
+CREATE POLICY "Allow authenticated users to manage announcements" ON announcements
+    FOR ALL USING (auth.role() = 'authenticated');
+
+-- Keep updated_at current on announcement changes
+CREATE TRIGGER update_announcements_updated_at
+    BEFORE UPDATE ON announcements
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Track the message each announcement was posted as, so changes edit it in place
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS message_id VARCHAR(20);
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS posted_channel_id VARCHAR(20);
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64); -- SHA-256 of the posted title, body, banner and color
+ALTER TABLE announcements ADD COLUMN IF NOT EXISTS posted_at TIMESTAMP WITH TIME ZONE;
+
+-- Create scheduled_announcements table for one-off and recurring announcement posts
+CREATE TABLE IF NOT EXISTS scheduled_announcements (
+    id BIGSERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) NOT NULL,
+    announcement_name VARCHAR(32) NOT NULL,
+    next_run_at TIMESTAMP WITH TIME ZONE, -- NULL once a one-off post has run
+    recurrence VARCHAR(100), -- cron expression in UTC, NULL for a one-off post
+    catch_up VARCHAR(10) NOT NULL DEFAULT 'once', -- runs missed while offline: 'once' posts once, 'skip' drops them
+    paused BOOLEAN NOT NULL DEFAULT false,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20), -- 'posted', 'skipped', 'no_channel' or 'failed'
+    created_by VARCHAR(20), -- Discord user ID of the moderator who scheduled it
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (guild_id, announcement_name) REFERENCES announcements(guild_id, name) ON DELETE CASCADE
+);
+
+-- Create indexes for the scheduled_announcements table
+CREATE INDEX IF NOT EXISTS idx_scheduled_announcements_guild_id ON scheduled_announcements(guild_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_announcements_next_run_at ON scheduled_announcements(next_run_at) WHERE NOT paused;
+
+-- Enable RLS for the new table
+ALTER TABLE scheduled_announcements ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for the new table
+CREATE POLICY "Allow authenticated users to manage scheduled announcements" ON scheduled_announcements
+    FOR ALL USING (auth.role() = 'authenticated');
+
+-- Keep updated_at current on schedule changes
+CREATE TRIGGER update_scheduled_announcements_updated_at
+    BEFORE UPDATE ON scheduled_announcements
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Invite tracking: the invite each member joined with, when it could be worked out
+ALTER TABLE member_joins ADD COLUMN IF NOT EXISTS invite_code VARCHAR(32); -- invite or vanity URL code
+ALTER TABLE member_joins ADD COLUMN IF NOT EXISTS inviter_id VARCHAR(20); -- creator of the invite, NULL for the vanity URL
+
+CREATE INDEX IF NOT EXISTS idx_member_joins_guild_inviter ON member_joins(guild_id, inviter_id);
+
+-- Create role_panels table for self-assign role messages
+CREATE TABLE IF NOT EXISTS role_panels (
+    id BIGSERIAL PRIMARY KEY,
+    guild_id VARCHAR(20) NOT NULL,
+    name VARCHAR(32) NOT NULL, -- short key used in commands, e.g. 'cities'
+    channel_id VARCHAR(20), -- NULL looks the channel up by channel_name
+    channel_name TEXT,
+    message_id VARCHAR(20), -- the posted panel, NULL until posted
+    posted_channel_id VARCHAR(20), -- channel the panel was posted in
+    title TEXT, -- NULL uses the default title
+    description TEXT,
+    color VARCHAR(7),
+    style VARCHAR(10) NOT NULL DEFAULT 'buttons', -- 'buttons', 'select' or 'reactions'
+    mode VARCHAR(10) NOT NULL DEFAULT 'multi', -- 'multi' or 'single' (picking a role removes the others)
+    options JSONB NOT NULL DEFAULT '[]', -- [{ "role_id", "label", "emoji", "description" }]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (guild_id, name)
+);
+
+-- Create indexes for the role_panels table
+CREATE INDEX IF NOT EXISTS idx_role_panels_guild_id ON role_panels(guild_id);
+CREATE INDEX IF NOT EXISTS idx_role_panels_message_id ON role_panels(message_id);
+
+-- Enable RLS for the new table
+ALTER TABLE role_panels ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for the new table
+CREATE POLICY "Allow authenticated users to manage role panels" ON role_panels
+    FOR ALL USING (auth.role() = 'authenticated');
+
+-- Keep updated_at current on role panel changes
+CREATE TRIGGER update_role_panels_updated_at
+    BEFORE UPDATE ON role_panels
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add verification gate settings to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS verification_enabled BOOLEAN DEFAULT false;
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS verification JSONB; -- overrides of the unverified role, challenge, kick timeout and verification message, NULL uses the defaults
+
+-- Add the language used for member-facing messages to guild settings
+ALTER TABLE guilds ADD COLUMN IF NOT EXISTS locale VARCHAR(10); -- e.g. es, NULL follows the server's Discord language
+ALTER TABLE guilds ALTER COLUMN welcome_message DROP DEFAULT;
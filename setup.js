@@ -29,11 +29,19 @@ require('dotenv').config();
 
 console.log('✅ .env file found');
 
+// Storage backend (supabase, json or memory) - only Supabase needs credentials
+const databaseBackend = (process.env.DATABASE_BACKEND || 'supabase').toLowerCase();
+const usesSupabase = databaseBackend === 'supabase';
+
+console.log(`✅ Storage backend: ${databaseBackend}`);
+
 // Check required environment variables
 const requiredVars = {
     'DISCORD_BOT_TOKEN': process.env.DISCORD_BOT_TOKEN,
-    'SUPABASE_URL': process.env.SUPABASE_URL,
-    'SUPABASE_ANON_KEY': process.env.SUPABASE_ANON_KEY
+    ...(usesSupabase && {
+        'SUPABASE_URL': process.env.SUPABASE_URL,
+        'SUPABASE_ANON_KEY': process.env.SUPABASE_ANON_KEY
+    })
 };
 
 let missingVars = [];
@@ -165,7 +173,7 @@ async function runSetup() {
     if (!checkNodeVersion()) allPassed = false;
     if (!checkDependencies()) allPassed = false;
     if (!testDiscordToken()) allPassed = false;
-    if (!(await testSupabase())) allPassed = false;
+    if (usesSupabase && !(await testSupabase())) allPassed = false;
     
     console.log('\n' + '='.repeat(50));
     
@@ -0,0 +1,339 @@
+const {
+    SlashCommandBuilder, EmbedBuilder, ChannelType, MessageFlags,
+    ModalBuilder, ActionRowBuilder, TextInputBuilder, TextInputStyle
+} = require('discord.js');
+const { getAnnouncements, getAnnouncement, upsertAnnouncement, deleteAnnouncement } = require('../database');
+const {
+    DEFAULT_ANNOUNCEMENT_COLOR,
+    getAnnouncementSeeds,
+    resolveAnnouncementChannel,
+    buildAnnouncementMessage,
+    syncAnnouncement,
+    syncGuildAnnouncements,
+    importAnnouncementSeed
+} = require('../utils/announcement');
+const { importRolePanelSeed } = require('../utils/rolePanels');
+const { isChannelSuitable } = require('../utils/helpers');
+const { getGuildLocale, t } = require('../utils/i18n');
+const { ensureModerator, parseColor, rejectInvalidTemplate } = require('./commandUtils');
+
+const NAME_REGEX = /^[a-z0-9-]{1,32}$/;
+
+/**
+ * Add the required announcement name option
+ * @param {SlashCommandSubcommandBuilder} sub - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} The subcommand
+ */
+function addNameOption(sub) {
+    return sub.addStringOption(option => option
+        .setName('name')
+        .setDescription('Announcement name')
+        .setMaxLength(32)
+        .setRequired(true));
+}
+
+const data = new SlashCommandBuilder()
+    .setName('announce')
+    .setDescription('Manage server announcements')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('list')
+        .setDescription('List this server\'s announcements'))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('create')
+        .setDescription('Create an announcement (opens a form for the text)'))
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel to post it in')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(true)))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('edit')
+        .setDescription('Edit an announcement (opens a form for the text)'))
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Move it to another channel')
+            .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('toggle')
+        .setDescription('Turn posting an announcement on startup on or off'))
+        .addBooleanOption(option => option
+            .setName('enabled')
+            .setDescription('Leave empty to flip the current state')))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('preview')
+        .setDescription('Preview an announcement')))
+    .addSubcommand(sub => sub
+        .setName('sync')
+        .setDescription('Post, edit or repost announcements so they match what\'s stored')
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('Only this announcement (default: all enabled ones without a schedule)')
+            .setMaxLength(32)))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('delete')
+        .setDescription('Delete an announcement and its schedules (posted messages stay)')))
+    .addSubcommand(sub => sub
+        .setName('import')
+        .setDescription('Import a set of announcements shipped with the bot')
+        .addStringOption(option => option
+            .setName('set')
+            .setDescription('Announcement set')
+            .setRequired(true)
+            .addChoices(...Object.entries(getAnnouncementSeeds()).map(([value, seed]) => ({
+                name: `${value} — ${seed.description}`.slice(0, 100),
+                value
+            })))));
+
+/**
+ * Build the form for an announcement's text
+ * @param {string} name - Announcement name
+ * @param {string|null} channelId - Target channel ID, or null to keep the stored one
+ * @param {Object|null} announcement - Existing announcement to prefill
+ * @param {string} locale - The guild's language
+ * @returns {ModalBuilder} Modal
+ */
+function buildAnnouncementModal(name, channelId, announcement, locale) {
+    const input = (id, label, style, maxLength, value, required) => {
+        const field = new TextInputBuilder()
+            .setCustomId(id)
+            .setLabel(label)
+            .setStyle(style)
+            .setMaxLength(maxLength)
+            .setRequired(required);
+        if (value) field.setValue(value);
+        return new ActionRowBuilder().addComponents(field);
+    };
+
+    return new ModalBuilder()
+        .setCustomId(`announce:save:${name}:${channelId || '-'}`)
+        .setTitle(t(locale, 'commands.announce.modal_title', { name }))
+        .addComponents(
+            input('title', t(locale, 'commands.announce.modal_field_title'), TextInputStyle.Short, 256, announcement?.title, true),
+            input('body', t(locale, 'commands.announce.modal_body'), TextInputStyle.Paragraph, 4000, announcement?.body, true),
+            input('banner', t(locale, 'commands.announce.modal_banner'), TextInputStyle.Short, 500, announcement?.banner_url, false),
+            input('color', t(locale, 'commands.announce.modal_color'), TextInputStyle.Short, 7, announcement?.color, false)
+        );
+}
+
+const subcommandHandlers = {
+    'list': async (interaction, name, announcement, locale) => {
+        const announcements = await getAnnouncements(interaction.guild.id);
+
+        if (!announcements) {
+            await interaction.reply({ content: t(locale, 'commands.announce.load_failed'), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const lines = announcements.map(announcement => {
+            const channel = resolveAnnouncementChannel(interaction.guild, announcement);
+            const where = channel
+                ? `${channel}`
+                : t(locale, 'common.channel_missing', { channel: announcement.channel_name || t(locale, 'common.unknown_channel') });
+            return `${announcement.enabled === false ? '⏸️' : '📢'} \`${announcement.name}\` — ${announcement.title} → ${where}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor(DEFAULT_ANNOUNCEMENT_COLOR)
+            .setTitle(t(locale, 'commands.announce.list_title', { guild: interaction.guild.name }))
+            .setDescription(lines.join('\n') || t(locale, 'commands.announce.list_empty'))
+            .setFooter({ text: t(locale, 'commands.announce.list_footer') });
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    },
+
+    'create': async (interaction, name, announcement, locale) => {
+        const channel = interaction.options.getChannel('channel', true);
+
+        if (!isChannelSuitable(channel, interaction.guild.members.me)) {
+            await interaction.reply({ content: t(locale, 'common.cannot_send', { channel: `${channel}` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (await getAnnouncement(interaction.guild.id, name)) {
+            await interaction.reply({ content: t(locale, 'commands.announce.exists', { name: `\`${name}\`` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.showModal(buildAnnouncementModal(name, channel.id, null, locale));
+    },
+
+    'edit': async (interaction, name, announcement, locale) => {
+        const channel = interaction.options.getChannel('channel');
+
+        if (channel && !isChannelSuitable(channel, interaction.guild.members.me)) {
+            await interaction.reply({ content: t(locale, 'common.cannot_send', { channel: `${channel}` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.showModal(buildAnnouncementModal(name, channel?.id ?? null, announcement, locale));
+    },
+
+    'toggle': async (interaction, name, announcement, locale) => {
+        const enabled = interaction.options.getBoolean('enabled') ?? announcement.enabled === false;
+
+        // title and body are NOT NULL, so they go along with the upsert
+        const saved = await upsertAnnouncement(interaction.guild.id, name, {
+            title: announcement.title,
+            body: announcement.body,
+            enabled
+        });
+        await interaction.reply({
+            content: saved
+                ? t(locale, enabled ? 'commands.announce.enabled' : 'commands.announce.disabled', { name: `\`${name}\`` })
+                : t(locale, 'commands.announce.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'preview': async (interaction, name, announcement, locale) => {
+        await interaction.reply({
+            ...buildAnnouncementMessage(interaction.guild, announcement, locale),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'sync': async (interaction, name, announcement, locale) => {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        if (announcement) {
+            const result = await syncAnnouncement(interaction.guild, announcement);
+            await interaction.editReply(`\`${name}\`: ${t(locale, `commands.announce.sync.${result}`)}`);
+            return;
+        }
+
+        const results = await syncGuildAnnouncements(interaction.guild);
+        if (!results) {
+            await interaction.editReply(t(locale, 'commands.announce.load_failed'));
+            return;
+        }
+
+        const lines = Object.entries(results).map(([result, count]) => `${t(locale, `commands.announce.sync.${result}`)}: ${count}`);
+        await interaction.editReply(lines.join('\n') || t(locale, 'commands.announce.sync_none'));
+    },
+
+    'delete': async (interaction, name, announcement, locale) => {
+        const deleted = await deleteAnnouncement(interaction.guild.id, name);
+        await interaction.reply({
+            content: t(locale, deleted ? 'commands.announce.deleted' : 'commands.announce.delete_failed', { name: `\`${name}\`` }),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'import': async (interaction, name, announcement, locale) => {
+        const set = interaction.options.getString('set', true);
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const count = await importAnnouncementSeed(interaction.guild, set);
+        const panels = count === null ? null : await importRolePanelSeed(interaction.guild, set);
+
+        if (count === null || panels === null) {
+            await interaction.editReply(t(locale, 'commands.announce.import_failed'));
+            return;
+        }
+
+        const lines = [t(locale, 'commands.announce.imported', { count, set: `\`${set}\`` })];
+        if (panels.imported) {
+            lines.push(t(locale, 'commands.announce.imported_panels', { count: panels.imported }));
+        }
+        if (panels.missingRoles.length) {
+            lines.push(t(locale, 'commands.announce.missing_roles', { roles: panels.missingRoles.join(', ') }));
+        }
+
+        await interaction.editReply(lines.join('\n'));
+    }
+};
+
+// Subcommands that act on an existing announcement (sync only when given a name)
+const NEEDS_ANNOUNCEMENT = ['edit', 'toggle', 'preview', 'sync', 'delete'];
+
+/**
+ * Handle /announce
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    const name = interaction.options.getString('name')?.trim().toLowerCase() ?? null;
+    const locale = await getGuildLocale(interaction.guild);
+
+    if (name !== null && !NAME_REGEX.test(name)) {
+        await interaction.reply({
+            content: t(locale, 'common.invalid_name', { example: '`weekly-update`' }),
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    let announcement = null;
+    if (NEEDS_ANNOUNCEMENT.includes(subcommand) && name !== null) {
+        announcement = await getAnnouncement(interaction.guild.id, name);
+        if (!announcement) {
+            await interaction.reply({ content: t(locale, 'commands.announce.not_found', { name: `\`${name}\`` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+    }
+
+    await subcommandHandlers[subcommand](interaction, name, announcement, locale);
+
+    console.log(`⚙️ ${interaction.user.username} ran /announce ${subcommand} in ${interaction.guild.name}`);
+}
+
+/**
+ * Handle the announcement form opened by /announce create and /announce edit
+ * @param {Client} client - Discord client instance
+ * @param {ModalSubmitInteraction} interaction - The modal interaction
+ */
+async function handleComponent(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const [, type, name, channelId] = interaction.customId.split(':');
+    if (type !== 'save') return;
+
+    const title = interaction.fields.getTextInputValue('title').trim();
+    const body = interaction.fields.getTextInputValue('body');
+    const banner = interaction.fields.getTextInputValue('banner').trim() || null;
+    const color = parseColor(interaction.fields.getTextInputValue('color').trim() || null);
+
+    if (await rejectInvalidTemplate(interaction, body)) return;
+
+    const locale = await getGuildLocale(interaction.guild);
+
+    if (color === undefined) {
+        await interaction.reply({ content: t(locale, 'common.invalid_color'), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    if (banner && !/^https?:\/\/\S+$/i.test(banner)) {
+        await interaction.reply({ content: t(locale, 'commands.announce.invalid_banner'), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const fields = {
+        title,
+        body,
+        banner_url: banner,
+        color: color || DEFAULT_ANNOUNCEMENT_COLOR
+    };
+
+    if (channelId !== '-') {
+        fields.channel_id = channelId;
+        fields.channel_name = interaction.guild.channels.cache.get(channelId)?.name ?? null;
+    }
+
+    const saved = await upsertAnnouncement(interaction.guild.id, name, fields);
+    await interaction.reply({
+        content: saved
+            ? t(locale, 'commands.announce.saved', { name: `\`${name}\`` })
+            : t(locale, 'commands.announce.save_failed'),
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
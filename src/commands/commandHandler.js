@@ -0,0 +1,61 @@
+const { Collection } = require('discord.js');
+const giggles = require('./giggles');
+const linkviolations = require('./linkviolations');
+const welcome = require('./welcome');
+const goodbye = require('./goodbye');
+const stats = require('./stats');
+const raid = require('./raid');
+const screening = require('./screening');
+const verification = require('./verification');
+const announce = require('./announce');
+const schedule = require('./schedule');
+const rolepanel = require('./rolepanel');
+const setup = require('./setup');
+
+// Every slash command module exports { data, execute } and, if it uses
+// buttons or menus, handleComponent for custom IDs prefixed with its name
+const commands = [giggles, linkviolations, welcome, goodbye, stats, raid, screening, verification, announce, schedule, rolepanel, setup];
+
+/**
+ * Load all slash commands onto the Discord client
+ * @param {Client} client - Discord client instance
+ */
+function commandHandler(client) {
+    console.log('⌨️ Loading slash commands...');
+
+    client.commands = new Collection();
+
+    for (const command of commands) {
+        client.commands.set(command.data.name, command);
+    }
+
+    console.log(`✅ Loaded ${client.commands.size} slash commands`);
+}
+
+/**
+ * Register the loaded slash commands with Discord.
+ * Commands are registered globally unless DISCORD_DEV_GUILD_ID is set,
+ * in which case they are registered to that guild only (updates instantly).
+ * @param {Client} client - Discord client instance (must be ready)
+ */
+async function registerCommands(client) {
+    try {
+        const body = client.commands.map(command => command.data.toJSON());
+        const devGuildId = process.env.DISCORD_DEV_GUILD_ID;
+
+        if (devGuildId) {
+            await client.application.commands.set(body, devGuildId);
+            console.log(`✅ Registered ${body.length} slash commands in dev guild ${devGuildId}`);
+        } else {
+            await client.application.commands.set(body);
+            console.log(`✅ Registered ${body.length} global slash commands`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to register slash commands:', error);
+    }
+}
+
+module.exports = {
+    commandHandler,
+    registerCommands
+};
@@ -0,0 +1,91 @@
+/**
+ * Helpers shared by the slash commands
+ */
+
+const { MessageFlags } = require('discord.js');
+const { upsertGuildSettings } = require('../database');
+const { hasModeratorPermissions } = require('../utils/helpers');
+const { validateTemplate, describeTemplateErrors } = require('../utils/template');
+const { getGuildLocale, t } = require('../utils/i18n');
+
+/**
+ * Reply to members without moderator permissions
+ * @param {Interaction} interaction - The interaction
+ * @returns {Promise<boolean>} True if the member is allowed to continue
+ */
+async function ensureModerator(interaction) {
+    if (hasModeratorPermissions(interaction.member)) return true;
+
+    await interaction.reply({
+        content: t(await getGuildLocale(interaction.guild), 'common.moderator_only'),
+        flags: MessageFlags.Ephemeral
+    });
+    return false;
+}
+
+/**
+ * Save guild settings, carrying over the current values that upsertGuildSettings
+ * would otherwise reset to their defaults
+ * @param {Guild} guild - Discord guild
+ * @param {Object|null} current - Current guild settings row
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<boolean>} True if saved
+ */
+async function saveSettings(guild, current, changes) {
+    return upsertGuildSettings(guild.id, guild.name, {
+        welcome_channel_id: current?.welcome_channel_id ?? null,
+        welcome_message: current?.welcome_message ?? null,
+        is_active: current?.is_active ?? true,
+        ...changes
+    });
+}
+
+/**
+ * Add an entry to a list if missing, otherwise remove it
+ * @param {string[]} list - Current list
+ * @param {string} id - Entry to toggle
+ * @returns {{ list: string[], added: boolean }} New list and whether the entry was added
+ */
+function toggleId(list, id) {
+    return list.includes(id)
+        ? { list: list.filter(existing => existing !== id), added: false }
+        : { list: [...list, id], added: true };
+}
+
+/**
+ * Parse a hex color option
+ * @param {string|null} value - Value entered by the admin
+ * @returns {string|null|undefined} Normalized color, null if not given, undefined if invalid
+ */
+function parseColor(value) {
+    if (value === null) return null;
+
+    const hex = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+    return hex ? `#${hex[1].toLowerCase()}` : undefined;
+}
+
+/**
+ * Reply with the problems in a message template, if it has any
+ * @param {Interaction} interaction - Interaction to reply to
+ * @param {string} template - Template the admin is trying to save
+ * @returns {Promise<boolean>} True if the template was rejected
+ */
+async function rejectInvalidTemplate(interaction, template) {
+    const validation = validateTemplate(template);
+    if (validation.valid) return false;
+
+    const locale = await getGuildLocale(interaction.guild);
+    await interaction.reply({
+        content: t(locale, 'common.template_rejected', { problems: describeTemplateErrors(validation, locale) }),
+        flags: MessageFlags.Ephemeral
+    });
+    return true;
+}
+
+module.exports = {
+    ensureModerator,
+    saveSettings,
+    toggleId,
+    parseColor,
+    rejectInvalidTemplate
+};
@@ -0,0 +1,633 @@
+const {
+    SlashCommandBuilder, EmbedBuilder, ChannelType, MessageFlags,
+    ModalBuilder, ActionRowBuilder, TextInputBuilder, TextInputStyle
+} = require('discord.js');
+const { getGuildSettings } = require('../database');
+const { isChannelSuitable, truncateText, normalizeUrl, getUrlDomain } = require('../utils/helpers');
+const { LINK_POLICY_ACTIONS, MAX_GRACE_PERIOD_MINUTES, resolveLinkPolicy, updateLinkPolicy } = require('../utils/linkPolicy');
+const { ESCALATION_ACTIONS, MAX_TIMEOUT_MINUTES } = require('../utils/escalation');
+const { DM_FORMATS, resolveMessageTemplate } = require('../utils/welcome');
+const { getSupportedLocales, normalizeLocale, resolveLocale, getGuildLocale, t } = require('../utils/i18n');
+const { describeDelayedTrigger } = require('../utils/roles');
+const { ensureModerator, saveSettings, toggleId, rejectInvalidTemplate } = require('./commandUtils');
+
+const data = new SlashCommandBuilder()
+    .setName('giggles')
+    .setDescription('Manage Giggles for this server')
+    .setDMPermission(false)
+    .addSubcommandGroup(group => group
+        .setName('config')
+        .setDescription('View or change welcome settings')
+        .addSubcommand(sub => sub
+            .setName('view')
+            .setDescription('Show the current settings for this server'))
+        .addSubcommand(sub => sub
+            .setName('set-welcome-channel')
+            .setDescription('Set the channel welcome messages are sent to')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Welcome channel')
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-welcome-message')
+            .setDescription('Set the welcome message template')
+            .addStringOption(option => option
+                .setName('message')
+                .setDescription('Supports placeholders like {user}, {membercount_ordinal} and {if ...}{else}{/if}')
+                .setMaxLength(1000)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-mod-log-channel')
+            .setDescription('Set the channel moderation events are posted to')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Mod-log channel (leave empty to turn the mod-log off)')
+                .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(sub => sub
+            .setName('set-dm-message')
+            .setDescription('Edit the welcome DM sent to new members'))
+        .addSubcommand(sub => sub
+            .setName('set-dm-format')
+            .setDescription('Send the welcome DM as plain text or as an embed')
+            .addStringOption(option => option
+                .setName('format')
+                .setDescription('DM format')
+                .addChoices(
+                    { name: 'Plain text', value: 'text' },
+                    { name: 'Embed', value: 'embed' }
+                )
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('set-language')
+            .setDescription('Set the language Giggles uses with members')
+            .addStringOption(option => option
+                .setName('language')
+                .setDescription('Language for welcomes, warnings and other member-facing messages')
+                .addChoices(
+                    { name: 'Server default', value: 'auto' },
+                    ...getSupportedLocales().map(code => ({ name: t(code, 'meta.name'), value: code }))
+                )
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('toggle-dm')
+            .setDescription('Turn the welcome DM on or off')
+            .addBooleanOption(option => option
+                .setName('enabled')
+                .setDescription('Leave empty to flip the current state')))
+        .addSubcommand(sub => sub
+            .setName('toggle-active')
+            .setDescription('Turn welcome messages on or off')
+            .addBooleanOption(option => option
+                .setName('active')
+                .setDescription('Leave empty to flip the current state'))))
+    .addSubcommandGroup(group => group
+        .setName('link-policy')
+        .setDescription('View or change the link editing rules')
+        .addSubcommand(sub => sub
+            .setName('view')
+            .setDescription('Show the current link editing policy'))
+        .addSubcommand(sub => sub
+            .setName('grace-period')
+            .setDescription('Set how long members may edit links after posting')
+            .addIntegerOption(option => option
+                .setName('minutes')
+                .setDescription('Grace period in minutes')
+                .setMinValue(0)
+                .setMaxValue(MAX_GRACE_PERIOD_MINUTES)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('action')
+            .setDescription('Choose what happens when the rule is broken')
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('Action to take')
+                .addChoices(
+                    { name: 'Delete the message', value: 'delete' },
+                    { name: 'Warn only', value: 'warn' },
+                    { name: 'Log only', value: 'log' }
+                )
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('exempt-channel')
+            .setDescription('Add or remove a channel (or category) that the rule ignores')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel or category')
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildCategory, ChannelType.GuildForum)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('trusted-role')
+            .setDescription('Add or remove a role whose members may edit links freely')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Trusted role')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('exempt-moderators')
+            .setDescription('Choose whether moderators are exempt from the rule')
+            .addBooleanOption(option => option
+                .setName('exempt')
+                .setDescription('Exempt moderators')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('track-all-messages')
+            .setDescription('Remember every message (not just ones with links) so edits after a restart are checked')
+            .addBooleanOption(option => option
+                .setName('enabled')
+                .setDescription('Track all messages')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('allow-domain')
+            .setDescription('Add or remove a domain that may always be linked in edits')
+            .addStringOption(option => option
+                .setName('domain')
+                .setDescription('Domain, e.g. youtube.com (subdomains included)')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('block-domain')
+            .setDescription('Add or remove a domain that may never be linked in edits')
+            .addStringOption(option => option
+                .setName('domain')
+                .setDescription('Domain, e.g. example.com (subdomains included)')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('escalation-add')
+            .setDescription('Add or replace a step of the repeat offender ladder')
+            .addIntegerOption(option => option
+                .setName('violations')
+                .setDescription('Violations within the window that trigger this step')
+                .setMinValue(1)
+                .setMaxValue(100)
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('Sanction to apply')
+                .addChoices(
+                    { name: 'Warn by DM', value: 'warn' },
+                    { name: 'Timeout', value: 'timeout' },
+                    { name: 'Kick', value: 'kick' }
+                )
+                .setRequired(true))
+            .addIntegerOption(option => option
+                .setName('minutes')
+                .setDescription('Timeout length in minutes (default: 60)')
+                .setMinValue(1)
+                .setMaxValue(MAX_TIMEOUT_MINUTES)))
+        .addSubcommand(sub => sub
+            .setName('escalation-remove')
+            .setDescription('Remove a step of the repeat offender ladder')
+            .addIntegerOption(option => option
+                .setName('violations')
+                .setDescription('Violation count of the step to remove')
+                .setMinValue(1)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('escalation-window')
+            .setDescription('Set how many days of violations count towards escalation')
+            .addIntegerOption(option => option
+                .setName('days')
+                .setDescription('Rolling window in days')
+                .setMinValue(1)
+                .setMaxValue(365)
+                .setRequired(true))));
+
+/**
+ * Describe the guild's delayed role setting
+ * @param {Object|null} settings - Guild settings row
+ * @param {string} locale - The guild's language
+ * @returns {string} Description
+ */
+function formatDelayedRole(settings, locale) {
+    if (!settings?.delayed_role_id) return t(locale, 'common.off');
+    return `<@&${settings.delayed_role_id}> ${describeDelayedTrigger(settings, locale)}`;
+}
+
+/**
+ * Build an embed summarising the guild's settings
+ * @param {Guild} guild - Discord guild
+ * @param {Object|null} settings - Guild settings row
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildSettingsEmbed(guild, settings, locale) {
+    const channel = settings?.welcome_channel_id ? `<#${settings.welcome_channel_id}>` : t(locale, 'setup.wizard.automatic');
+    const language = t(locale, 'meta.name');
+    const off = t(locale, 'common.off');
+    const onIn = where => t(locale, 'commands.giggles.on_in', { where });
+    const goodbyeChannel = settings?.goodbye_channel_id
+        ? `<#${settings.goodbye_channel_id}>`
+        : t(locale, 'commands.giggles.welcome_channel_short');
+    const dmFormat = t(locale, `commands.giggles.formats.${settings?.dm_format || 'text'}`);
+    const autoRoles = settings?.auto_role_ids?.length
+        ? settings.auto_role_ids.map(id => `<@&${id}>`).join(', ')
+        : t(locale, 'common.none');
+
+    return new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'commands.giggles.settings_title', { guild: guild.name }))
+        .addFields([
+            { name: t(locale, 'commands.giggles.welcome_channel'), value: channel, inline: true },
+            { name: t(locale, 'commands.giggles.active'), value: t(locale, settings?.is_active === false ? 'common.no' : 'common.yes'), inline: true },
+            {
+                name: t(locale, 'commands.giggles.language'),
+                value: settings?.locale ? language : t(locale, 'commands.giggles.server_default', { language }),
+                inline: true
+            },
+            { name: t(locale, 'commands.giggles.mod_log_channel'), value: settings?.mod_log_channel_id ? `<#${settings.mod_log_channel_id}>` : off, inline: true },
+            { name: t(locale, 'commands.giggles.welcome_format'), value: t(locale, `commands.giggles.formats.${settings?.welcome_format || 'embed'}`), inline: true },
+            { name: t(locale, 'commands.giggles.welcome_embed'), value: t(locale, settings?.welcome_embed ? 'commands.giggles.customized' : 'common.default'), inline: true },
+            { name: t(locale, 'commands.giggles.welcome_card'), value: settings?.welcome_card_enabled ? t(locale, 'common.on') : off, inline: true },
+            { name: t(locale, 'commands.giggles.auto_roles'), value: autoRoles, inline: true },
+            { name: t(locale, 'commands.giggles.delayed_role'), value: formatDelayedRole(settings, locale), inline: true },
+            { name: t(locale, 'commands.giggles.goodbye'), value: settings?.goodbye_enabled ? onIn(goodbyeChannel) : off, inline: true },
+            { name: t(locale, 'commands.giggles.welcome_message'), value: truncateText(settings?.welcome_message || t(locale, 'common.default'), 1024) },
+            { name: t(locale, 'commands.giggles.welcome_dm'), value: settings?.dm_enabled === false ? off : onIn(dmFormat), inline: true },
+            { name: t(locale, 'commands.giggles.dm_message'), value: truncateText(settings?.dm_message || t(locale, 'common.default'), 1024) }
+        ])
+        .setTimestamp();
+}
+
+/**
+ * Describe an escalation ladder, one step per line
+ * @param {Array} steps - Escalation steps
+ * @param {string} locale - The guild's language
+ * @returns {string} Ladder description
+ */
+function formatEscalationSteps(steps, locale) {
+    if (!steps?.length) return t(locale, 'common.off');
+
+    return [...steps]
+        .sort((a, b) => a.violations - b.violations)
+        .map(step => {
+            let action = t(locale, `mod_log.escalation.actions.${step.action}`);
+            if (step.action === 'timeout') {
+                const duration = t(locale, 'time.minute', { count: step.duration_minutes || 60 });
+                action = t(locale, 'mod_log.escalation.timeout', { action, duration });
+            }
+            return t(locale, 'commands.giggles.escalation_step', { count: step.violations, action });
+        })
+        .join('\n');
+}
+
+/**
+ * Build an embed summarising the guild's link policy
+ * @param {Guild} guild - Discord guild
+ * @param {Object} policy - Link policy
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Policy embed
+ */
+function buildLinkPolicyEmbed(guild, policy, locale) {
+    const none = t(locale, 'common.none');
+    const channels = policy.exempt_channel_ids.map(id => `<#${id}>`).join(', ') || none;
+    const roles = policy.trusted_role_ids.map(id => `<@&${id}>`).join(', ') || none;
+    const window = t(locale, 'time.day', { count: policy.escalation_window_days });
+
+    return new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'commands.giggles.policy_title', { guild: guild.name }))
+        .addFields([
+            { name: t(locale, 'commands.giggles.grace_period'), value: t(locale, 'time.minute', { count: policy.grace_period_minutes }), inline: true },
+            { name: t(locale, 'commands.giggles.action'), value: t(locale, `setup.wizard.link_policy.${policy.action}`), inline: true },
+            { name: t(locale, 'commands.giggles.moderators_exempt'), value: t(locale, policy.exempt_moderators ? 'common.yes' : 'common.no'), inline: true },
+            {
+                name: t(locale, 'commands.giggles.tracked_messages'),
+                value: t(locale, policy.track_all_messages ? 'commands.giggles.tracked_all' : 'commands.giggles.tracked_links'),
+                inline: true
+            },
+            { name: t(locale, 'commands.giggles.exempt_channels'), value: truncateText(channels, 1024) },
+            { name: t(locale, 'commands.giggles.trusted_roles'), value: truncateText(roles, 1024) },
+            { name: t(locale, 'commands.giggles.allowed_domains'), value: truncateText(policy.allowed_domains.join(', ') || none, 1024) },
+            { name: t(locale, 'commands.giggles.blocked_domains'), value: truncateText(policy.blocked_domains.join(', ') || none, 1024) },
+            { name: t(locale, 'commands.giggles.escalation', { period: window }), value: formatEscalationSteps(policy.escalation_steps, locale) }
+        ])
+        .setTimestamp();
+}
+
+/**
+ * Turn user input such as "https://www.Example.com/page" into a bare domain
+ * @param {string} input - Domain or URL typed by the user
+ * @returns {string|null} Domain (e.g. "example.com") or null if invalid
+ */
+function parseDomain(input) {
+    const normalized = normalizeUrl(input.trim());
+    return normalized ? getUrlDomain(normalized) : null;
+}
+
+/**
+ * Save link policy changes and reply with the outcome
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ * @param {Object} changes - Policy fields to change
+ * @param {string} successMessage - Reply when saved
+ * @param {string} locale - The guild's language
+ */
+async function saveLinkPolicy(interaction, changes, successMessage, locale) {
+    const saved = await updateLinkPolicy(interaction.guild.id, changes);
+    await interaction.reply({
+        content: saved ? successMessage : t(locale, 'commands.giggles.policy_save_failed'),
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+/**
+ * Add a domain to one of the policy's domain lists, or remove it if present
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ * @param {Object} policy - Current link policy
+ * @param {string} field - 'allowed_domains' or 'blocked_domains'
+ * @param {string} list - 'allowlist' or 'blocklist', picks the replies
+ * @param {string} locale - The guild's language
+ */
+async function toggleDomain(interaction, policy, field, list, locale) {
+    const domain = parseDomain(interaction.options.getString('domain', true));
+
+    if (!domain) {
+        await interaction.reply({
+            content: t(locale, 'commands.giggles.invalid_domain'),
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    const { list: domains, added } = toggleId(policy[field], domain);
+    await saveLinkPolicy(interaction, { [field]: domains },
+        t(locale, `commands.giggles.${list}_${added ? 'added' : 'removed'}`, { domain: `\`${domain}\`` }), locale);
+}
+
+const linkPolicyHandlers = {
+    'view': async (interaction, policy, locale) => {
+        await interaction.reply({
+            embeds: [buildLinkPolicyEmbed(interaction.guild, policy, locale)],
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'grace-period': async (interaction, policy, locale) => {
+        const minutes = interaction.options.getInteger('minutes', true);
+        await saveLinkPolicy(interaction, { grace_period_minutes: minutes },
+            t(locale, 'commands.giggles.grace_set', { duration: t(locale, 'time.minute', { count: minutes }) }), locale);
+    },
+
+    'action': async (interaction, policy, locale) => {
+        const action = interaction.options.getString('action', true);
+        if (!LINK_POLICY_ACTIONS.includes(action)) return;
+
+        await saveLinkPolicy(interaction, { action },
+            t(locale, 'commands.giggles.action_set', { action: t(locale, `setup.wizard.link_policy.${action}`) }), locale);
+    },
+
+    'exempt-channel': async (interaction, policy, locale) => {
+        const channel = interaction.options.getChannel('channel', true);
+        const { list, added } = toggleId(policy.exempt_channel_ids, channel.id);
+
+        await saveLinkPolicy(interaction, { exempt_channel_ids: list },
+            t(locale, added ? 'commands.giggles.channel_exempt' : 'commands.giggles.channel_not_exempt', { channel: `${channel}` }), locale);
+    },
+
+    'trusted-role': async (interaction, policy, locale) => {
+        const role = interaction.options.getRole('role', true);
+        const { list, added } = toggleId(policy.trusted_role_ids, role.id);
+
+        await saveLinkPolicy(interaction, { trusted_role_ids: list },
+            t(locale, added ? 'commands.giggles.role_trusted' : 'commands.giggles.role_not_trusted', { role: `${role}` }), locale);
+    },
+
+    'exempt-moderators': async (interaction, policy, locale) => {
+        const exempt = interaction.options.getBoolean('exempt', true);
+        await saveLinkPolicy(interaction, { exempt_moderators: exempt },
+            t(locale, exempt ? 'commands.giggles.moderators_now_exempt' : 'commands.giggles.moderators_not_exempt'), locale);
+    },
+
+    'track-all-messages': async (interaction, policy, locale) => {
+        const enabled = interaction.options.getBoolean('enabled', true);
+        await saveLinkPolicy(interaction, { track_all_messages: enabled },
+            t(locale, enabled ? 'commands.giggles.track_all' : 'commands.giggles.track_links'), locale);
+    },
+
+    'allow-domain': async (interaction, policy, locale) => {
+        await toggleDomain(interaction, policy, 'allowed_domains', 'allowlist', locale);
+    },
+
+    'block-domain': async (interaction, policy, locale) => {
+        await toggleDomain(interaction, policy, 'blocked_domains', 'blocklist', locale);
+    },
+
+    'escalation-add': async (interaction, policy, locale) => {
+        const violations = interaction.options.getInteger('violations', true);
+        const action = interaction.options.getString('action', true);
+        if (!ESCALATION_ACTIONS.includes(action)) return;
+
+        const step = { violations, action };
+
+        if (action === 'timeout') {
+            step.duration_minutes = interaction.options.getInteger('minutes') ?? 60;
+        }
+
+        const steps = policy.escalation_steps.filter(existing => existing.violations !== violations);
+        await saveLinkPolicy(interaction, { escalation_steps: [...steps, step] },
+            t(locale, 'commands.giggles.step_saved', { step: formatEscalationSteps([step], locale) }), locale);
+    },
+
+    'escalation-remove': async (interaction, policy, locale) => {
+        const violations = interaction.options.getInteger('violations', true);
+        const steps = policy.escalation_steps.filter(existing => existing.violations !== violations);
+
+        if (steps.length === policy.escalation_steps.length) {
+            await interaction.reply({
+                content: t(locale, 'commands.giggles.step_missing', { count: violations }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        await saveLinkPolicy(interaction, { escalation_steps: steps },
+            t(locale, 'commands.giggles.step_removed', { count: violations }), locale);
+    },
+
+    'escalation-window': async (interaction, policy, locale) => {
+        const days = interaction.options.getInteger('days', true);
+        await saveLinkPolicy(interaction, { escalation_window_days: days },
+            t(locale, 'commands.giggles.window_set', { period: t(locale, 'time.day', { count: days }) }), locale);
+    }
+};
+
+const configHandlers = {
+    'view': async (interaction, settings, locale) => {
+        await interaction.reply({
+            embeds: [buildSettingsEmbed(interaction.guild, settings, locale)],
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set-welcome-channel': async (interaction, settings, locale) => {
+        const channel = interaction.options.getChannel('channel', true);
+
+        if (!isChannelSuitable(channel, interaction.guild.members.me)) {
+            await interaction.reply({
+                content: t(locale, 'common.cannot_send', { channel: `${channel}` }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const saved = await saveSettings(interaction.guild, settings, { welcome_channel_id: channel.id });
+        await interaction.reply({
+            content: saved ? t(locale, 'commands.giggles.welcome_channel_set', { channel: `${channel}` }) : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set-mod-log-channel': async (interaction, settings, locale) => {
+        const channel = interaction.options.getChannel('channel');
+
+        if (channel && !isChannelSuitable(channel, interaction.guild.members.me)) {
+            await interaction.reply({
+                content: t(locale, 'common.cannot_send', { channel: `${channel}` }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const saved = await saveSettings(interaction.guild, settings, { mod_log_channel_id: channel?.id ?? null });
+        const success = channel
+            ? t(locale, 'commands.giggles.mod_log_set', { channel: `${channel}` })
+            : t(locale, 'commands.giggles.mod_log_off');
+        await interaction.reply({
+            content: saved ? success : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set-welcome-message': async (interaction, settings, locale) => {
+        const message = interaction.options.getString('message', true);
+        if (await rejectInvalidTemplate(interaction, message)) return;
+
+        const saved = await saveSettings(interaction.guild, settings, { welcome_message: message });
+        await interaction.reply({
+            content: saved ? t(locale, 'commands.giggles.welcome_message_set', { message }) : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set-dm-message': async (interaction, settings, locale) => {
+        const modal = new ModalBuilder()
+            .setCustomId('giggles:dm-message')
+            .setTitle(t(locale, 'setup.wizard.dm_modal_title'))
+            .addComponents(new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('message')
+                    .setLabel(t(locale, 'setup.wizard.dm_modal_label'))
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMaxLength(2000)
+                    .setValue(resolveMessageTemplate(settings?.dm_message, 'welcome.dm_message', locale))
+                    .setRequired(true)
+            ));
+
+        await interaction.showModal(modal);
+    },
+
+    'set-dm-format': async (interaction, settings, locale) => {
+        const format = interaction.options.getString('format', true);
+        if (!DM_FORMATS.includes(format)) return;
+
+        const saved = await saveSettings(interaction.guild, settings, { dm_format: format });
+        await interaction.reply({
+            content: saved
+                ? t(locale, 'commands.giggles.dm_format_set', { format: t(locale, `commands.welcome.formats.${format}`) })
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set-language': async (interaction, settings) => {
+        const language = interaction.options.getString('language', true);
+        const chosen = language === 'auto' ? null : normalizeLocale(language);
+        if (language !== 'auto' && !chosen) return;
+
+        // Confirm in the new language, or in the old one if the save failed
+        const saved = await saveSettings(interaction.guild, settings, { locale: chosen });
+        const locale = resolveLocale(interaction.guild, saved ? { locale: chosen } : settings);
+        await interaction.reply({
+            content: saved
+                ? t(locale, chosen ? 'commands.giggles.language_set' : 'commands.giggles.language_auto', { language: t(locale, 'meta.name') })
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'toggle-dm': async (interaction, settings, locale) => {
+        const requested = interaction.options.getBoolean('enabled');
+        const enabled = requested ?? settings?.dm_enabled === false;
+
+        const saved = await saveSettings(interaction.guild, settings, { dm_enabled: enabled });
+        await interaction.reply({
+            content: saved
+                ? t(locale, enabled ? 'commands.giggles.dm_enabled' : 'commands.giggles.dm_disabled')
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'toggle-active': async (interaction, settings, locale) => {
+        const requested = interaction.options.getBoolean('active');
+        const isActive = requested ?? settings?.is_active === false;
+
+        const saved = await saveSettings(interaction.guild, settings, { is_active: isActive });
+        await interaction.reply({
+            content: saved
+                ? t(locale, isActive ? 'commands.giggles.active_enabled' : 'commands.giggles.active_disabled')
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+};
+
+/**
+ * Handle /giggles
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const group = interaction.options.getSubcommandGroup();
+    const subcommand = interaction.options.getSubcommand();
+
+    if (group === 'config') {
+        const settings = await getGuildSettings(interaction.guild.id);
+        await configHandlers[subcommand](interaction, settings, resolveLocale(interaction.guild, settings));
+    } else if (group === 'link-policy') {
+        const policy = await resolveLinkPolicy(interaction.guild.id);
+        await linkPolicyHandlers[subcommand](interaction, policy, await getGuildLocale(interaction.guild));
+    }
+
+    console.log(`⚙️ ${interaction.user.username} ran /giggles ${group} ${subcommand} in ${interaction.guild.name}`);
+}
+
+/**
+ * Handle modals opened by /giggles
+ * @param {Client} client - Discord client instance
+ * @param {ModalSubmitInteraction} interaction - The modal interaction
+ */
+async function handleComponent(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    if (interaction.customId === 'giggles:dm-message') {
+        const message = interaction.fields.getTextInputValue('message');
+        if (await rejectInvalidTemplate(interaction, message)) return;
+
+        const settings = await getGuildSettings(interaction.guild.id);
+        const locale = resolveLocale(interaction.guild, settings);
+
+        const saved = await saveSettings(interaction.guild, settings, { dm_message: message });
+        await interaction.reply({
+            content: saved ? t(locale, 'commands.giggles.dm_message_set', { message: truncateText(message, 1900) }) : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
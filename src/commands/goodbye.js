@@ -0,0 +1,114 @@
+const { SlashCommandBuilder, ChannelType, MessageFlags } = require('discord.js');
+const { getGuildSettings } = require('../database');
+const { isChannelSuitable } = require('../utils/helpers');
+const { buildGoodbyeMessage } = require('../utils/welcome');
+const { resolveLocale, t } = require('../utils/i18n');
+const { ensureModerator, saveSettings, rejectInvalidTemplate } = require('./commandUtils');
+
+const data = new SlashCommandBuilder()
+    .setName('goodbye')
+    .setDescription('Messages posted when members leave')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('preview')
+        .setDescription('Preview the goodbye message using yourself as the member'))
+    .addSubcommand(sub => sub
+        .setName('toggle')
+        .setDescription('Turn goodbye messages on or off')
+        .addBooleanOption(option => option
+            .setName('enabled')
+            .setDescription('Leave empty to flip the current state')))
+    .addSubcommand(sub => sub
+        .setName('set-channel')
+        .setDescription('Set the channel goodbye messages are sent to')
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Goodbye channel (leave empty to use the welcome channel)')
+            .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub => sub
+        .setName('set-message')
+        .setDescription('Set the goodbye message template')
+        .addStringOption(option => option
+            .setName('message')
+            .setDescription('Supports placeholders like {username}, {time_in_server} and {membercount}')
+            .setMaxLength(1000)
+            .setRequired(true)));
+
+const subcommandHandlers = {
+    'preview': async (interaction, settings, locale) => {
+        const message = buildGoodbyeMessage(settings, {
+            user: interaction.user,
+            guild: interaction.guild,
+            member: interaction.member,
+            locale
+        });
+
+        await interaction.reply({ ...message, flags: MessageFlags.Ephemeral });
+    },
+
+    'toggle': async (interaction, settings, locale) => {
+        const requested = interaction.options.getBoolean('enabled');
+        const enabled = requested ?? !settings?.goodbye_enabled;
+
+        const saved = await saveSettings(interaction.guild, settings, { goodbye_enabled: enabled });
+        await interaction.reply({
+            content: saved
+                ? t(locale, enabled ? 'commands.goodbye.enabled' : 'commands.goodbye.disabled')
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set-channel': async (interaction, settings, locale) => {
+        const channel = interaction.options.getChannel('channel');
+
+        if (channel && !isChannelSuitable(channel, interaction.guild.members.me)) {
+            await interaction.reply({
+                content: t(locale, 'common.cannot_send', { channel: `${channel}` }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const saved = await saveSettings(interaction.guild, settings, { goodbye_channel_id: channel?.id ?? null });
+        const success = channel
+            ? t(locale, 'commands.goodbye.channel_set', { channel: `${channel}` })
+            : t(locale, 'commands.goodbye.channel_welcome');
+        await interaction.reply({
+            content: saved ? success : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set-message': async (interaction, settings, locale) => {
+        const message = interaction.options.getString('message', true);
+        if (await rejectInvalidTemplate(interaction, message)) return;
+
+        const saved = await saveSettings(interaction.guild, settings, { goodbye_message: message });
+        await interaction.reply({
+            content: saved ? t(locale, 'commands.goodbye.message_set', { message }) : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+};
+
+/**
+ * Handle /goodbye
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    const settings = await getGuildSettings(interaction.guild.id);
+
+    await subcommandHandlers[subcommand](interaction, settings, resolveLocale(interaction.guild, settings));
+
+    console.log(`⚙️ ${interaction.user.username} ran /goodbye ${subcommand} in ${interaction.guild.name}`);
+}
+
+module.exports = {
+    data,
+    execute
+};
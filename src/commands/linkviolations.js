@@ -0,0 +1,191 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const { getRecentLinkViolations, getLinkViolationStats } = require('../database');
+const { STORED_LINK_ACTIONS, describeLinkAction } = require('../utils/modLog');
+const { getGuildLocale, t } = require('../utils/i18n');
+const { ensureModerator } = require('./commandUtils');
+
+const PAGE_SIZE = 10;
+const MAX_RESULTS = 100;
+
+const data = new SlashCommandBuilder()
+    .setName('linkviolations')
+    .setDescription('Review link editing violations')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('list')
+        .setDescription('Show recent link edit violations')
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('Only show violations by this user'))
+        .addStringOption(option => option
+            .setName('action')
+            .setDescription('Only show violations with this action')
+            .addChoices(
+                ...STORED_LINK_ACTIONS.map(value => ({ name: describeLinkAction(value), value }))
+            )))
+    .addSubcommand(sub => sub
+        .setName('stats')
+        .setDescription('Show link edit totals')
+        .addIntegerOption(option => option
+            .setName('days')
+            .setDescription('Number of days to look back (default: 30)')
+            .setMinValue(1)
+            .setMaxValue(365)));
+
+/**
+ * Encode the list state into a button custom ID so paging needs no server-side state
+ * @param {number} page - Page to show
+ * @param {string|null} userId - User filter
+ * @param {string|null} action - Action filter
+ * @returns {string} Custom ID
+ */
+function pageCustomId(page, userId, action) {
+    return `linkviolations:page:${page}:${userId || '-'}:${action || '-'}`;
+}
+
+/**
+ * Render one page of violations
+ * @param {Guild} guild - Discord guild
+ * @param {Array} violations - Violation rows
+ * @param {number} page - Zero-based page number
+ * @param {string|null} userId - User filter
+ * @param {string|null} action - Action filter
+ * @param {string} locale - The guild's language
+ * @returns {Object} Message options with embed and navigation buttons
+ */
+function renderPage(guild, violations, page, userId, action, locale) {
+    const totalPages = Math.max(1, Math.ceil(violations.length / PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageItems = violations.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+    const lines = pageItems.map(v => {
+        const postedAt = Math.floor(new Date(v.created_at).getTime() / 1000);
+        return t(locale, 'commands.linkviolations.line', {
+            time: `<t:${postedAt}:R>`,
+            user: `<@${v.user_id}>`,
+            channel: `<#${v.channel_id}>`,
+            action: describeLinkAction(v.action_taken, locale),
+            type: t(locale, `mod_log.link_types.${v.violation_type}`)
+        });
+    });
+
+    const filters = [
+        userId ? t(locale, 'commands.linkviolations.filter_user', { user: `<@${userId}>` }) : null,
+        action ? t(locale, 'commands.linkviolations.filter_action', { action: describeLinkAction(action, locale) }) : null
+    ].filter(Boolean).join(' • ');
+
+    const embed = new EmbedBuilder()
+        .setColor('#ff6b6b')
+        .setTitle(t(locale, 'commands.linkviolations.title', { guild: guild.name }))
+        .setDescription([filters, lines.join('\n') || t(locale, 'commands.linkviolations.none')].filter(Boolean).join('\n\n'))
+        .setFooter({ text: t(locale, 'commands.linkviolations.footer', { page: currentPage + 1, pages: totalPages, count: violations.length, max: MAX_RESULTS }) })
+        .setTimestamp();
+
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(pageCustomId(currentPage - 1, userId, action))
+            .setLabel(t(locale, 'common.previous'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(pageCustomId(currentPage + 1, userId, action))
+            .setLabel(t(locale, 'common.next'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage >= totalPages - 1)
+    );
+
+    return { embeds: [embed], components: [buttons] };
+}
+
+/**
+ * Build the stats embed
+ * @param {Guild} guild - Discord guild
+ * @param {Object} stats - Result of getLinkViolationStats
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Stats embed
+ */
+function buildStatsEmbed(guild, stats, locale) {
+    return new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'commands.linkviolations.stats_title', { guild: guild.name }))
+        .setDescription(t(locale, 'commands.linkviolations.stats_period', { count: stats.period_days }))
+        .addFields([
+            { name: t(locale, 'commands.linkviolations.stats_total'), value: `${stats.total}`, inline: true },
+            { name: t(locale, 'commands.linkviolations.stats_deleted'), value: `${stats.deleted}`, inline: true },
+            { name: t(locale, 'commands.linkviolations.stats_allowed'), value: `${stats.allowed}`, inline: true },
+            { name: t(locale, 'commands.linkviolations.stats_warned'), value: `${stats.warned}`, inline: true },
+            { name: t(locale, 'commands.linkviolations.stats_logged'), value: `${stats.logged}`, inline: true },
+            { name: '\u200B', value: '\u200B', inline: true },
+            { name: t(locale, 'commands.linkviolations.stats_added'), value: `${stats.added}`, inline: true },
+            { name: t(locale, 'commands.linkviolations.stats_modified'), value: `${stats.modified}`, inline: true }
+        ])
+        .setTimestamp();
+}
+
+/**
+ * Handle /linkviolations
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!(await ensureModerator(interaction))) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const locale = await getGuildLocale(interaction.guild);
+
+    if (subcommand === 'stats') {
+        const days = interaction.options.getInteger('days') ?? 30;
+        const stats = await getLinkViolationStats(interaction.guild.id, days);
+
+        if (!stats) {
+            await interaction.editReply(t(locale, 'commands.linkviolations.stats_failed'));
+            return;
+        }
+
+        await interaction.editReply({ embeds: [buildStatsEmbed(interaction.guild, stats, locale)] });
+        return;
+    }
+
+    const userId = interaction.options.getUser('user')?.id ?? null;
+    const action = interaction.options.getString('action');
+    const violations = await getRecentLinkViolations(interaction.guild.id, MAX_RESULTS, action, userId);
+
+    if (!violations) {
+        await interaction.editReply(t(locale, 'commands.linkviolations.load_failed'));
+        return;
+    }
+
+    await interaction.editReply(renderPage(interaction.guild, violations, 0, userId, action, locale));
+}
+
+/**
+ * Handle the page buttons under a /linkviolations list
+ * @param {Client} client - Discord client instance
+ * @param {ButtonInteraction} interaction - The button interaction
+ */
+async function handleComponent(client, interaction) {
+    if (!(await ensureModerator(interaction))) return;
+
+    const [, type, page, userId, action] = interaction.customId.split(':');
+    if (type !== 'page') return;
+
+    const userFilter = userId === '-' ? null : userId;
+    const actionFilter = action === '-' ? null : action;
+    const violations = await getRecentLinkViolations(interaction.guild.id, MAX_RESULTS, actionFilter, userFilter);
+    const locale = await getGuildLocale(interaction.guild);
+
+    if (!violations) {
+        await interaction.reply({ content: t(locale, 'commands.linkviolations.load_failed'), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    await interaction.update(renderPage(interaction.guild, violations, Number(page), userFilter, actionFilter, locale));
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
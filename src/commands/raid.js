@@ -0,0 +1,242 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { getGuildSettings } = require('../database');
+const {
+    RAID_ACTIONS,
+    DEFAULT_RAID_PROTECTION,
+    MAX_LOCKDOWN_MINUTES,
+    resolveRaidSettings,
+    getLockdown,
+    startLockdown,
+    endLockdown
+} = require('../utils/raid');
+const { DEFAULT_LOCALE, resolveLocale, getGuildLocale, t } = require('../utils/i18n');
+const { ensureModerator, saveSettings } = require('./commandUtils');
+
+/**
+ * Label for a raid action
+ * @param {string} action - Raid action
+ * @param {string} [locale] - Locale code
+ * @returns {string} Label
+ */
+function describeRaidAction(action, locale = DEFAULT_LOCALE) {
+    return t(locale, `commands.raid.actions.${action}`);
+}
+
+// Option name → raid_protection key, with the allowed range
+const THRESHOLD_OPTIONS = [
+    { option: 'joins', key: 'join_threshold', min: 2, max: 100, description: 'Joins within the window that start a lockdown' },
+    { option: 'seconds', key: 'window_seconds', min: 1, max: 300, description: 'Join window in seconds' },
+    { option: 'new-accounts', key: 'new_account_threshold', min: 0, max: 100, description: 'New accounts within the new-account window that start a lockdown (0 = off)' },
+    { option: 'new-account-window', key: 'new_account_window_minutes', min: 1, max: 60, description: 'New-account window in minutes' },
+    { option: 'account-age', key: 'new_account_hours', min: 1, max: 720, description: 'Accounts younger than this many hours count as new' },
+    { option: 'cooldown', key: 'lockdown_minutes', min: 1, max: MAX_LOCKDOWN_MINUTES, description: 'Minutes until a lockdown ends by itself' }
+];
+
+const data = new SlashCommandBuilder()
+    .setName('raid')
+    .setDescription('Raid protection and lockdown')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('status')
+        .setDescription('Show raid protection settings and whether the server is locked down'))
+    .addSubcommand(sub => sub
+        .setName('toggle')
+        .setDescription('Turn join-rate detection on or off')
+        .addBooleanOption(option => option
+            .setName('enabled')
+            .setDescription('Leave empty to flip the current state')))
+    .addSubcommand(sub => {
+        sub
+            .setName('config')
+            .setDescription('Change raid detection thresholds and what happens to new accounts')
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('What happens to new accounts joining during a lockdown')
+                .addChoices(...RAID_ACTIONS.map(value => ({ name: describeRaidAction(value), value }))));
+
+        for (const { option, min, max, description } of THRESHOLD_OPTIONS) {
+            sub.addIntegerOption(opt => opt
+                .setName(option)
+                .setDescription(description)
+                .setMinValue(min)
+                .setMaxValue(max));
+        }
+        return sub;
+    })
+    .addSubcommand(sub => sub
+        .setName('lockdown')
+        .setDescription('Lock the server down now')
+        .addIntegerOption(option => option
+            .setName('minutes')
+            .setDescription('How long (default: the configured cooldown)')
+            .setMinValue(1)
+            .setMaxValue(MAX_LOCKDOWN_MINUTES)))
+    .addSubcommand(sub => sub
+        .setName('end')
+        .setDescription('End the current lockdown'));
+
+/**
+ * Build the raid protection status embed
+ * @param {Guild} guild - Discord guild
+ * @param {Object|null} settings - Guild settings row
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Status embed
+ */
+function buildStatusEmbed(guild, settings, locale) {
+    const raidSettings = resolveRaidSettings(settings);
+    const lockdown = getLockdown(guild.id);
+
+    return new EmbedBuilder()
+        .setColor(lockdown ? '#ff6b6b' : '#7289DA')
+        .setTitle(t(locale, 'commands.raid.title', { guild: guild.name }))
+        .setDescription(lockdown
+            ? t(locale, 'commands.raid.locked_down', {
+                time: `<t:${Math.floor(lockdown.until / 1000)}:t>`,
+                relative: `<t:${Math.floor(lockdown.until / 1000)}:R>`,
+                reason: lockdown.reason
+            })
+            : t(locale, 'commands.raid.not_locked_down'))
+        .addFields([
+            { name: t(locale, 'commands.raid.detection'), value: t(locale, settings?.raid_protection_enabled ? 'common.status_on' : 'common.status_off'), inline: true },
+            {
+                name: t(locale, 'commands.raid.join_burst'),
+                value: t(locale, 'commands.raid.join_burst_value', { count: raidSettings.join_threshold, seconds: raidSettings.window_seconds }),
+                inline: true
+            },
+            {
+                name: t(locale, 'commands.raid.new_accounts'),
+                value: raidSettings.new_account_threshold > 0
+                    ? t(locale, 'commands.raid.new_accounts_value', {
+                        count: raidSettings.new_account_threshold,
+                        hours: raidSettings.new_account_hours,
+                        minutes: raidSettings.new_account_window_minutes
+                    })
+                    : t(locale, 'common.off'),
+                inline: true
+            },
+            { name: t(locale, 'commands.raid.lockdown_action'), value: describeRaidAction(raidSettings.action, locale), inline: true },
+            { name: t(locale, 'commands.raid.cooldown'), value: t(locale, 'time.minute', { count: raidSettings.lockdown_minutes }), inline: true }
+        ])
+        .setTimestamp();
+}
+
+const subcommandHandlers = {
+    'status': async (interaction, settings, locale) => {
+        await interaction.reply({ embeds: [buildStatusEmbed(interaction.guild, settings, locale)], flags: MessageFlags.Ephemeral });
+    },
+
+    'toggle': async (interaction, settings, locale) => {
+        const requested = interaction.options.getBoolean('enabled');
+        const enabled = requested ?? !settings?.raid_protection_enabled;
+
+        const saved = await saveSettings(interaction.guild, settings, { raid_protection_enabled: enabled });
+        await interaction.reply({
+            content: saved
+                ? t(locale, enabled ? 'commands.raid.enabled' : 'commands.raid.disabled')
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'config': async (interaction, settings, locale) => {
+        const changes = {};
+
+        const action = interaction.options.getString('action');
+        if (action) changes.action = action;
+
+        for (const { option, key } of THRESHOLD_OPTIONS) {
+            const value = interaction.options.getInteger(option);
+            if (value !== null) changes[key] = value;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            await interaction.reply({ content: t(locale, 'common.nothing_to_change'), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        // Only store the keys that differ from the defaults
+        const raidProtection = Object.fromEntries(
+            Object.entries({ ...(settings?.raid_protection || {}), ...changes })
+                .filter(([key, value]) => DEFAULT_RAID_PROTECTION[key] !== value)
+        );
+
+        const saved = await saveSettings(interaction.guild, settings, {
+            raid_protection: Object.keys(raidProtection).length ? raidProtection : null
+        });
+
+        if (!saved) {
+            await interaction.reply({ content: t(locale, 'common.save_failed'), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const updated = { ...settings, raid_protection: raidProtection };
+        await interaction.reply({
+            content: t(locale, 'commands.raid.updated'),
+            embeds: [buildStatusEmbed(interaction.guild, updated, locale)],
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'lockdown': async (interaction, settings, locale) => {
+        const minutes = interaction.options.getInteger('minutes') ?? resolveRaidSettings(settings).lockdown_minutes;
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const lockdown = await startLockdown(interaction.guild, {
+            reason: t(locale, 'raid.locked_by', { moderator: interaction.user.username }),
+            minutes,
+            startedBy: interaction.user
+        });
+
+        await interaction.editReply(t(locale, 'commands.raid.lockdown_started', { time: `<t:${Math.floor(lockdown.until / 1000)}:t>` }));
+    },
+
+    'end': async (interaction, settings, locale) => {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const ended = await endLockdown(interaction.guild, interaction.user);
+
+        await interaction.editReply(t(locale, ended ? 'commands.raid.ended' : 'commands.raid.not_locked'));
+    }
+};
+
+/**
+ * Handle /raid
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    const settings = await getGuildSettings(interaction.guild.id);
+
+    await subcommandHandlers[subcommand](interaction, settings, resolveLocale(interaction.guild, settings));
+
+    console.log(`⚙️ ${interaction.user.username} ran /raid ${subcommand} in ${interaction.guild.name}`);
+}
+
+/**
+ * Handle the "End lockdown" button on lockdown alerts
+ * @param {Client} client - Discord client instance
+ * @param {ButtonInteraction} interaction - The button interaction
+ */
+async function handleComponent(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const [, type] = interaction.customId.split(':');
+    if (type !== 'end') return;
+
+    const ended = await endLockdown(interaction.guild, interaction.user);
+    const locale = await getGuildLocale(interaction.guild);
+
+    await interaction.update({ components: [] });
+    await interaction.followUp({
+        content: t(locale, ended ? 'commands.raid.ended' : 'commands.raid.already_over'),
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
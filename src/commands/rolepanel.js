@@ -0,0 +1,441 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType, MessageFlags } = require('discord.js');
+const { getRolePanels, getRolePanel, upsertRolePanel, deleteRolePanel } = require('../database');
+const {
+    PANEL_STYLES,
+    PANEL_MODES,
+    MAX_PANEL_OPTIONS,
+    getPanelRoleProblem,
+    parseEmoji,
+    postRolePanel,
+    removePanelMessage,
+    applyRoleChoice
+} = require('../utils/rolePanels');
+const { resolveAnnouncementChannel } = require('../utils/announcement');
+const { isChannelSuitable } = require('../utils/helpers');
+const { DEFAULT_LOCALE, getGuildLocale, t } = require('../utils/i18n');
+const { ensureModerator, parseColor } = require('./commandUtils');
+
+const NAME_REGEX = /^[a-z0-9-]{1,32}$/;
+
+const MODE_LABELS = {
+    multi: 'Multiple roles',
+    single: 'One role (picking another replaces it)'
+};
+
+/**
+ * Label for a panel style
+ * @param {string} style - Panel style
+ * @param {string} [locale] - Locale code
+ * @returns {string} Label
+ */
+function describeStyle(style, locale = DEFAULT_LOCALE) {
+    return t(locale, `commands.rolepanel.styles.${style}`);
+}
+
+/**
+ * Add the required panel name option
+ * @param {SlashCommandSubcommandBuilder} sub - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} The subcommand
+ */
+function addNameOption(sub) {
+    return sub.addStringOption(option => option
+        .setName('name')
+        .setDescription('Panel name')
+        .setMaxLength(32)
+        .setRequired(true));
+}
+
+/**
+ * Add the panel appearance options shared by create and edit
+ * @param {SlashCommandSubcommandBuilder} sub - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} The subcommand
+ */
+function addPanelOptions(sub) {
+    return sub
+        .addStringOption(option => option
+            .setName('style')
+            .setDescription('How members pick roles (default: buttons)')
+            .addChoices(...PANEL_STYLES.map(value => ({ name: describeStyle(value), value }))))
+        .addStringOption(option => option
+            .setName('mode')
+            .setDescription('Whether members can have several of the roles (default: multiple)')
+            .addChoices(...PANEL_MODES.map(value => ({ name: MODE_LABELS[value], value }))))
+        .addStringOption(option => option
+            .setName('title')
+            .setDescription('Panel title')
+            .setMaxLength(256))
+        .addStringOption(option => option
+            .setName('description')
+            .setDescription('Text above the roles')
+            .setMaxLength(1000))
+        .addStringOption(option => option
+            .setName('color')
+            .setDescription('Embed color, e.g. #201679'));
+}
+
+const data = new SlashCommandBuilder()
+    .setName('rolepanel')
+    .setDescription('Messages where members pick their own roles')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('list')
+        .setDescription('List this server\'s role panels'))
+    .addSubcommand(sub => addPanelOptions(addNameOption(sub
+        .setName('create')
+        .setDescription('Create a role panel (add roles, then post it)'))
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel to post it in')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(true))))
+    .addSubcommand(sub => addPanelOptions(addNameOption(sub
+        .setName('edit')
+        .setDescription('Change a role panel'))
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Move it to another channel')
+            .addChannelTypes(ChannelType.GuildText))))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('add')
+        .setDescription('Add a role to a panel, or update it if it is already there'))
+        .addRoleOption(option => option
+            .setName('role')
+            .setDescription('Role members can pick')
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('emoji')
+            .setDescription('Emoji for the role (required for reaction panels)')
+            .setMaxLength(64))
+        .addStringOption(option => option
+            .setName('label')
+            .setDescription('Button or menu label (default: the role name)')
+            .setMaxLength(80))
+        .addStringOption(option => option
+            .setName('description')
+            .setDescription('Short description shown next to the role')
+            .setMaxLength(100)))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('remove')
+        .setDescription('Remove a role from a panel'))
+        .addRoleOption(option => option
+            .setName('role')
+            .setDescription('Role to remove')
+            .setRequired(true)))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('post')
+        .setDescription('Post a panel, or update its posted message')))
+    .addSubcommand(sub => addNameOption(sub
+        .setName('delete')
+        .setDescription('Delete a panel and its posted message')));
+
+/**
+ * Read the appearance options given to create or edit
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ * @returns {Object|null} Fields to save, or null if the color is invalid
+ */
+function readPanelOptions(interaction) {
+    const fields = {};
+
+    for (const key of ['style', 'mode', 'title', 'description']) {
+        const value = interaction.options.getString(key);
+        if (value !== null) fields[key] = value;
+    }
+
+    const color = parseColor(interaction.options.getString('color'));
+    if (color === undefined) return null;
+    if (color) fields.color = color;
+
+    return fields;
+}
+
+/**
+ * Save panel changes and, if the panel is posted, update its message
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ * @param {Object} panel - Current role panel row
+ * @param {Object} changes - Fields to change
+ * @param {string} done - Confirmation to show
+ * @param {string} locale - The guild's language
+ */
+async function savePanel(interaction, panel, changes, done, locale) {
+    const saved = await upsertRolePanel(interaction.guild.id, panel.name, changes);
+    if (!saved) {
+        await interaction.editReply(t(locale, 'commands.rolepanel.save_failed'));
+        return;
+    }
+
+    const lines = [`✅ ${done}`];
+    if (panel.message_id) {
+        const result = await postRolePanel(interaction.guild, { ...panel, ...changes });
+        lines.push(t(locale, 'commands.rolepanel.posted_panel', { result: t(locale, `commands.rolepanel.post.${result}`) }));
+    }
+
+    await interaction.editReply(lines.join('\n'));
+}
+
+const subcommandHandlers = {
+    'list': async (interaction, name, panel, locale) => {
+        const panels = await getRolePanels(interaction.guild.id);
+
+        if (!panels) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.load_failed'));
+            return;
+        }
+
+        const lines = panels.map(listed => {
+            const channel = resolveAnnouncementChannel(interaction.guild, listed);
+            const where = channel
+                ? `${channel}`
+                : t(locale, 'common.channel_missing', { channel: listed.channel_name || t(locale, 'common.unknown_channel') });
+            const roles = (listed.options || []).map(option => `<@&${option.role_id}>`).join(' ') || t(locale, 'commands.rolepanel.no_roles');
+            const mode = t(locale, `commands.rolepanel.modes.${listed.mode === 'single' ? 'single' : 'multi'}`);
+            return `${listed.message_id ? '🏷️' : '📝'} \`${listed.name}\` — ${describeStyle(listed.style, locale)}, ${mode} → ${where}\n${roles}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor('#7289DA')
+            .setTitle(t(locale, 'commands.rolepanel.list_title', { guild: interaction.guild.name }))
+            .setDescription(lines.join('\n\n') || t(locale, 'commands.rolepanel.list_empty'))
+            .setFooter({ text: t(locale, 'commands.rolepanel.list_footer') });
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    'create': async (interaction, name, panel, locale) => {
+        const channel = interaction.options.getChannel('channel', true);
+        const fields = readPanelOptions(interaction);
+
+        if (panel) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.exists', { name: `\`${name}\`` }));
+            return;
+        }
+
+        if (!fields) {
+            await interaction.editReply(t(locale, 'common.invalid_color'));
+            return;
+        }
+
+        if (!isChannelSuitable(channel, interaction.guild.members.me)) {
+            await interaction.editReply(t(locale, 'common.cannot_send', { channel: `${channel}` }));
+            return;
+        }
+
+        const saved = await upsertRolePanel(interaction.guild.id, name, {
+            style: 'buttons',
+            mode: 'multi',
+            options: [],
+            ...fields,
+            channel_id: channel.id,
+            channel_name: channel.name
+        });
+
+        await interaction.editReply(saved
+            ? t(locale, 'commands.rolepanel.created', { name: `\`${name}\`` })
+            : t(locale, 'commands.rolepanel.save_failed'));
+    },
+
+    'edit': async (interaction, name, panel, locale) => {
+        const channel = interaction.options.getChannel('channel');
+        const changes = readPanelOptions(interaction);
+
+        if (!changes) {
+            await interaction.editReply(t(locale, 'common.invalid_color'));
+            return;
+        }
+
+        if (channel) {
+            if (!isChannelSuitable(channel, interaction.guild.members.me)) {
+                await interaction.editReply(t(locale, 'common.cannot_send', { channel: `${channel}` }));
+                return;
+            }
+            changes.channel_id = channel.id;
+            changes.channel_name = channel.name;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            await interaction.editReply(t(locale, 'common.nothing_to_change'));
+            return;
+        }
+
+        const options = panel.options || [];
+        const style = changes.style ?? panel.style;
+
+        if (style === 'reactions' && options.some(option => !option.emoji)) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.emojis_first'));
+            return;
+        }
+
+        if (options.length > MAX_PANEL_OPTIONS[style]) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.too_many', { style: describeStyle(style, locale), max: MAX_PANEL_OPTIONS[style] }));
+            return;
+        }
+
+        await savePanel(interaction, panel, changes, t(locale, 'commands.rolepanel.updated', { name: `\`${name}\`` }), locale);
+    },
+
+    'add': async (interaction, name, panel, locale) => {
+        const role = interaction.options.getRole('role', true);
+        const emojiText = interaction.options.getString('emoji');
+        const emoji = emojiText ? parseEmoji(emojiText) : null;
+        const options = panel.options || [];
+        const existing = options.find(option => option.role_id === role.id);
+
+        const problem = getPanelRoleProblem(interaction.guild, role.id, locale);
+        if (problem) {
+            await interaction.editReply(`❌ ${problem}.`);
+            return;
+        }
+
+        if (emojiText && !emoji) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.invalid_emoji', { emoji: `\`${emojiText}\`` }));
+            return;
+        }
+
+        if (panel.style === 'reactions' && !emoji && !existing?.emoji) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.emoji_required'));
+            return;
+        }
+
+        if (!existing && options.length >= MAX_PANEL_OPTIONS[panel.style]) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.too_many', { style: describeStyle(panel.style, locale), max: MAX_PANEL_OPTIONS[panel.style] }));
+            return;
+        }
+
+        const option = {
+            role_id: role.id,
+            label: interaction.options.getString('label') ?? existing?.label ?? null,
+            emoji: emoji ?? existing?.emoji ?? null,
+            description: interaction.options.getString('description') ?? existing?.description ?? null
+        };
+
+        const updated = existing
+            ? options.map(current => current.role_id === role.id ? option : current)
+            : [...options, option];
+
+        const done = t(locale, existing ? 'commands.rolepanel.role_updated' : 'commands.rolepanel.role_added', { role: `${role}`, name: `\`${name}\`` });
+        await savePanel(interaction, panel, { options: updated }, done, locale);
+    },
+
+    'remove': async (interaction, name, panel, locale) => {
+        const role = interaction.options.getRole('role', true);
+        const options = panel.options || [];
+        const values = { role: `${role}`, name: `\`${name}\`` };
+
+        if (!options.some(option => option.role_id === role.id)) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.role_missing', values));
+            return;
+        }
+
+        const remaining = options.filter(option => option.role_id !== role.id);
+        await savePanel(interaction, panel, { options: remaining }, t(locale, 'commands.rolepanel.role_removed', values), locale);
+    },
+
+    'post': async (interaction, name, panel, locale) => {
+        if (!(panel.options || []).length) {
+            await interaction.editReply(t(locale, 'commands.rolepanel.empty', { name: `\`${name}\`` }));
+            return;
+        }
+
+        const result = await postRolePanel(interaction.guild, panel);
+        await interaction.editReply(`\`${name}\`: ${t(locale, `commands.rolepanel.post.${result}`)}`);
+    },
+
+    'delete': async (interaction, name, panel, locale) => {
+        await removePanelMessage(interaction.guild, panel);
+
+        const deleted = await deleteRolePanel(interaction.guild.id, name);
+        await interaction.editReply(t(locale, deleted ? 'commands.rolepanel.deleted' : 'commands.rolepanel.delete_failed', { name: `\`${name}\`` }));
+    }
+};
+
+// Subcommands that act on an existing panel
+const NEEDS_PANEL = ['edit', 'add', 'remove', 'post', 'delete'];
+
+/**
+ * Handle /rolepanel
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    const name = interaction.options.getString('name')?.trim().toLowerCase() ?? null;
+    const locale = await getGuildLocale(interaction.guild);
+
+    if (name !== null && !NAME_REGEX.test(name)) {
+        await interaction.reply({
+            content: t(locale, 'common.invalid_name', { example: '`cities`' }),
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    // Posting, reacting and editing messages can take a while
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const panel = name !== null ? await getRolePanel(interaction.guild.id, name) : null;
+    if (NEEDS_PANEL.includes(subcommand) && !panel) {
+        await interaction.editReply(t(locale, 'commands.rolepanel.not_found', { name: `\`${name}\`` }));
+        return;
+    }
+
+    await subcommandHandlers[subcommand](interaction, name, panel, locale);
+
+    console.log(`⚙️ ${interaction.user.username} ran /rolepanel ${subcommand} in ${interaction.guild.name}`);
+}
+
+/**
+ * Handle members clicking a panel's buttons or picking from its menu
+ * @param {Client} client - Discord client instance
+ * @param {ButtonInteraction|StringSelectMenuInteraction} interaction - The component interaction
+ */
+async function handleComponent(client, interaction) {
+    const [, type, name, roleId] = interaction.customId.split(':');
+    if (type !== 'toggle' && type !== 'select') return;
+
+    const [panel, locale] = await Promise.all([
+        getRolePanel(interaction.guild.id, name),
+        getGuildLocale(interaction.guild)
+    ]);
+    if (!panel) {
+        await interaction.reply({ content: t(locale, 'role_panels.panel_gone'), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const { member } = interaction;
+    const panelRoleIds = (panel.options || []).map(option => option.role_id);
+    let choice;
+
+    if (type === 'toggle') {
+        if (!panelRoleIds.includes(roleId)) {
+            await interaction.reply({ content: t(locale, 'role_panels.role_gone'), flags: MessageFlags.Ephemeral });
+            return;
+        }
+        choice = member.roles.cache.has(roleId) ? { remove: [roleId] } : { add: [roleId] };
+    } else {
+        choice = {
+            add: interaction.values,
+            remove: panelRoleIds.filter(id => !interaction.values.includes(id))
+        };
+    }
+
+    const { added, removed, problems } = await applyRoleChoice(member, panel, choice, locale);
+
+    const lines = [
+        ...added.map(id => t(locale, 'role_panels.added', { role: `<@&${id}>` })),
+        ...removed.map(id => t(locale, 'role_panels.removed', { role: `<@&${id}>` })),
+        ...problems.map(problem => `❌ ${problem}`)
+    ];
+
+    await interaction.reply({
+        content: lines.join('\n') || t(locale, 'role_panels.no_changes'),
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] }
+    });
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
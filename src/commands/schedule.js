@@ -0,0 +1,333 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const {
+    getAnnouncement,
+    getScheduledAnnouncements,
+    getScheduledAnnouncement,
+    createScheduledAnnouncement,
+    updateScheduledAnnouncement,
+    deleteScheduledAnnouncement
+} = require('../database');
+const { DEFAULT_ANNOUNCEMENT_COLOR } = require('../utils/announcement');
+const {
+    CATCH_UP_POLICIES,
+    parseScheduleTime,
+    getNextRun,
+    getRecurrenceProblem
+} = require('../utils/schedule');
+const { getGuildLocale, t } = require('../utils/i18n');
+const { ensureModerator } = require('./commandUtils');
+
+// Keeps /schedule list within one embed
+const MAX_SCHEDULES_PER_GUILD = 25;
+
+const CATCH_UP_LABELS = {
+    once: 'Post once for missed runs',
+    skip: 'Skip missed runs'
+};
+
+// Statuses with a commands.schedule.last_status entry
+const LAST_STATUSES = ['posted', 'skipped', 'no_channel', 'failed'];
+
+/**
+ * Add the required schedule ID option
+ * @param {SlashCommandSubcommandBuilder} sub - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} The subcommand
+ */
+function addIdOption(sub) {
+    return sub.addIntegerOption(option => option
+        .setName('id')
+        .setDescription('Schedule ID (see /schedule list)')
+        .setMinValue(1)
+        .setRequired(true));
+}
+
+const data = new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Schedule announcements to post later or on repeat')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('add')
+        .setDescription('Schedule an announcement (times are UTC)')
+        .addStringOption(option => option
+            .setName('announcement')
+            .setDescription('Announcement name')
+            .setMaxLength(32)
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('at')
+            .setDescription('When to post: YYYY-MM-DD HH:MM (UTC). With repeat, the first run is on or after it')
+            .setMaxLength(40))
+        .addStringOption(option => option
+            .setName('repeat')
+            .setDescription('Cron expression in UTC, e.g. 0 18 * * FRI, or @daily / @weekly')
+            .setMaxLength(100))
+        .addStringOption(option => option
+            .setName('catch-up')
+            .setDescription('What to do with runs missed while the bot was offline (default: post once)')
+            .addChoices(...CATCH_UP_POLICIES.map(value => ({ name: CATCH_UP_LABELS[value], value })))))
+    .addSubcommand(sub => sub
+        .setName('list')
+        .setDescription('List scheduled announcements'))
+    .addSubcommand(sub => addIdOption(sub
+        .setName('pause')
+        .setDescription('Pause a scheduled announcement')))
+    .addSubcommand(sub => addIdOption(sub
+        .setName('resume')
+        .setDescription('Resume a paused scheduled announcement'))
+        .addStringOption(option => option
+            .setName('at')
+            .setDescription('New time for the next run: YYYY-MM-DD HH:MM (UTC)')
+            .setMaxLength(40)))
+    .addSubcommand(sub => addIdOption(sub
+        .setName('delete')
+        .setDescription('Delete a scheduled announcement')));
+
+/**
+ * Format a timestamp for Discord
+ * @param {string} iso - ISO timestamp
+ * @param {string} style - Discord timestamp style (f = date and time, R = relative)
+ * @returns {string} Discord timestamp markup
+ */
+function discordTime(iso, style) {
+    return `<t:${Math.floor(Date.parse(iso) / 1000)}:${style}>`;
+}
+
+/**
+ * Describe a schedule in one line for /schedule list
+ * @param {Object} job - Scheduled announcement row
+ * @param {string} locale - The guild's language
+ * @returns {string} Description
+ */
+function describeSchedule(job, locale) {
+    const icon = job.paused ? '⏸️' : job.next_run_at ? '⏰' : '✔️';
+    const parts = [
+        `${icon} \`#${job.id}\` \`${job.announcement_name}\``,
+        job.next_run_at
+            ? t(locale, 'commands.schedule.list_next', { time: discordTime(job.next_run_at, 'f') })
+            : t(locale, 'commands.schedule.list_done')
+    ];
+
+    if (job.recurrence) parts.push(t(locale, 'commands.schedule.list_repeats', { recurrence: `\`${job.recurrence}\`` }));
+    if (job.catch_up === 'skip') parts.push(t(locale, 'commands.schedule.list_skips'));
+    if (job.last_run_at) {
+        const status = LAST_STATUSES.includes(job.last_status) ? job.last_status : 'run';
+        parts.push(t(locale, 'commands.schedule.list_last', {
+            status: t(locale, `commands.schedule.last_status.${status}`),
+            time: discordTime(job.last_run_at, 'R')
+        }));
+    }
+
+    return parts.join(' · ');
+}
+
+const subcommandHandlers = {
+    'add': async (interaction, job, locale) => {
+        const guildId = interaction.guild.id;
+        const name = interaction.options.getString('announcement', true).trim().toLowerCase();
+        const atText = interaction.options.getString('at');
+        const recurrence = interaction.options.getString('repeat')?.trim() || null;
+        const catchUp = interaction.options.getString('catch-up') ?? 'once';
+
+        const reject = content => interaction.reply({ content: `❌ ${content}`, flags: MessageFlags.Ephemeral });
+
+        if (!atText && !recurrence) {
+            await reject(t(locale, 'commands.schedule.no_time'));
+            return;
+        }
+
+        if (!await getAnnouncement(guildId, name)) {
+            await reject(t(locale, 'commands.schedule.unknown_announcement', { name: `\`${name}\`` }));
+            return;
+        }
+
+        const at = atText ? parseScheduleTime(atText) : null;
+        if (atText && !at) {
+            await reject(t(locale, 'commands.schedule.invalid_time', { example: '`2026-12-31 18:00`', timestamp: '`<t:1767225600>`' }));
+            return;
+        }
+
+        const now = new Date();
+        let nextRun = at;
+
+        if (recurrence) {
+            const problem = getRecurrenceProblem(recurrence, locale);
+            if (problem) {
+                await reject(`${problem}.`);
+                return;
+            }
+
+            // The first run is the first recurrence on or after `at`
+            nextRun = getNextRun(recurrence, at && at > now ? new Date(at.getTime() - 1) : now);
+        } else if (at <= now) {
+            await reject(t(locale, 'commands.schedule.in_past', { time: atText }));
+            return;
+        }
+
+        const existing = await getScheduledAnnouncements(guildId);
+        if (!existing) {
+            await reject(t(locale, 'commands.schedule.load_failed'));
+            return;
+        }
+
+        if (existing.length >= MAX_SCHEDULES_PER_GUILD) {
+            await reject(t(locale, 'commands.schedule.limit', { max: MAX_SCHEDULES_PER_GUILD }));
+            return;
+        }
+
+        const created = await createScheduledAnnouncement(guildId, {
+            announcement_name: name,
+            next_run_at: nextRun.toISOString(),
+            recurrence,
+            catch_up: catchUp,
+            created_by: interaction.user.id
+        });
+
+        const values = {
+            name: `\`${name}\``,
+            id: `\`#${created?.id}\``,
+            time: created ? discordTime(created.next_run_at, 'f') : null,
+            recurrence: `\`${recurrence}\``
+        };
+        await interaction.reply({
+            content: created
+                ? t(locale, recurrence ? 'commands.schedule.added_recurring' : 'commands.schedule.added', values)
+                : t(locale, 'commands.schedule.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'list': async (interaction, job, locale) => {
+        const jobs = await getScheduledAnnouncements(interaction.guild.id);
+
+        if (!jobs) {
+            await interaction.reply({ content: `❌ ${t(locale, 'commands.schedule.load_failed')}`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(DEFAULT_ANNOUNCEMENT_COLOR)
+            .setTitle(t(locale, 'commands.schedule.list_title', { guild: interaction.guild.name }))
+            .setDescription(jobs.map(scheduled => describeSchedule(scheduled, locale)).join('\n') || t(locale, 'commands.schedule.list_empty'))
+            .setFooter({ text: t(locale, 'commands.schedule.list_footer') });
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    },
+
+    'pause': async (interaction, job, locale) => {
+        const values = { id: `\`#${job.id}\``, name: `\`${job.announcement_name}\`` };
+
+        if (job.paused) {
+            await interaction.reply({ content: t(locale, 'commands.schedule.already_paused', values), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const saved = await updateScheduledAnnouncement(interaction.guild.id, job.id, { paused: true });
+        await interaction.reply({
+            content: t(locale, saved ? 'commands.schedule.paused' : 'commands.schedule.save_failed', values),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'resume': async (interaction, job, locale) => {
+        const values = { id: `\`#${job.id}\``, name: `\`${job.announcement_name}\`` };
+
+        if (!job.paused) {
+            await interaction.reply({ content: t(locale, 'commands.schedule.not_paused', values), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const reject = content => interaction.reply({ content: `❌ ${content}`, flags: MessageFlags.Ephemeral });
+        const atText = interaction.options.getString('at');
+        const at = atText ? parseScheduleTime(atText) : null;
+        const now = new Date();
+
+        if (atText && !at) {
+            await reject(t(locale, 'commands.schedule.invalid_time', { example: '`2026-12-31 18:00`', timestamp: '`<t:1767225600>`' }));
+            return;
+        }
+
+        if (at && at <= now) {
+            await reject(t(locale, 'commands.schedule.in_past', { time: atText }));
+            return;
+        }
+
+        const changes = { paused: false };
+        const overdue = Boolean(job.next_run_at) && Date.parse(job.next_run_at) < now;
+
+        if (job.recurrence) {
+            // Recurring runs that fell while paused are dropped
+            if (at || overdue) {
+                changes.next_run_at = getNextRun(job.recurrence, at ? new Date(at.getTime() - 1) : now)?.toISOString() ?? null;
+            }
+        } else if (at) {
+            changes.next_run_at = at.toISOString();
+        } else if (overdue && job.catch_up === 'skip') {
+            // The scheduler would drop it as a missed run, so keep it paused until it gets a new time
+            await interaction.reply({
+                content: t(locale, 'commands.schedule.resume_needs_time', { ...values, time: discordTime(job.next_run_at, 'f') }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const saved = await updateScheduledAnnouncement(interaction.guild.id, job.id, changes);
+        const nextRun = changes.next_run_at ?? job.next_run_at;
+
+        // An overdue one-off is picked up by the scheduler's next check
+        let key = nextRun ? 'commands.schedule.resumed_next' : 'commands.schedule.resumed';
+        if (!job.recurrence && !at && overdue) key = 'commands.schedule.resumed_overdue';
+
+        await interaction.reply({
+            content: saved
+                ? t(locale, key, { ...values, time: nextRun ? discordTime(nextRun, 'f') : null })
+                : t(locale, 'commands.schedule.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'delete': async (interaction, job, locale) => {
+        const deleted = await deleteScheduledAnnouncement(interaction.guild.id, job.id);
+        await interaction.reply({
+            content: t(locale, deleted ? 'commands.schedule.deleted' : 'commands.schedule.delete_failed', {
+                id: `\`#${job.id}\``,
+                name: `\`${job.announcement_name}\``
+            }),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+};
+
+// Subcommands that act on an existing schedule
+const NEEDS_SCHEDULE = ['pause', 'resume', 'delete'];
+
+/**
+ * Handle /schedule
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    const locale = await getGuildLocale(interaction.guild);
+
+    let job = null;
+    if (NEEDS_SCHEDULE.includes(subcommand)) {
+        const id = interaction.options.getInteger('id', true);
+        job = await getScheduledAnnouncement(interaction.guild.id, id);
+
+        if (!job) {
+            await interaction.reply({ content: t(locale, 'commands.schedule.not_found', { id: `\`#${id}\`` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+    }
+
+    await subcommandHandlers[subcommand](interaction, job, locale);
+
+    console.log(`⚙️ ${interaction.user.username} ran /schedule ${subcommand} in ${interaction.guild.name}`);
+}
+
+module.exports = {
+    data,
+    execute
+};
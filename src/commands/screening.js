@@ -0,0 +1,304 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { getGuildSettings } = require('../database');
+const {
+    DEFAULT_SCREENING,
+    SIGNAL_WEIGHTS,
+    MAX_BLOCKLIST_ENTRIES,
+    resolveScreeningSettings,
+    parseBlocklistEntry,
+    scoreMember,
+    getScreeningAction,
+    describeSignal,
+    approveMember,
+    rejectMember
+} = require('../utils/screening');
+const { getRoleAssignmentProblem } = require('../utils/roles');
+const { resolveLocale, t } = require('../utils/i18n');
+const { ensureModerator, saveSettings, toggleId } = require('./commandUtils');
+
+// Option name → screening key
+const SCORE_OPTIONS = [
+    { option: 'flag-score', key: 'flag_score', description: 'Score that flags a member for review (0 = off)' },
+    { option: 'quarantine-score', key: 'quarantine_score', description: 'Score that gives the quarantine role (0 = off)' },
+    { option: 'kick-score', key: 'kick_score', description: 'Score that kicks the member (0 = off)' }
+];
+
+const data = new SlashCommandBuilder()
+    .setName('screening')
+    .setDescription('Screen new members for suspicious accounts')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('status')
+        .setDescription('Show the screening policy'))
+    .addSubcommand(sub => sub
+        .setName('toggle')
+        .setDescription('Turn screening on or off')
+        .addBooleanOption(option => option
+            .setName('enabled')
+            .setDescription('Leave empty to flip the current state')))
+    .addSubcommand(sub => {
+        sub
+            .setName('config')
+            .setDescription('Change screening thresholds and the quarantine role')
+            .addIntegerOption(option => option
+                .setName('min-account-age')
+                .setDescription('Accounts younger than this many days score points')
+                .setMinValue(1)
+                .setMaxValue(365))
+            .addRoleOption(option => option
+                .setName('quarantine-role')
+                .setDescription('Role given to quarantined members'));
+
+        for (const { option, description } of SCORE_OPTIONS) {
+            sub.addIntegerOption(opt => opt
+                .setName(option)
+                .setDescription(description)
+                .setMinValue(0)
+                .setMaxValue(20));
+        }
+        return sub;
+    })
+    .addSubcommand(sub => sub
+        .setName('blocklist')
+        .setDescription('Add a name to the blocklist, or remove it if it is already there')
+        .addStringOption(option => option
+            .setName('entry')
+            .setDescription('Text to match in names, or /regex/')
+            .setMaxLength(100)
+            .setRequired(true)))
+    .addSubcommand(sub => sub
+        .setName('check')
+        .setDescription('Show how a member scores')
+        .addUserOption(option => option
+            .setName('member')
+            .setDescription('Member to check')
+            .setRequired(true)));
+
+/**
+ * Build the screening policy embed
+ * @param {Guild} guild - Discord guild
+ * @param {Object|null} settings - Guild settings row
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Policy embed
+ */
+function buildPolicyEmbed(guild, settings, locale) {
+    const screening = resolveScreeningSettings(settings);
+    const threshold = score => score > 0 ? `${score}+` : t(locale, 'common.off');
+
+    return new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'commands.screening.title', { guild: guild.name }))
+        .setDescription(t(locale, settings?.screening_enabled ? 'commands.screening.on' : 'commands.screening.off'))
+        .addFields([
+            { name: t(locale, 'commands.screening.flag'), value: threshold(screening.flag_score), inline: true },
+            {
+                name: t(locale, 'commands.screening.quarantine'),
+                value: screening.quarantine_role_id
+                    ? `${threshold(screening.quarantine_score)} → <@&${screening.quarantine_role_id}>`
+                    : t(locale, 'commands.screening.no_quarantine_role'),
+                inline: true
+            },
+            { name: t(locale, 'commands.screening.kick'), value: threshold(screening.kick_score), inline: true },
+            {
+                name: t(locale, 'commands.screening.scoring'),
+                value: t(locale, 'commands.screening.weights', {
+                    very_new_account: SIGNAL_WEIGHTS.very_new_account,
+                    days: screening.min_account_age_days,
+                    new_account: SIGNAL_WEIGHTS.new_account,
+                    default_avatar: SIGNAL_WEIGHTS.default_avatar,
+                    suspicious_name: SIGNAL_WEIGHTS.suspicious_name,
+                    blocklisted_name: SIGNAL_WEIGHTS.blocklisted_name
+                })
+            },
+            {
+                name: t(locale, 'commands.screening.blocklist'),
+                value: screening.name_blocklist.length
+                    ? screening.name_blocklist.map(entry => `\`${entry}\``).join(', ')
+                    : t(locale, 'common.empty')
+            }
+        ])
+        .setTimestamp();
+}
+
+/**
+ * Save screening changes, storing only the keys that differ from the defaults
+ * @param {Guild} guild - Discord guild
+ * @param {Object|null} settings - Guild settings row
+ * @param {Object} changes - Screening keys to change
+ * @returns {Promise<Object|null>} Updated settings row, or null if saving failed
+ */
+async function saveScreening(guild, settings, changes) {
+    const screening = Object.fromEntries(
+        Object.entries({ ...(settings?.screening || {}), ...changes })
+            .filter(([key, value]) => JSON.stringify(DEFAULT_SCREENING[key]) !== JSON.stringify(value))
+    );
+    const stored = Object.keys(screening).length ? screening : null;
+
+    const saved = await saveSettings(guild, settings, { screening: stored });
+    return saved ? { ...settings, screening: stored } : null;
+}
+
+const subcommandHandlers = {
+    'status': async (interaction, settings, locale) => {
+        await interaction.reply({ embeds: [buildPolicyEmbed(interaction.guild, settings, locale)], flags: MessageFlags.Ephemeral });
+    },
+
+    'toggle': async (interaction, settings, locale) => {
+        const requested = interaction.options.getBoolean('enabled');
+        const enabled = requested ?? !settings?.screening_enabled;
+
+        const saved = await saveSettings(interaction.guild, settings, { screening_enabled: enabled });
+        await interaction.reply({
+            content: saved
+                ? t(locale, enabled ? 'commands.screening.enabled' : 'commands.screening.disabled')
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'config': async (interaction, settings, locale) => {
+        const changes = {};
+
+        const minAge = interaction.options.getInteger('min-account-age');
+        if (minAge !== null) changes.min_account_age_days = minAge;
+
+        for (const { option, key } of SCORE_OPTIONS) {
+            const value = interaction.options.getInteger(option);
+            if (value !== null) changes[key] = value;
+        }
+
+        const role = interaction.options.getRole('quarantine-role');
+        if (role) {
+            const problem = getRoleAssignmentProblem(interaction.guild, role.id, locale);
+            if (problem) {
+                await interaction.reply({ content: `❌ ${problem}.`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+            changes.quarantine_role_id = role.id;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            await interaction.reply({ content: t(locale, 'common.nothing_to_change'), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const updated = await saveScreening(interaction.guild, settings, changes);
+        await interaction.reply({
+            content: t(locale, updated ? 'commands.screening.updated' : 'common.save_failed'),
+            embeds: updated ? [buildPolicyEmbed(interaction.guild, updated, locale)] : [],
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'blocklist': async (interaction, settings, locale) => {
+        const entry = interaction.options.getString('entry', true).trim();
+        const { name_blocklist: blocklist } = resolveScreeningSettings(settings);
+
+        if (!parseBlocklistEntry(entry)) {
+            await interaction.reply({ content: t(locale, 'commands.screening.invalid_regex', { entry: `\`${entry}\`` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const { list, added } = toggleId(blocklist, entry);
+
+        if (list.length > MAX_BLOCKLIST_ENTRIES) {
+            await interaction.reply({ content: t(locale, 'commands.screening.blocklist_full', { max: MAX_BLOCKLIST_ENTRIES }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const updated = await saveScreening(interaction.guild, settings, { name_blocklist: list });
+        await interaction.reply({
+            content: updated
+                ? t(locale, added ? 'commands.screening.blocklist_added' : 'commands.screening.blocklist_removed', { entry: `\`${entry}\`` })
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'check': async (interaction, settings, locale) => {
+        const member = interaction.options.getMember('member');
+
+        if (!member) {
+            await interaction.reply({ content: t(locale, 'common.not_in_server'), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const screening = resolveScreeningSettings(settings);
+        const { score, signals } = scoreMember(member, screening);
+        const action = getScreeningAction(score, screening);
+
+        const lines = [
+            t(locale, `commands.screening.check_${action || 'none'}`, { member: `${member}`, score }),
+            ...signals.map(signal => describeSignal(signal, locale))
+        ];
+
+        await interaction.reply({ content: lines.join('\n'), flags: MessageFlags.Ephemeral });
+    }
+};
+
+/**
+ * Handle /screening
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    const settings = await getGuildSettings(interaction.guild.id);
+
+    await subcommandHandlers[subcommand](interaction, settings, resolveLocale(interaction.guild, settings));
+
+    console.log(`⚙️ ${interaction.user.username} ran /screening ${subcommand} in ${interaction.guild.name}`);
+}
+
+/**
+ * Handle the Approve / Reject buttons on screening alerts in the mod-log
+ * @param {Client} client - Discord client instance
+ * @param {ButtonInteraction} interaction - The button interaction
+ */
+async function handleComponent(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const [, decision, userId] = interaction.customId.split(':');
+    if (decision !== 'approve' && decision !== 'reject') return;
+
+    // Approving runs verification or the join roles and the welcome, which can take
+    // longer than Discord waits for an answer
+    await interaction.deferUpdate();
+
+    const settings = await getGuildSettings(interaction.guild.id);
+    const locale = resolveLocale(interaction.guild, settings);
+    const member = await interaction.guild.members.fetch(userId).catch(() => null);
+
+    if (!member) {
+        await interaction.editReply({
+            embeds: [EmbedBuilder.from(interaction.message.embeds[0]).addFields([{ name: t(locale, 'screening.review'), value: t(locale, 'screening.review_left') }])],
+            components: []
+        });
+        return;
+    }
+
+    const problem = decision === 'approve'
+        ? await approveMember(member, settings, interaction.user)
+        : await rejectMember(member, interaction.user, locale);
+
+    if (problem) {
+        await interaction.followUp({ content: `❌ ${problem}`, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const outcome = t(locale, decision === 'approve' ? 'screening.review_approved' : 'screening.review_rejected', { moderator: `${interaction.user}` });
+    await interaction.editReply({
+        embeds: [EmbedBuilder.from(interaction.message.embeds[0]).addFields([{ name: t(locale, 'screening.review'), value: outcome }])],
+        components: []
+    });
+
+    console.log(`🔎 ${interaction.user.username} ${decision === 'approve' ? 'approved' : 'rejected'} ${member.user.username} in ${interaction.guild.name}`);
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
@@ -0,0 +1,178 @@
+const { SlashCommandBuilder, ChannelType, MessageFlags } = require('discord.js');
+const { LINK_POLICY_ACTIONS, MAX_GRACE_PERIOD_MINUTES, updateLinkPolicy } = require('../utils/linkPolicy');
+const {
+    loadWizardState,
+    buildSetupWizard,
+    createGracePeriodModal,
+    createDmMessageModal,
+    parseGracePeriod
+} = require('../utils/setupWizard');
+const { isChannelSuitable } = require('../utils/helpers');
+const { t } = require('../utils/i18n');
+const { ensureModerator, saveSettings, rejectInvalidTemplate } = require('./commandUtils');
+
+const data = new SlashCommandBuilder()
+    .setName('setup')
+    .setDescription('Walk through the basic Giggles settings step by step')
+    .setDMPermission(false)
+    .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Post the wizard in this channel instead of only showing it to you')
+        .addChannelTypes(ChannelType.GuildText));
+
+/**
+ * Reply with a problem only the moderator who clicked can see
+ * @param {Interaction} interaction - The component or modal interaction
+ * @param {string} content - Message to show
+ * @returns {Promise<null>} Null, so handlers can return it to stay put
+ */
+async function replyProblem(interaction, content) {
+    await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+    return null;
+}
+
+/**
+ * Save a channel picked in the wizard after checking Giggles can post there
+ * @param {ChannelSelectMenuInteraction} interaction - The channel select interaction
+ * @param {Object} state - Wizard state
+ * @param {string} key - Settings column to store the channel in
+ * @param {string} next - Step to show once saved
+ * @returns {Promise<string|null>} Next step, or null if it replied with a problem
+ */
+async function saveChannel(interaction, { settings, locale }, key, next) {
+    const channel = interaction.channels.first();
+
+    if (!isChannelSuitable(channel, interaction.guild.members.me)) {
+        return replyProblem(interaction, t(locale, 'setup.wizard.cannot_send', { channel: `${channel}` }));
+    }
+
+    const saved = await saveSettings(interaction.guild, settings, { [key]: channel.id });
+    return saved ? next : replyProblem(interaction, t(locale, 'setup.wizard.save_failed'));
+}
+
+// Each handler saves one choice and returns the step to show next, or null if
+// it already replied with a problem
+const componentHandlers = {
+    'welcome_channel': (interaction, state) => saveChannel(interaction, state, 'welcome_channel_id', 'mod_log_channel'),
+
+    'welcome_channel_auto': async (interaction, state) => {
+        const saved = await saveSettings(interaction.guild, state.settings, { welcome_channel_id: null });
+        return saved ? 'mod_log_channel' : replyProblem(interaction, t(state.locale, 'setup.wizard.save_failed'));
+    },
+
+    'mod_log_channel': (interaction, state) => saveChannel(interaction, state, 'mod_log_channel_id', 'link_policy'),
+
+    'mod_log_off': async (interaction, state) => {
+        const saved = await saveSettings(interaction.guild, state.settings, { mod_log_channel_id: null });
+        return saved ? 'link_policy' : replyProblem(interaction, t(state.locale, 'setup.wizard.save_failed'));
+    },
+
+    'link_action': async (interaction, state) => {
+        const [action] = interaction.values;
+        if (!LINK_POLICY_ACTIONS.includes(action)) return null;
+
+        const saved = await updateLinkPolicy(interaction.guild.id, { action });
+        return saved ? 'link_policy' : replyProblem(interaction, t(state.locale, 'setup.wizard.save_failed'));
+    },
+
+    'grace_modal': async (interaction, state) => {
+        const minutes = parseGracePeriod(interaction.fields.getTextInputValue('minutes'));
+        if (minutes === null) {
+            return replyProblem(interaction, t(state.locale, 'setup.wizard.invalid_grace', { max: MAX_GRACE_PERIOD_MINUTES }));
+        }
+
+        const saved = await updateLinkPolicy(interaction.guild.id, { grace_period_minutes: minutes });
+        return saved ? 'link_policy' : replyProblem(interaction, t(state.locale, 'setup.wizard.save_failed'));
+    },
+
+    'dm_toggle': async (interaction, state) => {
+        const saved = await saveSettings(interaction.guild, state.settings, { dm_enabled: state.settings?.dm_enabled === false });
+        return saved ? 'dm_message' : replyProblem(interaction, t(state.locale, 'setup.wizard.save_failed'));
+    },
+
+    'dm_modal': async (interaction, state) => {
+        const message = interaction.fields.getTextInputValue('message').trim();
+        if (await rejectInvalidTemplate(interaction, message)) return null;
+
+        const saved = await saveSettings(interaction.guild, state.settings, { dm_message: message });
+        return saved ? 'dm_message' : replyProblem(interaction, t(state.locale, 'setup.wizard.save_failed'));
+    }
+};
+
+// Buttons that open a form instead of saving anything
+const modalOpeners = {
+    'grace_period': createGracePeriodModal,
+    'dm_edit': createDmMessageModal
+};
+
+/**
+ * Handle /setup
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const { guild } = interaction;
+    const channel = interaction.options.getChannel('channel');
+    const state = await loadWizardState(guild);
+    const wizard = buildSetupWizard(guild, state);
+
+    if (!channel) {
+        await interaction.reply({ ...wizard, flags: MessageFlags.Ephemeral });
+    } else {
+        if (!isChannelSuitable(channel, guild.members.me)) {
+            await interaction.reply({ content: t(state.locale, 'common.cannot_send', { channel: `${channel}` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        try {
+            await channel.send(wizard);
+        } catch (error) {
+            await interaction.reply({ content: t(state.locale, 'setup.wizard.post_failed', { error: error.message }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.reply({ content: t(state.locale, 'setup.wizard.posted', { channel: `${channel}` }), flags: MessageFlags.Ephemeral });
+    }
+
+    console.log(`⚙️ ${interaction.user.username} ran /setup in ${guild.name}`);
+}
+
+/**
+ * Handle the wizard's menus, buttons and forms
+ * @param {Client} client - Discord client instance
+ * @param {MessageComponentInteraction|ModalSubmitInteraction} interaction - The component or modal interaction
+ */
+async function handleComponent(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const [, action, step] = interaction.customId.split(':');
+    const { guild } = interaction;
+    const state = await loadWizardState(guild);
+
+    if (action === 'goto') {
+        await interaction.update(buildSetupWizard(guild, state, step));
+        return;
+    }
+
+    if (modalOpeners[action]) {
+        await interaction.showModal(modalOpeners[action](state));
+        return;
+    }
+
+    const handler = componentHandlers[action];
+    if (!handler) return;
+
+    const next = await handler(interaction, state);
+    if (!next) return;
+
+    // Show the saved values
+    await interaction.update(buildSetupWizard(guild, await loadWizardState(guild), next));
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
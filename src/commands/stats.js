@@ -0,0 +1,240 @@
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { getMemberGrowthStats, getInviteLeaderboard } = require('../database');
+const { formatDuration } = require('../utils/template');
+const { getGuildLocale, t } = require('../utils/i18n');
+const { ensureModerator } = require('./commandUtils');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const MAX_COHORTS_SHOWN = 6;
+const LEADERBOARD_SIZE = 10;
+
+const PERIODS = [
+    { name: 'Last 7 days', value: 7 },
+    { name: 'Last 30 days', value: 30 },
+    { name: 'Last 90 days', value: 90 },
+    { name: 'Last year', value: 365 }
+];
+
+const data = new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Server analytics')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('growth')
+        .setDescription('Show member joins, leaves, retention and peak join hours')
+        .addIntegerOption(option => option
+            .setName('period')
+            .setDescription('Time range (default: last 30 days)')
+            .addChoices(...PERIODS)))
+    .addSubcommand(sub => sub
+        .setName('invites')
+        .setDescription('Show which inviters and invite links bring in members')
+        .addIntegerOption(option => option
+            .setName('period')
+            .setDescription('Time range (default: last 30 days)')
+            .addChoices(...PERIODS))
+        .addStringOption(option => option
+            .setName('by')
+            .setDescription('Rank inviters or invite links (default: inviters)')
+            .addChoices(
+                { name: 'Inviter', value: 'inviter' },
+                { name: 'Invite link', value: 'code' }
+            )));
+
+/**
+ * Draw a row of numbers as a text sparkline
+ * @param {number[]} values - Values to draw
+ * @param {number} max - Value drawn as the tallest bar (shared so rows are comparable)
+ * @returns {string} Sparkline
+ */
+function sparkline(values, max) {
+    return values.map(value => {
+        if (!max || !value) return SPARK_CHARS[0];
+        return SPARK_CHARS[Math.max(1, Math.round(value / max * (SPARK_CHARS.length - 1)))];
+    }).join('');
+}
+
+/**
+ * Format a 0-1 ratio as a percentage
+ * @param {number|null} rate - Ratio
+ * @param {string} locale - The guild's language
+ * @returns {string} e.g. "75%" or "n/a"
+ */
+function formatRate(rate, locale) {
+    return rate === null ? t(locale, 'commands.stats.not_available') : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Format a bucket start date for display
+ * @param {string} isoDate - Bucket start
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @param {string} locale - The guild's language
+ * @returns {string} e.g. "Oct 6" or "Oct 2026"
+ */
+function formatBucket(isoDate, granularity, locale) {
+    const options = granularity === 'month'
+        ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+        : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+    return new Date(isoDate).toLocaleDateString(locale, options);
+}
+
+/**
+ * Build the growth embed
+ * @param {Guild} guild - Discord guild
+ * @param {Object} stats - Result of getMemberGrowthStats
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Growth embed
+ */
+function buildGrowthEmbed(guild, stats, locale) {
+    const { series, averages, retention, granularity } = stats;
+    const max = Math.max(...series.map(bucket => Math.max(bucket.joins, bucket.leaves)));
+    const first = formatBucket(series[0].start, granularity, locale);
+    const last = formatBucket(series[series.length - 1].start, granularity, locale);
+    const notAvailable = t(locale, 'commands.stats.not_available');
+
+    // Pad the row labels to the same width so the bars line up in every language
+    const joinsLabel = t(locale, 'commands.stats.chart_joins');
+    const leavesLabel = t(locale, 'commands.stats.chart_leaves');
+    const labelWidth = Math.max(joinsLabel.length, leavesLabel.length) + 1;
+
+    const chart = [
+        `${joinsLabel.padEnd(labelWidth)}${sparkline(series.map(bucket => bucket.joins), max)}`,
+        `${leavesLabel.padEnd(labelWidth)}${sparkline(series.map(bucket => bucket.leaves), max)}`,
+        `${' '.repeat(labelWidth)}${t(locale, `commands.stats.chart_legend.${granularity}`, { first, last, max })}`
+    ].join('\n');
+
+    const peakHours = stats.peak_hours
+        .map(({ hour, joins }) => `${String(hour).padStart(2, '0')}:00 (${joins})`)
+        .join(', ');
+
+    const cohorts = retention.cohorts
+        .slice(-MAX_COHORTS_SHOWN)
+        .map(cohort => t(locale, granularity === 'month' ? 'commands.stats.cohort_month' : 'commands.stats.cohort_week', {
+            date: formatBucket(cohort.start, granularity, locale),
+            retained: cohort.retained,
+            joined: cohort.joined,
+            rate: formatRate(cohort.rate, locale)
+        }))
+        .join('\n');
+
+    const { day7 } = retention;
+    const medianStay = retention.median_stay_seconds === null
+        ? notAvailable
+        : formatDuration(retention.median_stay_seconds * 1000, locale);
+
+    const decimal = value => value.toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    const average = (key, joins, leaves) => t(locale, `commands.stats.${key}`, { joins: decimal(joins), leaves: decimal(leaves) });
+
+    return new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'commands.stats.growth_title', { guild: guild.name }))
+        .setDescription(`${t(locale, 'commands.stats.period', { count: stats.period_days })}\n\`\`\`\n${chart}\n\`\`\``)
+        .addFields([
+            { name: t(locale, 'commands.stats.joins'), value: `${stats.joins}`, inline: true },
+            { name: t(locale, 'commands.stats.leaves'), value: `${stats.leaves}`, inline: true },
+            { name: t(locale, 'commands.stats.net_growth'), value: `${stats.net > 0 ? '+' : ''}${stats.net}`, inline: true },
+            {
+                name: t(locale, 'commands.stats.averages'),
+                value: [
+                    average('per_day', averages.joins_per_day, averages.leaves_per_day),
+                    average('per_week', averages.joins_per_week, averages.leaves_per_week),
+                    average('per_month', averages.joins_per_month, averages.leaves_per_month)
+                ].join('\n')
+            },
+            {
+                name: t(locale, 'commands.stats.retention'),
+                value: day7.eligible ? `${formatRate(day7.rate, locale)} (${day7.retained}/${day7.eligible})` : notAvailable,
+                inline: true
+            },
+            { name: t(locale, 'commands.stats.median_stay'), value: medianStay, inline: true },
+            { name: t(locale, 'commands.stats.peak_hours'), value: peakHours || notAvailable, inline: true },
+            { name: t(locale, 'commands.stats.cohorts'), value: cohorts || t(locale, 'commands.stats.no_joins') }
+        ])
+        .setTimestamp();
+}
+
+/**
+ * Build the invite leaderboard embed
+ * @param {Guild} guild - Discord guild
+ * @param {Object} leaderboard - Result of getInviteLeaderboard
+ * @param {string} by - 'inviter' or 'code'
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Leaderboard embed
+ */
+function buildInviteEmbed(guild, leaderboard, by, locale) {
+    const stayed = entry => t(locale, 'commands.stats.stayed', { joins: entry.joins, retained: entry.retained });
+    const inviterLabel = inviterId => inviterId ? `<@${inviterId}>` : t(locale, 'commands.stats.vanity');
+
+    const rows = by === 'code'
+        ? leaderboard.by_code.map(entry => t(locale, 'commands.stats.code_row', {
+            code: `\`${entry.code}\``,
+            inviter: inviterLabel(entry.inviter_id),
+            stats: stayed(entry)
+        }))
+        : leaderboard.by_inviter.map(entry => t(locale, 'commands.stats.inviter_row', {
+            inviter: inviterLabel(entry.inviter_id),
+            stats: stayed(entry),
+            count: entry.codes.length
+        }));
+
+    const lines = rows
+        .slice(0, LEADERBOARD_SIZE)
+        .map((row, index) => `**${index + 1}.** ${row}`);
+
+    const untracked = leaderboard.joins - leaderboard.tracked_joins;
+    const footer = t(locale, 'commands.stats.attributed', { tracked: leaderboard.tracked_joins, joins: leaderboard.joins });
+
+    return new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, by === 'code' ? 'commands.stats.top_codes' : 'commands.stats.top_inviters', { guild: guild.name }))
+        .setDescription(`${t(locale, 'commands.stats.period', { count: leaderboard.period_days })}\n\n${lines.join('\n') || t(locale, 'commands.stats.no_invites')}`)
+        .setFooter({ text: untracked ? `${footer} · ${t(locale, 'commands.stats.untracked')}` : footer })
+        .setTimestamp();
+}
+
+const subcommandHandlers = {
+    'growth': async (interaction, days, locale) => {
+        const stats = await getMemberGrowthStats(interaction.guild.id, days);
+
+        if (!stats) {
+            await interaction.editReply(t(locale, 'commands.stats.growth_failed'));
+            return;
+        }
+
+        await interaction.editReply({ embeds: [buildGrowthEmbed(interaction.guild, stats, locale)] });
+    },
+
+    'invites': async (interaction, days, locale) => {
+        const leaderboard = await getInviteLeaderboard(interaction.guild.id, days);
+
+        if (!leaderboard) {
+            await interaction.editReply(t(locale, 'commands.stats.invites_failed'));
+            return;
+        }
+
+        const by = interaction.options.getString('by') ?? 'inviter';
+        await interaction.editReply({ embeds: [buildInviteEmbed(interaction.guild, leaderboard, by, locale)] });
+    }
+};
+
+/**
+ * Handle /stats
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!(await ensureModerator(interaction))) return;
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const subcommand = interaction.options.getSubcommand();
+    const days = interaction.options.getInteger('period') ?? 30;
+    const locale = await getGuildLocale(interaction.guild);
+
+    await subcommandHandlers[subcommand](interaction, days, locale);
+}
+
+module.exports = {
+    data,
+    execute
+};
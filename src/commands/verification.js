@@ -0,0 +1,291 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType, MessageFlags } = require('discord.js');
+const { getGuildSettings } = require('../database');
+const {
+    VERIFICATION_CHALLENGES,
+    DEFAULT_VERIFICATION,
+    MAX_VERIFICATION_KICK_MINUTES,
+    resolveVerificationSettings,
+    isVerificationActive,
+    buildVerificationMessage,
+    createCaptchaModal,
+    checkCaptchaAnswer,
+    completeVerification
+} = require('../utils/verification');
+const { getRoleAssignmentProblem } = require('../utils/roles');
+const { isChannelSuitable } = require('../utils/helpers');
+const { DEFAULT_LOCALE, resolveLocale, t } = require('../utils/i18n');
+const { ensureModerator, saveSettings } = require('./commandUtils');
+
+/**
+ * Label for a verification challenge
+ * @param {string} challenge - Challenge type
+ * @param {string} [locale] - Locale code
+ * @returns {string} Label
+ */
+function describeChallenge(challenge, locale = DEFAULT_LOCALE) {
+    return t(locale, `commands.verification.challenges.${challenge}`);
+}
+
+const data = new SlashCommandBuilder()
+    .setName('verification')
+    .setDescription('Make new members accept the rules before they are welcomed')
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+        .setName('status')
+        .setDescription('Show the verification settings'))
+    .addSubcommand(sub => sub
+        .setName('toggle')
+        .setDescription('Turn verification on or off')
+        .addBooleanOption(option => option
+            .setName('enabled')
+            .setDescription('Leave empty to flip the current state')))
+    .addSubcommand(sub => sub
+        .setName('config')
+        .setDescription('Change the unverified role, the challenge and the kick timeout')
+        .addRoleOption(option => option
+            .setName('role')
+            .setDescription('Role new members hold until they verify'))
+        .addStringOption(option => option
+            .setName('challenge')
+            .setDescription('What members do to verify')
+            .addChoices(...VERIFICATION_CHALLENGES.map(value => ({ name: describeChallenge(value), value }))))
+        .addIntegerOption(option => option
+            .setName('kick-after')
+            .setDescription('Kick members who haven\'t verified after this many minutes (0 = never)')
+            .setMinValue(0)
+            .setMaxValue(MAX_VERIFICATION_KICK_MINUTES))
+        .addChannelOption(option => option
+            .setName('rules-channel')
+            .setDescription('Channel the verification message points to')
+            .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub => sub
+        .setName('post')
+        .setDescription('Post the verification message, replacing the previous one')
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel unverified members can see')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(true)));
+
+/**
+ * Build the verification settings embed
+ * @param {Guild} guild - Discord guild
+ * @param {Object|null} settings - Guild settings row
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildSettingsEmbed(guild, settings, locale) {
+    const verification = resolveVerificationSettings(settings);
+    const roleProblem = verification.role_id && getRoleAssignmentProblem(guild, verification.role_id, locale);
+
+    return new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'commands.verification.title', { guild: guild.name }))
+        .setDescription(t(locale, settings?.verification_enabled ? 'commands.verification.on' : 'commands.verification.off'))
+        .addFields([
+            {
+                name: t(locale, 'commands.verification.role'),
+                value: verification.role_id
+                    ? `<@&${verification.role_id}>${roleProblem ? `\n⚠️ ${roleProblem}` : ''}`
+                    : t(locale, 'common.not_set'),
+                inline: true
+            },
+            { name: t(locale, 'commands.verification.challenge'), value: describeChallenge(verification.challenge, locale), inline: true },
+            {
+                name: t(locale, 'commands.verification.kick'),
+                value: verification.kick_after_minutes
+                    ? t(locale, 'commands.verification.kick_after', { duration: t(locale, 'time.minute', { count: verification.kick_after_minutes }) })
+                    : t(locale, 'commands.verification.kick_never'),
+                inline: true
+            },
+            {
+                name: t(locale, 'commands.verification.message'),
+                value: verification.message_id
+                    ? `https://discord.com/channels/${guild.id}/${verification.channel_id}/${verification.message_id}`
+                    : t(locale, 'commands.verification.not_posted')
+            }
+        ])
+        .setTimestamp();
+}
+
+/**
+ * Save verification changes, storing only the keys that differ from the defaults
+ * @param {Guild} guild - Discord guild
+ * @param {Object|null} settings - Guild settings row
+ * @param {Object} changes - Verification keys to change
+ * @returns {Promise<Object|null>} Updated settings row, or null if saving failed
+ */
+async function saveVerification(guild, settings, changes) {
+    const verification = Object.fromEntries(
+        Object.entries({ ...(settings?.verification || {}), ...changes })
+            .filter(([key, value]) => DEFAULT_VERIFICATION[key] !== value)
+    );
+    const stored = Object.keys(verification).length ? verification : null;
+
+    const saved = await saveSettings(guild, settings, { verification: stored });
+    return saved ? { ...settings, verification: stored } : null;
+}
+
+const subcommandHandlers = {
+    'status': async (interaction, settings, locale) => {
+        await interaction.reply({ embeds: [buildSettingsEmbed(interaction.guild, settings, locale)], flags: MessageFlags.Ephemeral });
+    },
+
+    'toggle': async (interaction, settings, locale) => {
+        const requested = interaction.options.getBoolean('enabled');
+        const enabled = requested ?? !settings?.verification_enabled;
+
+        if (enabled && !resolveVerificationSettings(settings).role_id) {
+            await interaction.reply({
+                content: t(locale, 'commands.verification.no_role'),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const saved = await saveSettings(interaction.guild, settings, { verification_enabled: enabled });
+        const reminder = enabled && !resolveVerificationSettings(settings).message_id
+            ? `\n${t(locale, 'commands.verification.post_reminder')}`
+            : '';
+
+        await interaction.reply({
+            content: saved
+                ? `${t(locale, enabled ? 'commands.verification.enabled' : 'commands.verification.disabled')}${reminder}`
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'config': async (interaction, settings, locale) => {
+        const changes = {};
+
+        const role = interaction.options.getRole('role');
+        if (role) {
+            const problem = getRoleAssignmentProblem(interaction.guild, role.id, locale);
+            if (problem) {
+                await interaction.reply({ content: `❌ ${problem}.`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+            changes.role_id = role.id;
+        }
+
+        const challenge = interaction.options.getString('challenge');
+        if (challenge) changes.challenge = challenge;
+
+        const kickAfter = interaction.options.getInteger('kick-after');
+        if (kickAfter !== null) changes.kick_after_minutes = kickAfter;
+
+        const rulesChannel = interaction.options.getChannel('rules-channel');
+        if (rulesChannel) changes.rules_channel_id = rulesChannel.id;
+
+        if (Object.keys(changes).length === 0) {
+            await interaction.reply({ content: t(locale, 'common.nothing_to_change'), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const updated = await saveVerification(interaction.guild, settings, changes);
+        await interaction.reply({
+            content: t(locale, updated ? 'commands.verification.updated' : 'common.save_failed'),
+            embeds: updated ? [buildSettingsEmbed(interaction.guild, updated, locale)] : [],
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'post': async (interaction, settings, locale) => {
+        const channel = interaction.options.getChannel('channel', true);
+        const verification = resolveVerificationSettings(settings);
+
+        if (!isChannelSuitable(channel, interaction.guild.members.me)) {
+            await interaction.reply({ content: t(locale, 'common.cannot_send', { channel: `${channel}` }), flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        // Remove the previous verification message so only one button is around
+        if (verification.message_id) {
+            const previous = interaction.guild.channels.cache.get(verification.channel_id);
+            await previous?.messages.delete(verification.message_id).catch(() => null);
+        }
+
+        let message;
+        try {
+            message = await channel.send(buildVerificationMessage(interaction.guild, verification, locale));
+        } catch (error) {
+            await interaction.editReply(t(locale, 'commands.verification.post_failed', { error: error.message }));
+            return;
+        }
+
+        const updated = await saveVerification(interaction.guild, settings, { channel_id: channel.id, message_id: message.id });
+        await interaction.editReply(updated
+            ? t(locale, 'commands.verification.posted', { channel: `${channel}` })
+            : t(locale, 'commands.verification.post_not_saved'));
+    }
+};
+
+/**
+ * Handle /verification
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    const settings = await getGuildSettings(interaction.guild.id);
+
+    await subcommandHandlers[subcommand](interaction, settings, resolveLocale(interaction.guild, settings));
+
+    console.log(`⚙️ ${interaction.user.username} ran /verification ${subcommand} in ${interaction.guild.name}`);
+}
+
+/**
+ * Handle members clicking the verification button and answering the captcha form
+ * @param {Client} client - Discord client instance
+ * @param {ButtonInteraction|ModalSubmitInteraction} interaction - The component or modal interaction
+ */
+async function handleComponent(client, interaction) {
+    const [, action] = interaction.customId.split(':');
+    if (action !== 'start' && action !== 'answer') return;
+
+    const { member } = interaction;
+    const settings = await getGuildSettings(interaction.guild.id);
+    const verification = resolveVerificationSettings(settings);
+    const locale = resolveLocale(interaction.guild, settings);
+
+    if (!isVerificationActive(settings) || !member.roles.cache.has(verification.role_id)) {
+        await interaction.reply({ content: t(locale, 'verification.already_verified'), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    if (action === 'start' && verification.challenge === 'captcha') {
+        await interaction.showModal(createCaptchaModal(member, locale));
+        return;
+    }
+
+    if (action === 'answer') {
+        const result = checkCaptchaAnswer(member, interaction.fields.getTextInputValue('answer'));
+
+        if (result !== 'correct') {
+            await interaction.reply({
+                content: t(locale, result === 'wrong' ? 'verification.wrong_answer' : 'verification.expired'),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+    }
+
+    // Giving the join roles and rendering the welcome can take a moment
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const problem = await completeVerification(member, settings);
+    await interaction.editReply(problem
+        ? t(locale, 'verification.failed', { problem })
+        : t(locale, 'verification.verified', { guild: interaction.guild.name }));
+}
+
+module.exports = {
+    data,
+    execute,
+    handleComponent
+};
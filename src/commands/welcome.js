@@ -0,0 +1,499 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { getGuildSettings } = require('../database');
+const { truncateText, isPublicHttpsUrl } = require('../utils/helpers');
+const { WELCOME_FORMATS, MAX_EMBED_FIELDS, resolveWelcomeEmbedSpec, buildWelcomeMessage } = require('../utils/welcome');
+const { validateTemplate, describeTemplateErrors } = require('../utils/template');
+const { resolveWelcomeCardSpec, buildWelcomeCardPost } = require('../utils/welcomeCard');
+const { resolveLocale, t } = require('../utils/i18n');
+const {
+    DELAYED_ROLE_TRIGGERS, MAX_DELAYED_ROLE_MINUTES, describeDelayedTrigger, getRoleAssignmentProblem
+} = require('../utils/roles');
+const { ensureModerator, saveSettings, toggleId, parseColor } = require('./commandUtils');
+
+/**
+ * Options of /welcome embed set, keyed by option name
+ */
+const EMBED_OPTION_DESCRIPTIONS = {
+    color: 'Hex color, e.g. #7289DA',
+    title: 'Title (supports placeholders)',
+    description: 'Description (supports placeholders; default is the welcome message)',
+    content: 'Text sent above the embed (supports placeholders)',
+    image: 'Banner image URL, "avatar" or "server"',
+    thumbnail: 'Thumbnail URL, "avatar" or "server"',
+    footer: 'Footer text (supports placeholders)',
+    'footer-icon': 'Footer icon URL, "avatar" or "server"'
+};
+
+const EMBED_IMAGE_OPTIONS = ['image', 'thumbnail', 'footer-icon'];
+
+const data = new SlashCommandBuilder()
+    .setName('welcome')
+    .setDescription('Customize how new members are welcomed')
+    .setDMPermission(false)
+    .addSubcommandGroup(group => group
+        .setName('embed')
+        .setDescription('Customize how the welcome post looks')
+        .addSubcommand(sub => sub
+            .setName('preview')
+            .setDescription('Preview the welcome post using yourself as the new member'))
+        .addSubcommand(sub => sub
+            .setName('format')
+            .setDescription('Send the welcome post as an embed, plain text, or both')
+            .addStringOption(option => option
+                .setName('format')
+                .setDescription('Welcome post format')
+                .addChoices(
+                    { name: 'Embed', value: 'embed' },
+                    { name: 'Plain text', value: 'text' },
+                    { name: 'Text and embed', value: 'both' }
+                )
+                .setRequired(true)))
+        .addSubcommand(sub => {
+            sub.setName('set')
+                .setDescription('Change parts of the embed ("none" hides a part, "default" restores it)');
+
+            for (const [name, description] of Object.entries(EMBED_OPTION_DESCRIPTIONS)) {
+                sub.addStringOption(option => option
+                    .setName(name)
+                    .setDescription(description)
+                    .setMaxLength(name === 'description' ? 2000 : 256));
+            }
+
+            return sub.addBooleanOption(option => option
+                .setName('timestamp')
+                .setDescription('Show the join time in the footer'));
+        })
+        .addSubcommand(sub => sub
+            .setName('add-field')
+            .setDescription('Add a field to the embed')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Field title (supports placeholders)')
+                .setMaxLength(256)
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('value')
+                .setDescription('Field text (supports placeholders, use \\n for new lines)')
+                .setMaxLength(1024)
+                .setRequired(true))
+            .addBooleanOption(option => option
+                .setName('inline')
+                .setDescription('Show the field side by side with others'))
+            .addIntegerOption(option => option
+                .setName('position')
+                .setDescription('Where to insert the field (default: last)')
+                .setMinValue(1)
+                .setMaxValue(MAX_EMBED_FIELDS)))
+        .addSubcommand(sub => sub
+            .setName('remove-field')
+            .setDescription('Remove a field from the embed')
+            .addIntegerOption(option => option
+                .setName('position')
+                .setDescription('Field number as shown in the preview order')
+                .setMinValue(1)
+                .setMaxValue(MAX_EMBED_FIELDS)
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('reset')
+            .setDescription('Restore the default welcome embed')))
+    .addSubcommandGroup(group => group
+        .setName('card')
+        .setDescription('Send new members a generated welcome card image')
+        .addSubcommand(sub => sub
+            .setName('preview')
+            .setDescription('Preview the welcome card using yourself as the new member'))
+        .addSubcommand(sub => sub
+            .setName('toggle')
+            .setDescription('Turn welcome cards on or off')
+            .addBooleanOption(option => option
+                .setName('enabled')
+                .setDescription('Leave empty to flip the current state')))
+        .addSubcommand(sub => sub
+            .setName('background')
+            .setDescription('Set the card background')
+            .addStringOption(option => option
+                .setName('color')
+                .setDescription('Hex color, e.g. #23272a'))
+            .addStringOption(option => option
+                .setName('image')
+                .setDescription('Background image URL ("none" to remove)')))
+        .addSubcommand(sub => sub
+            .setName('colors')
+            .setDescription('Set the card color scheme')
+            .addStringOption(option => option
+                .setName('accent')
+                .setDescription('Accent color for the ring, bar and heading, e.g. #7289DA'))
+            .addStringOption(option => option
+                .setName('text')
+                .setDescription('Text color, e.g. #ffffff')))
+        .addSubcommand(sub => sub
+            .setName('reset')
+            .setDescription('Restore the default card background and colors')))
+    .addSubcommandGroup(group => group
+        .setName('roles')
+        .setDescription('Roles given to new members')
+        .addSubcommand(sub => sub
+            .setName('auto-role')
+            .setDescription('Add or remove a role given to every new member on join')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Auto-role')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('delayed-role')
+            .setDescription('Give new members a role after a delay or once they pass screening')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Delayed role (leave empty to turn it off)'))
+            .addStringOption(option => option
+                .setName('trigger')
+                .setDescription('When to give the role (default: after a delay)')
+                .addChoices(
+                    { name: 'After a number of minutes', value: 'timer' },
+                    { name: 'Once membership screening is passed', value: 'screening' }
+                ))
+            .addIntegerOption(option => option
+                .setName('minutes')
+                .setDescription('Delay in minutes for the timer trigger (default: 10)')
+                .setMinValue(0)
+                .setMaxValue(MAX_DELAYED_ROLE_MINUTES))));
+
+/**
+ * Save welcome embed overrides and reply with the outcome
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ * @param {Object} settings - Current guild settings
+ * @param {Object|null} overrides - Embed keys that differ from the default, or null for the default embed
+ * @param {string} successMessage - Reply when saved
+ * @param {string} locale - The guild's language
+ */
+async function saveWelcomeEmbed(interaction, settings, overrides, successMessage, locale) {
+    const saved = await saveSettings(interaction.guild, settings, { welcome_embed: overrides });
+    await interaction.reply({
+        content: saved ? successMessage : t(locale, 'common.save_failed'),
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+/**
+ * Parse a value given to /welcome embed set
+ * @param {string} name - Option name
+ * @param {string} raw - Value entered by the admin
+ * @param {string} locale - The guild's language
+ * @returns {{ value?: *, error?: string }} Parsed value or a problem description
+ */
+function parseEmbedOption(name, raw, locale) {
+    const value = raw.trim();
+
+    if (name === 'color') {
+        const color = parseColor(value);
+        return color ? { value: color } : { error: t(locale, 'commands.welcome.invalid_color', { example: '`#7289DA`' }) };
+    }
+
+    if (EMBED_IMAGE_OPTIONS.includes(name)) {
+        const keyword = value.toLowerCase();
+        if (keyword === 'avatar' || keyword === 'server') return { value: keyword };
+        return /^https?:\/\/\S+$/i.test(value)
+            ? { value }
+            : { error: t(locale, 'commands.welcome.invalid_image') };
+    }
+
+    // Slash command options can't contain line breaks, so allow \n
+    const template = value.replace(/\\n/g, '\n');
+    const validation = validateTemplate(template);
+    return validation.valid ? { value: template } : { error: describeTemplateErrors(validation, locale) };
+}
+
+const embedHandlers = {
+    'preview': async (interaction, settings, locale) => {
+        const post = buildWelcomeMessage(settings, {
+            user: interaction.user,
+            guild: interaction.guild,
+            member: interaction.member,
+            locale
+        });
+
+        await interaction.reply({ ...post, flags: MessageFlags.Ephemeral });
+    },
+
+    'format': async (interaction, settings, locale) => {
+        const format = interaction.options.getString('format', true);
+        if (!WELCOME_FORMATS.includes(format)) return;
+
+        const saved = await saveSettings(interaction.guild, settings, { welcome_format: format });
+        await interaction.reply({
+            content: saved
+                ? t(locale, 'commands.welcome.format_set', { format: t(locale, `commands.welcome.formats.${format}`) })
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'set': async (interaction, settings, locale) => {
+        const overrides = { ...(settings?.welcome_embed || {}) };
+        const problems = [];
+        let changed = 0;
+
+        for (const name of Object.keys(EMBED_OPTION_DESCRIPTIONS)) {
+            const raw = interaction.options.getString(name);
+            if (raw === null) continue;
+
+            const key = name.replace('-', '_');
+            const keyword = raw.trim().toLowerCase();
+            changed++;
+
+            if (keyword === 'default') {
+                delete overrides[key];
+                continue;
+            }
+
+            if (keyword === 'none') {
+                overrides[key] = null;
+                continue;
+            }
+
+            const { value, error } = parseEmbedOption(name, raw, locale);
+            if (error) {
+                problems.push(`**${name}:** ${error}`);
+            } else {
+                overrides[key] = value;
+            }
+        }
+
+        const timestamp = interaction.options.getBoolean('timestamp');
+        if (timestamp !== null) {
+            overrides.timestamp = timestamp;
+            changed++;
+        }
+
+        if (!changed || problems.length) {
+            await interaction.reply({
+                content: problems.length
+                    ? t(locale, 'commands.welcome.not_saved', { problems: problems.join('\n') })
+                    : t(locale, 'common.nothing_to_change'),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        await saveWelcomeEmbed(interaction, settings, overrides, t(locale, 'commands.welcome.embed_updated'), locale);
+    },
+
+    'add-field': async (interaction, settings, locale) => {
+        const fields = [...resolveWelcomeEmbedSpec(settings, locale).fields];
+
+        if (fields.length >= MAX_EMBED_FIELDS) {
+            await interaction.reply({
+                content: t(locale, 'commands.welcome.too_many_fields', { max: MAX_EMBED_FIELDS }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const name = parseEmbedOption('name', interaction.options.getString('name', true), locale);
+        const value = parseEmbedOption('value', interaction.options.getString('value', true), locale);
+        const problems = [name.error && `**name:** ${name.error}`, value.error && `**value:** ${value.error}`].filter(Boolean);
+
+        if (problems.length) {
+            await interaction.reply({
+                content: t(locale, 'commands.welcome.not_saved', { problems: problems.join('\n') }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const position = interaction.options.getInteger('position') ?? fields.length + 1;
+        const index = Math.min(position, fields.length + 1) - 1;
+        fields.splice(index, 0, {
+            name: name.value,
+            value: value.value,
+            inline: interaction.options.getBoolean('inline') ?? false
+        });
+
+        await saveWelcomeEmbed(interaction, settings, { ...(settings?.welcome_embed || {}), fields },
+            t(locale, 'commands.welcome.field_added', { name: truncateText(name.value, 100), position: index + 1 }), locale);
+    },
+
+    'remove-field': async (interaction, settings, locale) => {
+        const fields = [...resolveWelcomeEmbedSpec(settings, locale).fields];
+        const position = interaction.options.getInteger('position', true);
+
+        if (position > fields.length) {
+            await interaction.reply({
+                content: t(locale, 'commands.welcome.too_few_fields', { count: fields.length }),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const [removed] = fields.splice(position - 1, 1);
+        await saveWelcomeEmbed(interaction, settings, { ...(settings?.welcome_embed || {}), fields },
+            t(locale, 'commands.welcome.field_removed', { name: truncateText(removed.name, 100) }), locale);
+    },
+
+    'reset': async (interaction, settings, locale) => {
+        await saveWelcomeEmbed(interaction, settings, null, t(locale, 'commands.welcome.embed_reset'), locale);
+    }
+};
+
+const cardHandlers = {
+    'preview': async (interaction, settings, locale) => {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        const post = await buildWelcomeCardPost(settings, {
+            user: interaction.user,
+            guild: interaction.guild,
+            member: interaction.member,
+            locale
+        });
+
+        await interaction.editReply(post || { content: t(locale, 'commands.welcome.card_failed') });
+    },
+
+    'toggle': async (interaction, settings, locale) => {
+        const requested = interaction.options.getBoolean('enabled');
+        const enabled = requested ?? !settings?.welcome_card_enabled;
+
+        const saved = await saveSettings(interaction.guild, settings, { welcome_card_enabled: enabled });
+        await interaction.reply({
+            content: saved
+                ? t(locale, enabled ? 'commands.welcome.card_enabled' : 'commands.welcome.card_disabled')
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'background': async (interaction, settings, locale) => {
+        const color = parseColor(interaction.options.getString('color'));
+        const image = interaction.options.getString('image')?.trim() ?? null;
+        const removeImage = image?.toLowerCase() === 'none';
+
+        let error = null;
+        if (color === undefined) error = `❌ ${t(locale, 'commands.welcome.invalid_color', { example: '`#23272a`' })}`;
+        else if (image && !removeImage && !isPublicHttpsUrl(image)) error = t(locale, 'commands.welcome.invalid_background');
+        else if (!color && !image) error = t(locale, 'commands.welcome.background_missing');
+
+        if (error) {
+            await interaction.reply({ content: error, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const card = { ...(settings?.welcome_card || {}) };
+        if (color) card.background_color = color;
+        if (image) card.background_url = removeImage ? null : image;
+
+        const saved = await saveSettings(interaction.guild, settings, { welcome_card: card });
+        await interaction.reply({
+            content: saved ? t(locale, 'commands.welcome.background_updated') : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'colors': async (interaction, settings, locale) => {
+        const accent = parseColor(interaction.options.getString('accent'));
+        const text = parseColor(interaction.options.getString('text'));
+
+        if (accent === undefined || text === undefined || (!accent && !text)) {
+            await interaction.reply({
+                content: t(locale, 'commands.welcome.invalid_card_colors'),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const card = { ...(settings?.welcome_card || {}) };
+        if (accent) card.accent_color = accent;
+        if (text) card.text_color = text;
+
+        const saved = await saveSettings(interaction.guild, settings, { welcome_card: card });
+        const spec = resolveWelcomeCardSpec({ welcome_card: card });
+        await interaction.reply({
+            content: saved
+                ? t(locale, 'commands.welcome.card_colors_set', { accent: `\`${spec.accent_color}\``, text: `\`${spec.text_color}\`` })
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'reset': async (interaction, settings, locale) => {
+        const saved = await saveSettings(interaction.guild, settings, { welcome_card: null });
+        await interaction.reply({
+            content: saved ? t(locale, 'commands.welcome.card_reset') : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+};
+
+const rolesHandlers = {
+    'auto-role': async (interaction, settings, locale) => {
+        const role = interaction.options.getRole('role', true);
+        const { list, added } = toggleId(settings?.auto_role_ids || [], role.id);
+        const problem = added ? getRoleAssignmentProblem(interaction.guild, role.id, locale) : null;
+
+        const saved = await saveSettings(interaction.guild, settings, { auto_role_ids: list });
+        const success = t(locale, added ? 'commands.welcome.auto_role_added' : 'commands.welcome.auto_role_removed', { role: `${role}` });
+        await interaction.reply({
+            content: saved
+                ? `${success}${problem ? `\n${t(locale, 'commands.welcome.role_problem', { problem })}` : ''}`
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    'delayed-role': async (interaction, settings, locale) => {
+        const role = interaction.options.getRole('role');
+
+        if (!role) {
+            const saved = await saveSettings(interaction.guild, settings, { delayed_role_id: null });
+            await interaction.reply({
+                content: saved ? t(locale, 'commands.welcome.delayed_role_off') : t(locale, 'common.save_failed'),
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const trigger = interaction.options.getString('trigger') ?? 'timer';
+        if (!DELAYED_ROLE_TRIGGERS.includes(trigger)) return;
+
+        const minutes = interaction.options.getInteger('minutes') ?? 10;
+        const changes = { delayed_role_id: role.id, delayed_role_trigger: trigger, delayed_role_minutes: minutes };
+        const problem = getRoleAssignmentProblem(interaction.guild, role.id, locale);
+        const success = t(locale, 'commands.welcome.delayed_role_set', { role: `${role}`, trigger: describeDelayedTrigger(changes, locale) });
+
+        const saved = await saveSettings(interaction.guild, settings, changes);
+        await interaction.reply({
+            content: saved
+                ? `${success}${problem ? `\n${t(locale, 'commands.welcome.role_problem', { problem })}` : ''}`
+                : t(locale, 'common.save_failed'),
+            flags: MessageFlags.Ephemeral
+        });
+    }
+};
+
+const groupHandlers = {
+    embed: embedHandlers,
+    card: cardHandlers,
+    roles: rolesHandlers
+};
+
+/**
+ * Handle /welcome
+ * @param {Client} client - Discord client instance
+ * @param {ChatInputCommandInteraction} interaction - The command interaction
+ */
+async function execute(client, interaction) {
+    if (!await ensureModerator(interaction)) return;
+
+    const group = interaction.options.getSubcommandGroup();
+    const subcommand = interaction.options.getSubcommand();
+    const settings = await getGuildSettings(interaction.guild.id);
+    const locale = resolveLocale(interaction.guild, settings);
+
+    await groupHandlers[group][subcommand](interaction, settings, locale);
+
+    console.log(`⚙️ ${interaction.user.username} ran /welcome ${group} ${subcommand} in ${interaction.guild.name}`);
+}
+
+module.exports = {
+    data,
+    execute
+};
@@ -0,0 +1,128 @@
+/**
+ * Storage layer for the bot.
+ *
+ * Every backend implements the same repository interface (the functions listed
+ * in REPOSITORY_METHODS). The backend is chosen with the DATABASE_BACKEND
+ * environment variable:
+ *  - supabase (default) - Supabase/Postgres, see database_schema.sql
+ *  - json               - Local JSON file (DATABASE_FILE, default: data/giggles.json)
+ *  - memory             - In-memory only, nothing is persisted
+ *
+ * Event handlers and commands import from this module, never from a backend directly.
+ */
+
+const supabase = require('./supabase');
+const local = require('./local');
+
+const REPOSITORY_METHODS = [
+    'testConnection',
+
+    // Guild settings
+    'getGuildSettings',
+    'upsertGuildSettings',
+    'setGuildActive',
+    'setGuildLockdown',
+    'getLinkPolicy',
+    'upsertLinkPolicy',
+
+    // Announcements
+    'getAnnouncements',
+    'getAnnouncement',
+    'upsertAnnouncement',
+    'recordAnnouncementPost',
+    'deleteAnnouncement',
+
+    // Scheduled announcements
+    'getScheduledAnnouncements',
+    'getScheduledAnnouncement',
+    'getDueScheduledAnnouncements',
+    'createScheduledAnnouncement',
+    'updateScheduledAnnouncement',
+    'deleteScheduledAnnouncement',
+
+    // Role panels
+    'getRolePanels',
+    'getRolePanel',
+    'getReactionRolePanels',
+    'upsertRolePanel',
+    'deleteRolePanel',
+
+    // Member joins and leaves
+    'logMemberJoin',
+    'logMemberLeave',
+    'getLatestMemberJoin',
+    'getMemberGrowthStats',
+    'getInviteLeaderboard',
+
+    // Link edit violations
+    'logLinkViolation',
+    'getRecentLinkViolations',
+    'getLinkViolationStats',
+    'countUserLinkViolations',
+    'logLinkEscalation',
+
+    // Message tracking
+    'trackMessage',
+    'getTrackedMessage',
+    'cleanupMessageTracking'
+];
+
+const BACKENDS = {
+    supabase: {
+        repository: supabase,
+        initialize: () => supabase.initializeSupabase()
+    },
+    json: {
+        repository: local,
+        initialize: () => local.initializeLocal(process.env.DATABASE_FILE || 'data/giggles.json')
+    },
+    memory: {
+        repository: local,
+        initialize: () => local.initializeLocal(null)
+    }
+};
+
+let activeRepository = null;
+
+/**
+ * Initialize the backend selected by DATABASE_BACKEND
+ * @returns {Object} The active repository
+ */
+function initializeDatabase() {
+    const backendName = (process.env.DATABASE_BACKEND || 'supabase').toLowerCase();
+    const backend = BACKENDS[backendName];
+
+    if (!backend) {
+        throw new Error(`❌ Unknown DATABASE_BACKEND "${backendName}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    backend.initialize();
+    activeRepository = backend.repository;
+
+    console.log(`🗄️ Using ${backendName} storage backend`);
+    return activeRepository;
+}
+
+/**
+ * Get the active repository
+ * @returns {Object} The active repository
+ */
+function getRepository() {
+    if (!activeRepository) {
+        throw new Error('❌ Database not initialized. Call initializeDatabase() first.');
+    }
+
+    return activeRepository;
+}
+
+// Each method is resolved at call time, so modules can destructure these
+// functions before the backend is initialized
+const repositoryProxy = Object.fromEntries(
+    REPOSITORY_METHODS.map(name => [name, (...args) => getRepository()[name](...args)])
+);
+
+module.exports = {
+    initializeDatabase,
+    getRepository,
+    ...repositoryProxy
+};
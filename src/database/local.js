@@ -0,0 +1,740 @@
+/**
+ * Local storage backend (JSON file or in-memory) implementing the same
+ * repository interface as supabase.js, for offline development and testing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeLinkViolations, summarizeMemberGrowth, summarizeInviteLeaderboard } = require('./stats');
+
+// Debounce file writes so bursts of messages don't rewrite the file each time
+const SAVE_DELAY_MS = 500;
+
+// Matches cleanup_old_message_tracking() in database_schema.sql
+const MESSAGE_TRACKING_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+let store = null;
+let storeFile = null;
+let saveTimer = null;
+
+/**
+ * Create an empty store
+ * @returns {Object} Empty store
+ */
+function createEmptyStore() {
+    return {
+        next_id: 1,
+        guilds: {},
+        link_policies: {},
+        member_joins: [],
+        member_leaves: [],
+        link_edit_violations: [],
+        link_edit_escalations: [],
+        message_tracking: {},
+        announcements: {},
+        scheduled_announcements: [],
+        role_panels: {}
+    };
+}
+
+/**
+ * Initialize the local store
+ * @param {string|null} filePath - JSON file to persist to, or null to keep everything in memory
+ * @returns {Object} The store
+ */
+function initializeLocal(filePath) {
+    if (!store) {
+        storeFile = filePath ? path.resolve(filePath) : null;
+        store = createEmptyStore();
+
+        if (storeFile && fs.existsSync(storeFile)) {
+            store = { ...store, ...JSON.parse(fs.readFileSync(storeFile, 'utf8')) };
+            console.log(`✅ Local database loaded from ${storeFile}`);
+        } else {
+            console.log(`✅ Local database initialized ${storeFile ? `(${storeFile})` : '(in memory)'}`);
+        }
+
+        // Flush pending writes on shutdown
+        process.once('exit', flushStore);
+    }
+
+    return store;
+}
+
+/**
+ * Write the store to disk immediately
+ */
+function flushStore() {
+    if (!storeFile || !store) return;
+
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+    const tempFile = `${storeFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tempFile, storeFile);
+}
+
+/**
+ * Schedule a write of the store to disk
+ */
+function scheduleSave() {
+    if (!storeFile || saveTimer) return;
+
+    saveTimer = setTimeout(() => {
+        try {
+            flushStore();
+        } catch (error) {
+            console.error('❌ Failed to save local database:', error);
+        }
+    }, SAVE_DELAY_MS);
+}
+
+/**
+ * Insert a row into a list table
+ * @param {string} table - Table name
+ * @param {Object} row - Row to insert
+ * @returns {Object} Inserted row with id
+ */
+function insertRow(table, row) {
+    const inserted = { id: store.next_id++, ...row };
+    store[table].push(inserted);
+    scheduleSave();
+    return inserted;
+}
+
+/**
+ * Create or merge a row in a keyed table
+ * @param {string} table - Table name
+ * @param {string} key - Row key
+ * @param {Object} row - Fields to store
+ * @returns {Object} Stored row
+ */
+function upsertRow(table, key, row) {
+    const existing = store[table][key];
+    store[table][key] = existing
+        ? { ...existing, ...row }
+        : { id: store.next_id++, created_at: new Date().toISOString(), ...row };
+    scheduleSave();
+    return store[table][key];
+}
+
+/**
+ * Test database connection
+ * @returns {Promise<boolean>} Connection test result
+ */
+async function testConnection() {
+    const ok = store !== null;
+    console.log(ok ? '✅ Local database ready' : '❌ Local database not initialized');
+    return ok;
+}
+
+/**
+ * Log new member join to database
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} username - User's display name
+ * @param {string} joinedAt - Join timestamp
+ * @param {Object|null} invite - Invite used, if known
+ * @param {string} invite.code - Invite code
+ * @param {string|null} invite.inviterId - Discord user ID of the invite's creator
+ */
+async function logMemberJoin(guildId, userId, username, joinedAt, invite = null) {
+    insertRow('member_joins', {
+        guild_id: guildId,
+        user_id: userId,
+        username: username,
+        joined_at: joinedAt,
+        invite_code: invite?.code ?? null,
+        inviter_id: invite?.inviterId ?? null,
+        created_at: new Date().toISOString()
+    });
+
+    console.log(`📝 Logged member join: ${username} (${userId}) in guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Log a member leaving, with their time in the server taken from their latest join
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} username - Discord username
+ * @param {string} leftAt - ISO timestamp when user left
+ * @param {string|null} fallbackJoinedAt - Join time to use if no join was logged (e.g. member.joinedAt)
+ * @returns {Promise<Object|null>} The logged leave or null on failure
+ */
+async function logMemberLeave(guildId, userId, username, leftAt, fallbackJoinedAt = null) {
+    const join = store.member_joins
+        .filter(row => row.guild_id === guildId && row.user_id === userId && row.joined_at <= leftAt)
+        .sort((a, b) => b.joined_at.localeCompare(a.joined_at))[0];
+
+    const joinedAt = join?.joined_at || fallbackJoinedAt;
+    const leave = insertRow('member_leaves', {
+        guild_id: guildId,
+        user_id: userId,
+        username: username,
+        joined_at: joinedAt,
+        left_at: leftAt,
+        time_in_server_seconds: joinedAt ? Math.max(0, Math.floor((new Date(leftAt) - new Date(joinedAt)) / 1000)) : null,
+        created_at: new Date().toISOString()
+    });
+
+    console.log(`📝 Logged member leave: ${username} (${userId}) in guild ${guildId}`);
+    return leave;
+}
+
+/**
+ * Get a member's latest logged join
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object|null>} Member join row or null if none was logged
+ */
+async function getLatestMemberJoin(guildId, userId) {
+    return store.member_joins
+        .filter(row => row.guild_id === guildId && row.user_id === userId)
+        .sort((a, b) => b.joined_at.localeCompare(a.joined_at))[0] || null;
+}
+
+/**
+ * Get guild settings from database
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object|null>} Guild settings or null if not found
+ */
+async function getGuildSettings(guildId) {
+    return store.guilds[guildId] || null;
+}
+
+/**
+ * Create or update guild settings
+ * @param {string} guildId - Discord guild ID
+ * @param {string} guildName - Discord guild name
+ * @param {Object} settings - Guild settings object
+ */
+async function upsertGuildSettings(guildId, guildName, settings = {}) {
+    upsertRow('guilds', guildId, {
+        guild_id: guildId,
+        guild_name: guildName,
+        welcome_channel_id: null,
+        welcome_message: null,
+        is_active: true,
+        updated_at: new Date().toISOString(),
+        ...settings
+    });
+
+    console.log(`📝 Updated guild settings for: ${guildName} (${guildId})`);
+    return true;
+}
+
+/**
+ * Mark a guild active or inactive without touching its other settings
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} isActive - Whether the bot is in the guild and welcoming members
+ * @returns {Promise<boolean>} True if saved
+ */
+async function setGuildActive(guildId, isActive) {
+    if (!store.guilds[guildId]) return true;
+
+    upsertRow('guilds', guildId, { is_active: isActive, updated_at: new Date().toISOString() });
+    return true;
+}
+
+/**
+ * Set or clear a guild's raid lockdown without touching its other settings
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} lockdownUntil - ISO timestamp the lockdown ends, or null to clear it
+ * @returns {Promise<boolean>} True if saved
+ */
+async function setGuildLockdown(guildId, lockdownUntil) {
+    if (!store.guilds[guildId]) return true;
+
+    upsertRow('guilds', guildId, { lockdown_until: lockdownUntil, updated_at: new Date().toISOString() });
+    return true;
+}
+
+/**
+ * Get the link editing policy for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object|null>} Link policy row or null if not found
+ */
+async function getLinkPolicy(guildId) {
+    return store.link_policies[guildId] || null;
+}
+
+/**
+ * Create or update the link editing policy for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} policy - Policy fields to store
+ * @returns {Promise<boolean>} True if saved
+ */
+async function upsertLinkPolicy(guildId, policy = {}) {
+    upsertRow('link_policies', guildId, {
+        guild_id: guildId,
+        ...policy,
+        updated_at: new Date().toISOString()
+    });
+
+    console.log(`📝 Updated link policy for guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Get all announcements defined for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Array|null>} Announcement rows ordered by name, or null if error
+ */
+async function getAnnouncements(guildId) {
+    return Object.values(store.announcements)
+        .filter(row => row.guild_id === guildId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one of a guild's announcements by name
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Announcement name
+ * @returns {Promise<Object|null>} Announcement row or null if not found
+ */
+async function getAnnouncement(guildId, name) {
+    return store.announcements[`${guildId}:${name}`] || null;
+}
+
+/**
+ * Create or update an announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Announcement name (unique per guild)
+ * @param {Object} fields - Announcement fields to store
+ * @returns {Promise<boolean>} True if saved
+ */
+async function upsertAnnouncement(guildId, name, fields = {}) {
+    upsertRow('announcements', `${guildId}:${name}`, {
+        guild_id: guildId,
+        name,
+        ...fields,
+        updated_at: new Date().toISOString()
+    });
+
+    console.log(`📝 Saved announcement "${name}" for guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Record where an announcement was posted and the hash of the posted content
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Announcement name
+ * @param {Object} post - Post details
+ * @param {string} post.message_id - Discord message ID
+ * @param {string} post.posted_channel_id - Channel the message is in
+ * @param {string} post.content_hash - Hash of the posted content
+ * @returns {Promise<boolean>} True if saved
+ */
+async function recordAnnouncementPost(guildId, name, post) {
+    const key = `${guildId}:${name}`;
+    if (!store.announcements[key]) return false;
+
+    upsertRow('announcements', key, { ...post, posted_at: new Date().toISOString() });
+    return true;
+}
+
+/**
+ * Delete an announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Announcement name
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAnnouncement(guildId, name) {
+    delete store.announcements[`${guildId}:${name}`];
+
+    // Matches ON DELETE CASCADE on scheduled_announcements in database_schema.sql
+    store.scheduled_announcements = store.scheduled_announcements
+        .filter(row => row.guild_id !== guildId || row.announcement_name !== name);
+    scheduleSave();
+
+    console.log(`🗑️ Deleted announcement "${name}" for guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Get a guild's scheduled announcements
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Array|null>} Scheduled announcement rows ordered by ID, or null if error
+ */
+async function getScheduledAnnouncements(guildId) {
+    return store.scheduled_announcements
+        .filter(row => row.guild_id === guildId)
+        .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Get one of a guild's scheduled announcements
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Schedule ID
+ * @returns {Promise<Object|null>} Scheduled announcement row or null if not found
+ */
+async function getScheduledAnnouncement(guildId, id) {
+    return store.scheduled_announcements.find(row => row.guild_id === guildId && row.id === id) || null;
+}
+
+/**
+ * Get every unpaused scheduled announcement that is due, across all guilds
+ * @param {string} before - ISO timestamp; schedules due at or before it are returned
+ * @returns {Promise<Array|null>} Due rows ordered by due time, or null if error
+ */
+async function getDueScheduledAnnouncements(before) {
+    return store.scheduled_announcements
+        .filter(row => !row.paused && row.next_run_at && row.next_run_at <= before)
+        .sort((a, b) => a.next_run_at.localeCompare(b.next_run_at));
+}
+
+/**
+ * Schedule an announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} fields - Schedule fields (announcement_name, next_run_at, recurrence, catch_up, created_by)
+ * @returns {Promise<Object|null>} Created row or null if error
+ */
+async function createScheduledAnnouncement(guildId, fields) {
+    const now = new Date().toISOString();
+    const row = insertRow('scheduled_announcements', {
+        guild_id: guildId,
+        paused: false,
+        last_run_at: null,
+        last_status: null,
+        ...fields,
+        created_at: now,
+        updated_at: now
+    });
+
+    console.log(`⏰ Scheduled announcement "${fields.announcement_name}" (#${row.id}) for guild ${guildId}`);
+    return row;
+}
+
+/**
+ * Update a scheduled announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Schedule ID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<boolean>} True if saved
+ */
+async function updateScheduledAnnouncement(guildId, id, fields) {
+    const row = store.scheduled_announcements.find(existing => existing.guild_id === guildId && existing.id === id);
+    if (!row) return false;
+
+    Object.assign(row, fields, { updated_at: new Date().toISOString() });
+    scheduleSave();
+    return true;
+}
+
+/**
+ * Delete a scheduled announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Schedule ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteScheduledAnnouncement(guildId, id) {
+    store.scheduled_announcements = store.scheduled_announcements
+        .filter(row => row.guild_id !== guildId || row.id !== id);
+    scheduleSave();
+
+    console.log(`🗑️ Deleted scheduled announcement #${id} for guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Get a guild's role panels
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Array|null>} Role panel rows ordered by name, or null if error
+ */
+async function getRolePanels(guildId) {
+    return Object.values(store.role_panels)
+        .filter(row => row.guild_id === guildId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one of a guild's role panels by name
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Panel name
+ * @returns {Promise<Object|null>} Role panel row or null if not found
+ */
+async function getRolePanel(guildId, name) {
+    return store.role_panels[`${guildId}:${name}`] || null;
+}
+
+/**
+ * Get every posted reaction-style role panel, across all guilds
+ * @returns {Promise<Array|null>} Role panel rows, or null if error
+ */
+async function getReactionRolePanels() {
+    return Object.values(store.role_panels)
+        .filter(row => row.style === 'reactions' && row.message_id);
+}
+
+/**
+ * Create or update a role panel
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Panel name (unique per guild)
+ * @param {Object} fields - Role panel fields to store
+ * @returns {Promise<boolean>} True if saved
+ */
+async function upsertRolePanel(guildId, name, fields = {}) {
+    upsertRow('role_panels', `${guildId}:${name}`, {
+        guild_id: guildId,
+        name,
+        ...fields,
+        updated_at: new Date().toISOString()
+    });
+
+    console.log(`📝 Saved role panel "${name}" for guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Delete a role panel
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Panel name
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteRolePanel(guildId, name) {
+    delete store.role_panels[`${guildId}:${name}`];
+    scheduleSave();
+
+    console.log(`🗑️ Deleted role panel "${name}" for guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Log link editing violation or attempt to database
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} username - User's display name
+ * @param {string} channelId - Discord channel ID
+ * @param {string} messageId - Discord message ID (optional)
+ * @param {string} violationType - Type of violation ('added' or 'modified')
+ * @param {string} oldContent - Original message content
+ * @param {string} newContent - New message content
+ * @param {string} actionTaken - Action taken by the bot ('message_deleted', 'warned', 'logged', 'allowed_within_grace_period')
+ */
+async function logLinkViolation(guildId, userId, username, channelId, messageId, violationType, oldContent, newContent, actionTaken = 'message_deleted') {
+    insertRow('link_edit_violations', {
+        guild_id: guildId,
+        user_id: userId,
+        username: username,
+        channel_id: channelId,
+        message_id: messageId,
+        violation_type: violationType,
+        old_content: oldContent?.substring(0, 1000),
+        new_content: newContent?.substring(0, 1000),
+        action_taken: actionTaken,
+        created_at: new Date().toISOString()
+    });
+
+    const actionMessage = actionTaken === 'allowed_within_grace_period'
+        ? `📝 Logged link editing attempt (allowed): ${username} (${userId}) in guild ${guildId}`
+        : `📝 Logged link editing violation: ${username} (${userId}) in guild ${guildId}`;
+
+    console.log(actionMessage);
+    return true;
+}
+
+/**
+ * Get recent link violations and attempts for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {number} limit - Number of records to fetch (default: 50)
+ * @param {string} actionFilter - Filter by action type (optional)
+ * @param {string} userFilter - Filter by Discord user ID (optional)
+ * @returns {Promise<Array|null>} Array of violations or null if error
+ */
+async function getRecentLinkViolations(guildId, limit = 50, actionFilter = null, userFilter = null) {
+    return store.link_edit_violations
+        .filter(v => v.guild_id === guildId)
+        .filter(v => !actionFilter || v.action_taken === actionFilter)
+        .filter(v => !userFilter || v.user_id === userFilter)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+}
+
+/**
+ * Get link violation statistics for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {number} days - Number of days to look back (default: 30)
+ * @returns {Promise<Object|null>} Statistics object or null if error
+ */
+async function getLinkViolationStats(guildId, days = 30) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    const since = startDate.toISOString();
+
+    const rows = store.link_edit_violations
+        .filter(v => v.guild_id === guildId && v.created_at >= since);
+
+    return summarizeLinkViolations(rows, days);
+}
+
+/**
+ * Get member growth statistics (joins, leaves, retention, peak hours) for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {number} days - Number of days to look back
+ * @returns {Promise<Object|null>} Statistics object or null if error
+ */
+async function getMemberGrowthStats(guildId, days = 30) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    const since = startDate.toISOString();
+
+    const joins = store.member_joins.filter(row => row.guild_id === guildId && row.joined_at >= since);
+    const leaves = store.member_leaves.filter(row => row.guild_id === guildId && row.left_at >= since);
+
+    return summarizeMemberGrowth(joins, leaves, days);
+}
+
+/**
+ * Get the invite leaderboard for a guild: joins per inviter and per invite code, and how many stayed
+ * @param {string} guildId - Discord guild ID
+ * @param {number} days - Number of days to look back (default: 30)
+ * @returns {Promise<Object|null>} Leaderboard object or null if error
+ */
+async function getInviteLeaderboard(guildId, days = 30) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    const since = startDate.toISOString();
+
+    const joins = store.member_joins.filter(row => row.guild_id === guildId && row.joined_at >= since);
+    const leaves = store.member_leaves.filter(row => row.guild_id === guildId && row.left_at >= since);
+
+    return summarizeInviteLeaderboard(joins, leaves, days);
+}
+
+/**
+ * Count a user's link edit violations (excluding edits allowed within the grace period)
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} since - Only count violations after this timestamp
+ * @returns {Promise<number|null>} Number of violations or null if error
+ */
+async function countUserLinkViolations(guildId, userId, since) {
+    return store.link_edit_violations.filter(v =>
+        v.guild_id === guildId &&
+        v.user_id === userId &&
+        v.action_taken !== 'allowed_within_grace_period' &&
+        v.created_at >= since
+    ).length;
+}
+
+/**
+ * Record an escalated sanction against a repeat link edit offender
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} username - User's display name
+ * @param {number} violationCount - Violations within the escalation window
+ * @param {string} action - Sanction applied ('warn', 'timeout' or 'kick')
+ * @param {number|null} durationMinutes - Timeout length (timeouts only)
+ * @param {boolean} succeeded - Whether the sanction was applied
+ * @param {string|null} errorMessage - Why the sanction failed (optional)
+ * @returns {Promise<boolean>} True if recorded
+ */
+async function logLinkEscalation(guildId, userId, username, violationCount, action, durationMinutes, succeeded, errorMessage = null) {
+    insertRow('link_edit_escalations', {
+        guild_id: guildId,
+        user_id: userId,
+        username: username,
+        violation_count: violationCount,
+        action: action,
+        duration_minutes: durationMinutes,
+        succeeded: succeeded,
+        error: errorMessage?.substring(0, 500) ?? null,
+        created_at: new Date().toISOString()
+    });
+
+    console.log(`📝 Logged link edit escalation (${action}): ${username} (${userId}) in guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Record a message so its original content survives cache misses and restarts
+ * @param {string} messageId - Discord message ID
+ * @param {string} guildId - Discord guild ID
+ * @param {string} channelId - Discord channel ID
+ * @param {string} userId - Discord user ID of the author
+ * @param {string} content - Message content
+ * @param {string} postedAt - Message creation timestamp
+ * @returns {Promise<boolean>} True if saved
+ */
+async function trackMessage(messageId, guildId, channelId, userId, content, postedAt) {
+    upsertRow('message_tracking', messageId, {
+        message_id: messageId,
+        guild_id: guildId,
+        channel_id: channelId,
+        user_id: userId,
+        content: content?.substring(0, 4000),
+        posted_at: postedAt
+    });
+    return true;
+}
+
+/**
+ * Get a tracked message
+ * @param {string} messageId - Discord message ID
+ * @returns {Promise<Object|null>} Tracking row or null if not tracked
+ */
+async function getTrackedMessage(messageId) {
+    return store.message_tracking[messageId] || null;
+}
+
+/**
+ * Remove message tracking records older than 24 hours
+ * @returns {Promise<boolean>} True if cleanup ran
+ */
+async function cleanupMessageTracking() {
+    const cutoff = new Date(Date.now() - MESSAGE_TRACKING_RETENTION_MS).toISOString();
+
+    for (const [messageId, row] of Object.entries(store.message_tracking)) {
+        if (row.posted_at < cutoff) {
+            delete store.message_tracking[messageId];
+        }
+    }
+
+    scheduleSave();
+    console.log('🧹 Cleaned up old message tracking records');
+    return true;
+}
+
+module.exports = {
+    initializeLocal,
+    flushStore,
+    testConnection,
+    logMemberJoin,
+    logMemberLeave,
+    getLatestMemberJoin,
+    getGuildSettings,
+    upsertGuildSettings,
+    setGuildActive,
+    setGuildLockdown,
+    getLinkPolicy,
+    upsertLinkPolicy,
+    getAnnouncements,
+    getAnnouncement,
+    upsertAnnouncement,
+    recordAnnouncementPost,
+    deleteAnnouncement,
+    getScheduledAnnouncements,
+    getScheduledAnnouncement,
+    getDueScheduledAnnouncements,
+    createScheduledAnnouncement,
+    updateScheduledAnnouncement,
+    deleteScheduledAnnouncement,
+    getRolePanels,
+    getRolePanel,
+    getReactionRolePanels,
+    upsertRolePanel,
+    deleteRolePanel,
+    logLinkViolation,
+    getRecentLinkViolations,
+    getLinkViolationStats,
+    getMemberGrowthStats,
+    getInviteLeaderboard,
+    countUserLinkViolations,
+    logLinkEscalation,
+    trackMessage,
+    getTrackedMessage,
+    cleanupMessageTracking
+};
@@ -0,0 +1,261 @@
+/**
+ * Aggregations shared by the storage backends
+ */
+
+/**
+ * Summarise link violation rows into totals by action and type
+ * @param {Array} rows - Rows with action_taken and violation_type
+ * @param {number} days - Number of days the rows cover
+ * @returns {Object} Statistics object
+ */
+function summarizeLinkViolations(rows, days) {
+    return {
+        total: rows.length,
+        deleted: rows.filter(v => v.action_taken === 'message_deleted').length,
+        allowed: rows.filter(v => v.action_taken === 'allowed_within_grace_period').length,
+        warned: rows.filter(v => v.action_taken === 'warned').length,
+        logged: rows.filter(v => v.action_taken === 'logged').length,
+        added: rows.filter(v => v.violation_type === 'added').length,
+        modified: rows.filter(v => v.violation_type === 'modified').length,
+        period_days: days
+    };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pick how finely to bucket a period: daily up to a month, weekly up to ~4 months, then monthly
+ * @param {number} days - Period length in days
+ * @returns {string} 'day', 'week' or 'month'
+ */
+function getGranularity(days) {
+    if (days <= 31) return 'day';
+    if (days <= 120) return 'week';
+    return 'month';
+}
+
+/**
+ * Find the start (UTC) of the bucket a time falls in. Weeks start on Monday.
+ * @param {number} time - Timestamp in ms
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {number} Bucket start timestamp in ms
+ */
+function getBucketStart(time, granularity) {
+    const date = new Date(time);
+    date.setUTCHours(0, 0, 0, 0);
+
+    if (granularity === 'week') {
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    } else if (granularity === 'month') {
+        date.setUTCDate(1);
+    }
+
+    return date.getTime();
+}
+
+/**
+ * Find the start of the bucket after the given one
+ * @param {number} start - Bucket start timestamp in ms
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {number} Next bucket start timestamp in ms
+ */
+function getNextBucketStart(start, granularity) {
+    const date = new Date(start);
+
+    if (granularity === 'month') {
+        date.setUTCMonth(date.getUTCMonth() + 1);
+        return date.getTime();
+    }
+
+    return start + (granularity === 'week' ? 7 : 1) * DAY_MS;
+}
+
+/**
+ * Count timestamps per bucket, including empty buckets, from since to now
+ * @param {number[]} times - Timestamps in ms
+ * @param {number} since - Period start in ms
+ * @param {number} now - Period end in ms
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {Map<number, number>} Count by bucket start, in order
+ */
+function countByBucket(times, since, now, granularity) {
+    const counts = new Map();
+    for (let start = getBucketStart(since, granularity); start <= now; start = getNextBucketStart(start, granularity)) {
+        counts.set(start, 0);
+    }
+
+    for (const time of times) {
+        const start = getBucketStart(time, granularity);
+        if (counts.has(start)) counts.set(start, counts.get(start) + 1);
+    }
+
+    return counts;
+}
+
+/**
+ * Median of a sorted list of numbers
+ * @param {number[]} sorted - Numbers in ascending order
+ * @returns {number|null} Median or null if the list is empty
+ */
+function median(sorted) {
+    if (!sorted.length) return null;
+
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Summarise member join and leave rows into growth, retention and peak hour statistics
+ * @param {Array} joins - member_joins rows (user_id, joined_at) in the period
+ * @param {Array} leaves - member_leaves rows (user_id, left_at, time_in_server_seconds) in the period
+ * @param {number} days - Number of days the rows cover
+ * @param {Date} [now] - End of the period
+ * @returns {Object} Statistics object
+ */
+function summarizeMemberGrowth(joins, leaves, days, now = new Date()) {
+    const end = now.getTime();
+    const since = end - days * DAY_MS;
+    const granularity = getGranularity(days);
+
+    const joinTimes = joins.map(join => new Date(join.joined_at).getTime());
+    const leaveTimes = leaves.map(leave => new Date(leave.left_at).getTime());
+
+    // Joins and leaves per bucket
+    const joinCounts = countByBucket(joinTimes, since, end, granularity);
+    const leaveCounts = countByBucket(leaveTimes, since, end, granularity);
+    const series = [...joinCounts.keys()].map(start => ({
+        start: new Date(start).toISOString(),
+        joins: joinCounts.get(start),
+        leaves: leaveCounts.get(start),
+        net: joinCounts.get(start) - leaveCounts.get(start)
+    }));
+
+    // Joins by hour of day (UTC)
+    const hourly = new Array(24).fill(0);
+    joinTimes.forEach(time => hourly[new Date(time).getUTCHours()]++);
+    const peakHours = hourly
+        .map((count, hour) => ({ hour, joins: count }))
+        .filter(entry => entry.joins > 0)
+        .sort((a, b) => b.joins - a.joins || a.hour - b.hour)
+        .slice(0, 3);
+
+    // Leave times by user, to tell whether each join was followed by a leave
+    const leavesByUser = new Map();
+    leaves.forEach((leave, index) => {
+        const list = leavesByUser.get(leave.user_id) || [];
+        list.push(leaveTimes[index]);
+        leavesByUser.set(leave.user_id, list);
+    });
+    const firstLeaveAfter = (userId, time) => {
+        const after = (leavesByUser.get(userId) || []).filter(leaveTime => leaveTime >= time);
+        return after.length ? Math.min(...after) : null;
+    };
+
+    // Retention cohorts: joins grouped by the week (or month) they happened in
+    const cohortGranularity = granularity === 'month' ? 'month' : 'week';
+    const cohorts = new Map();
+    let day7Eligible = 0;
+    let day7Retained = 0;
+
+    joins.forEach((join, index) => {
+        const joinedAt = joinTimes[index];
+        const leftAt = firstLeaveAfter(join.user_id, joinedAt);
+
+        const start = getBucketStart(joinedAt, cohortGranularity);
+        const cohort = cohorts.get(start) || { start: new Date(start).toISOString(), joined: 0, retained: 0 };
+        cohort.joined++;
+        if (leftAt === null) cohort.retained++;
+        cohorts.set(start, cohort);
+
+        if (joinedAt <= end - 7 * DAY_MS) {
+            day7Eligible++;
+            if (leftAt === null || leftAt - joinedAt > 7 * DAY_MS) day7Retained++;
+        }
+    });
+
+    const staySeconds = leaves
+        .map(leave => leave.time_in_server_seconds)
+        .filter(seconds => seconds !== null && seconds !== undefined)
+        .sort((a, b) => a - b);
+
+    return {
+        period_days: days,
+        granularity,
+        joins: joins.length,
+        leaves: leaves.length,
+        net: joins.length - leaves.length,
+        averages: {
+            joins_per_day: joins.length / days,
+            leaves_per_day: leaves.length / days,
+            joins_per_week: joins.length / days * 7,
+            leaves_per_week: leaves.length / days * 7,
+            joins_per_month: joins.length / days * 30,
+            leaves_per_month: leaves.length / days * 30
+        },
+        series,
+        hourly,
+        peak_hours: peakHours,
+        retention: {
+            cohorts: [...cohorts.values()]
+                .sort((a, b) => a.start.localeCompare(b.start))
+                .map(cohort => ({ ...cohort, rate: cohort.retained / cohort.joined })),
+            day7: {
+                eligible: day7Eligible,
+                retained: day7Retained,
+                rate: day7Eligible ? day7Retained / day7Eligible : null
+            },
+            median_stay_seconds: median(staySeconds)
+        }
+    };
+}
+
+/**
+ * Rank the invites and inviters that brought members in, and how many of those members stayed
+ * @param {Array} joins - member_joins rows (user_id, joined_at, invite_code, inviter_id) in the period
+ * @param {Array} leaves - member_leaves rows (user_id, left_at) in the period
+ * @param {number} days - Number of days the rows cover
+ * @returns {Object} Leaderboard object
+ */
+function summarizeInviteLeaderboard(joins, leaves, days) {
+    const leftAt = new Map();
+    for (const leave of leaves) {
+        leftAt.set(leave.user_id, [...(leftAt.get(leave.user_id) || []), leave.left_at]);
+    }
+
+    const inviters = new Map();
+    const codes = new Map();
+    const tracked = joins.filter(join => join.invite_code);
+
+    for (const join of tracked) {
+        const stayed = !(leftAt.get(join.user_id) || []).some(time => time >= join.joined_at);
+
+        const inviter = inviters.get(join.inviter_id) || { inviter_id: join.inviter_id, joins: 0, retained: 0, codes: new Set() };
+        inviter.joins++;
+        inviter.retained += stayed ? 1 : 0;
+        inviter.codes.add(join.invite_code);
+        inviters.set(join.inviter_id, inviter);
+
+        const code = codes.get(join.invite_code) || { code: join.invite_code, inviter_id: join.inviter_id, joins: 0, retained: 0 };
+        code.joins++;
+        code.retained += stayed ? 1 : 0;
+        codes.set(join.invite_code, code);
+    }
+
+    const byJoins = (a, b) => b.joins - a.joins || b.retained - a.retained;
+
+    return {
+        joins: joins.length,
+        tracked_joins: tracked.length,
+        by_inviter: [...inviters.values()]
+            .map(inviter => ({ ...inviter, codes: [...inviter.codes] }))
+            .sort(byJoins),
+        by_code: [...codes.values()].sort(byJoins),
+        period_days: days
+    };
+}
+
+module.exports = {
+    summarizeLinkViolations,
+    summarizeMemberGrowth,
+    summarizeInviteLeaderboard
+};
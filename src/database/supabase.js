@@ -1,7 +1,11 @@
 const { createClient } = require('@supabase/supabase-js');
+const { summarizeLinkViolations, summarizeMemberGrowth, summarizeInviteLeaderboard } = require('./stats');
 
 let supabaseClient = null;
 
+// PostgREST returns at most this many rows per request
+const SELECT_PAGE_SIZE = 1000;
+
 /**
  * Initialize Supabase client
  * @returns {Object} Supabase client instance
@@ -52,8 +56,11 @@ async function testConnection() {
  * @param {string} userId - Discord user ID
  * @param {string} username - User's display name
  * @param {string} joinedAt - Join timestamp
+ * @param {Object|null} invite - Invite used, if known
+ * @param {string} invite.code - Invite code
+ * @param {string|null} invite.inviterId - Discord user ID of the invite's creator
  */
-async function logMemberJoin(guildId, userId, username, joinedAt) {
+async function logMemberJoin(guildId, userId, username, joinedAt, invite = null) {
     try {
         const { error } = await supabaseClient
             .from('member_joins')
@@ -63,6 +70,8 @@ async function logMemberJoin(guildId, userId, username, joinedAt) {
                     user_id: userId,
                     username: username,
                     joined_at: joinedAt,
+                    invite_code: invite?.code ?? null,
+                    inviter_id: invite?.inviterId ?? null,
                     created_at: new Date().toISOString()
                 }
             ]);
@@ -80,6 +89,88 @@ async function logMemberJoin(guildId, userId, username, joinedAt) {
     }
 }
 
+/**
+ * Log a member leaving, with their time in the server taken from their latest join
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} username - Discord username
+ * @param {string} leftAt - ISO timestamp when user left
+ * @param {string|null} fallbackJoinedAt - Join time to use if no join was logged (e.g. member.joinedAt)
+ * @returns {Promise<Object|null>} The logged leave or null on failure
+ */
+async function logMemberLeave(guildId, userId, username, leftAt, fallbackJoinedAt = null) {
+    try {
+        const { data: join, error: joinError } = await supabaseClient
+            .from('member_joins')
+            .select('joined_at')
+            .eq('guild_id', guildId)
+            .eq('user_id', userId)
+            .lte('joined_at', leftAt)
+            .order('joined_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (joinError) {
+            console.error('❌ Failed to look up member join:', joinError);
+        }
+
+        const joinedAt = join?.joined_at || fallbackJoinedAt;
+        const leave = {
+            guild_id: guildId,
+            user_id: userId,
+            username: username,
+            joined_at: joinedAt,
+            left_at: leftAt,
+            time_in_server_seconds: joinedAt ? Math.max(0, Math.floor((new Date(leftAt) - new Date(joinedAt)) / 1000)) : null,
+            created_at: new Date().toISOString()
+        };
+
+        const { error } = await supabaseClient
+            .from('member_leaves')
+            .insert([leave]);
+
+        if (error) {
+            console.error('❌ Failed to log member leave:', error);
+            return null;
+        }
+
+        console.log(`📝 Logged member leave: ${username} (${userId}) in guild ${guildId}`);
+        return leave;
+    } catch (error) {
+        console.error('❌ Error logging member leave:', error);
+        return null;
+    }
+}
+
+/**
+ * Get a member's latest logged join
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object|null>} Member join row or null if none was logged or error
+ */
+async function getLatestMemberJoin(guildId, userId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('member_joins')
+            .select('*')
+            .eq('guild_id', guildId)
+            .eq('user_id', userId)
+            .order('joined_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error('❌ Failed to get member join:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting member join:', error);
+        return null;
+    }
+}
+
 /**
  * Get guild settings from database
  * @param {string} guildId - Discord guild ID
@@ -121,7 +212,7 @@ async function upsertGuildSettings(guildId, guildName, settings = {}) {
             guild_id: guildId,
             guild_name: guildName,
             welcome_channel_id: null,
-            welcome_message: "Welcome to {guild}, {user}! 🎉",
+            welcome_message: null,
             is_active: true,
             updated_at: new Date().toISOString(),
             ...settings
@@ -148,132 +239,981 @@ async function upsertGuildSettings(guildId, guildName, settings = {}) {
 }
 
 /**
- * Log link editing violation or attempt to database
+ * Mark a guild active or inactive without touching its other settings
  * @param {string} guildId - Discord guild ID
- * @param {string} userId - Discord user ID
- * @param {string} username - User's display name
- * @param {string} channelId - Discord channel ID
- * @param {string} messageId - Discord message ID (optional)
- * @param {string} violationType - Type of violation ('added' or 'modified')
- * @param {string} oldContent - Original message content
- * @param {string} newContent - New message content
- * @param {string} actionTaken - Action taken by the bot ('message_deleted', 'allowed_within_grace_period', etc.)
+ * @param {boolean} isActive - Whether the bot is in the guild and welcoming members
+ * @returns {Promise<boolean>} True if saved
  */
-async function logLinkViolation(guildId, userId, username, channelId, messageId, violationType, oldContent, newContent, actionTaken = 'message_deleted') {
+async function setGuildActive(guildId, isActive) {
     try {
         const { error } = await supabaseClient
-            .from('link_edit_violations')
-            .insert([
+            .from('guilds')
+            .update({ is_active: isActive, updated_at: new Date().toISOString() })
+            .eq('guild_id', guildId);
+
+        if (error) {
+            console.error('❌ Failed to update guild active state:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error updating guild active state:', error);
+        return false;
+    }
+}
+
+/**
+ * Set or clear a guild's raid lockdown without touching its other settings
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} lockdownUntil - ISO timestamp the lockdown ends, or null to clear it
+ * @returns {Promise<boolean>} True if saved
+ */
+async function setGuildLockdown(guildId, lockdownUntil) {
+    try {
+        const { error } = await supabaseClient
+            .from('guilds')
+            .update({ lockdown_until: lockdownUntil, updated_at: new Date().toISOString() })
+            .eq('guild_id', guildId);
+
+        if (error) {
+            console.error('❌ Failed to update guild lockdown:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error updating guild lockdown:', error);
+        return false;
+    }
+}
+
+/**
+ * Get the link editing policy for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object|null>} Link policy row or null if not found
+ */
+async function getLinkPolicy(guildId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('link_policies')
+            .select('*')
+            .eq('guild_id', guildId)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                // No policy stored - caller falls back to defaults
+                return null;
+            }
+            console.error('❌ Failed to get link policy:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting link policy:', error);
+        return null;
+    }
+}
+
+/**
+ * Create or update the link editing policy for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} policy - Policy fields to store
+ * @returns {Promise<boolean>} True if saved
+ */
+async function upsertLinkPolicy(guildId, policy = {}) {
+    try {
+        const { error } = await supabaseClient
+            .from('link_policies')
+            .upsert([
                 {
                     guild_id: guildId,
-                    user_id: userId,
-                    username: username,
-                    channel_id: channelId,
-                    message_id: messageId,
-                    violation_type: violationType,
-                    old_content: oldContent?.substring(0, 1000), // Limit content length
-                    new_content: newContent?.substring(0, 1000), // Limit content length
-                    action_taken: actionTaken,
-                    created_at: new Date().toISOString()
+                    ...policy,
+                    updated_at: new Date().toISOString()
                 }
-            ]);
+            ], {
+                onConflict: 'guild_id',
+                ignoreDuplicates: false
+            });
 
         if (error) {
-            console.error('❌ Failed to log link violation:', error);
+            console.error('❌ Failed to upsert link policy:', error);
             return false;
         }
 
-        const actionMessage = actionTaken === 'allowed_within_grace_period' 
-            ? `📝 Logged link editing attempt (allowed): ${username} (${userId}) in guild ${guildId}`
-            : `📝 Logged link editing violation: ${username} (${userId}) in guild ${guildId}`;
-        
-        console.log(actionMessage);
+        console.log(`📝 Updated link policy for guild ${guildId}`);
         return true;
     } catch (error) {
-        console.error('❌ Error logging link violation:', error);
+        console.error('❌ Error upserting link policy:', error);
         return false;
     }
 }
 
 /**
- * Get recent link violations and attempts for a guild
+ * Get all announcements defined for a guild
  * @param {string} guildId - Discord guild ID
- * @param {number} limit - Number of records to fetch (default: 50)
- * @param {string} actionFilter - Filter by action type (optional)
- * @returns {Promise<Array|null>} Array of violations or null if error
+ * @returns {Promise<Array|null>} Announcement rows ordered by name, or null if error
  */
-async function getRecentLinkViolations(guildId, limit = 50, actionFilter = null) {
+async function getAnnouncements(guildId) {
     try {
-        let query = supabaseClient
-            .from('link_edit_violations')
+        const { data, error } = await supabaseClient
+            .from('announcements')
             .select('*')
             .eq('guild_id', guildId)
-            .order('created_at', { ascending: false })
-            .limit(limit);
+            .order('name', { ascending: true });
 
-        if (actionFilter) {
-            query = query.eq('action_taken', actionFilter);
+        if (error) {
+            console.error('❌ Failed to get announcements:', error);
+            return null;
         }
 
-        const { data, error } = await query;
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting announcements:', error);
+        return null;
+    }
+}
+
+/**
+ * Get one of a guild's announcements by name
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Announcement name
+ * @returns {Promise<Object|null>} Announcement row or null if not found
+ */
+async function getAnnouncement(guildId, name) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('announcements')
+            .select('*')
+            .eq('guild_id', guildId)
+            .eq('name', name)
+            .single();
 
         if (error) {
-            console.error('❌ Failed to get link violations:', error);
+            if (error.code === 'PGRST116') {
+                return null;
+            }
+            console.error('❌ Failed to get announcement:', error);
             return null;
         }
 
         return data;
     } catch (error) {
-        console.error('❌ Error getting link violations:', error);
+        console.error('❌ Error getting announcement:', error);
         return null;
     }
 }
 
 /**
- * Get link violation statistics for a guild
+ * Create or update an announcement
  * @param {string} guildId - Discord guild ID
- * @param {number} days - Number of days to look back (default: 30)
- * @returns {Promise<Object|null>} Statistics object or null if error
+ * @param {string} name - Announcement name (unique per guild)
+ * @param {Object} fields - Announcement fields to store
+ * @returns {Promise<boolean>} True if saved
  */
-async function getLinkViolationStats(guildId, days = 30) {
+async function upsertAnnouncement(guildId, name, fields = {}) {
     try {
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - days);
+        const { error } = await supabaseClient
+            .from('announcements')
+            .upsert([
+                {
+                    guild_id: guildId,
+                    name,
+                    ...fields,
+                    updated_at: new Date().toISOString()
+                }
+            ], {
+                onConflict: 'guild_id,name',
+                ignoreDuplicates: false
+            });
+
+        if (error) {
+            console.error('❌ Failed to upsert announcement:', error);
+            return false;
+        }
+
+        console.log(`📝 Saved announcement "${name}" for guild ${guildId}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error upserting announcement:', error);
+        return false;
+    }
+}
+
+/**
+ * Record where an announcement was posted and the hash of the posted content
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Announcement name
+ * @param {Object} post - Post details
+ * @param {string} post.message_id - Discord message ID
+ * @param {string} post.posted_channel_id - Channel the message is in
+ * @param {string} post.content_hash - Hash of the posted content
+ * @returns {Promise<boolean>} True if saved
+ */
+async function recordAnnouncementPost(guildId, name, post) {
+    try {
+        const { error } = await supabaseClient
+            .from('announcements')
+            .update({ ...post, posted_at: new Date().toISOString() })
+            .eq('guild_id', guildId)
+            .eq('name', name);
 
+        if (error) {
+            console.error('❌ Failed to record announcement post:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error recording announcement post:', error);
+        return false;
+    }
+}
+
+/**
+ * Delete an announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Announcement name
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAnnouncement(guildId, name) {
+    try {
+        const { error } = await supabaseClient
+            .from('announcements')
+            .delete()
+            .eq('guild_id', guildId)
+            .eq('name', name);
+
+        if (error) {
+            console.error('❌ Failed to delete announcement:', error);
+            return false;
+        }
+
+        console.log(`🗑️ Deleted announcement "${name}" for guild ${guildId}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error deleting announcement:', error);
+        return false;
+    }
+}
+
+/**
+ * Get a guild's scheduled announcements
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Array|null>} Scheduled announcement rows ordered by ID, or null if error
+ */
+async function getScheduledAnnouncements(guildId) {
+    try {
         const { data, error } = await supabaseClient
-            .from('link_edit_violations')
-            .select('action_taken, violation_type, created_at')
+            .from('scheduled_announcements')
+            .select('*')
             .eq('guild_id', guildId)
-            .gte('created_at', startDate.toISOString());
+            .order('id', { ascending: true });
 
         if (error) {
-            console.error('❌ Failed to get link violation stats:', error);
+            console.error('❌ Failed to get scheduled announcements:', error);
             return null;
         }
 
-        const stats = {
-            total: data.length,
-            deleted: data.filter(v => v.action_taken === 'message_deleted').length,
-            allowed: data.filter(v => v.action_taken === 'allowed_within_grace_period').length,
-            added: data.filter(v => v.violation_type === 'added').length,
-            modified: data.filter(v => v.violation_type === 'modified').length,
-            period_days: days
-        };
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting scheduled announcements:', error);
+        return null;
+    }
+}
+
+/**
+ * Get one of a guild's scheduled announcements
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Schedule ID
+ * @returns {Promise<Object|null>} Scheduled announcement row or null if not found
+ */
+async function getScheduledAnnouncement(guildId, id) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('scheduled_announcements')
+            .select('*')
+            .eq('guild_id', guildId)
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return null;
+            }
+            console.error('❌ Failed to get scheduled announcement:', error);
+            return null;
+        }
 
-        return stats;
+        return data;
     } catch (error) {
-        console.error('❌ Error getting link violation stats:', error);
+        console.error('❌ Error getting scheduled announcement:', error);
         return null;
     }
 }
 
+/**
+ * Get every unpaused scheduled announcement that is due, across all guilds
+ * @param {string} before - ISO timestamp; schedules due at or before it are returned
+ * @returns {Promise<Array|null>} Due rows ordered by due time, or null if error
+ */
+async function getDueScheduledAnnouncements(before) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('scheduled_announcements')
+            .select('*')
+            .eq('paused', false)
+            .lte('next_run_at', before)
+            .order('next_run_at', { ascending: true });
+
+        if (error) {
+            console.error('❌ Failed to get due scheduled announcements:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting due scheduled announcements:', error);
+        return null;
+    }
+}
+
+/**
+ * Schedule an announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} fields - Schedule fields (announcement_name, next_run_at, recurrence, catch_up, created_by)
+ * @returns {Promise<Object|null>} Created row or null if error
+ */
+async function createScheduledAnnouncement(guildId, fields) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('scheduled_announcements')
+            .insert([{ guild_id: guildId, ...fields }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('❌ Failed to create scheduled announcement:', error);
+            return null;
+        }
+
+        console.log(`⏰ Scheduled announcement "${fields.announcement_name}" (#${data.id}) for guild ${guildId}`);
+        return data;
+    } catch (error) {
+        console.error('❌ Error creating scheduled announcement:', error);
+        return null;
+    }
+}
+
+/**
+ * Update a scheduled announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Schedule ID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<boolean>} True if saved
+ */
+async function updateScheduledAnnouncement(guildId, id, fields) {
+    try {
+        const { error } = await supabaseClient
+            .from('scheduled_announcements')
+            .update(fields)
+            .eq('guild_id', guildId)
+            .eq('id', id);
+
+        if (error) {
+            console.error('❌ Failed to update scheduled announcement:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error updating scheduled announcement:', error);
+        return false;
+    }
+}
+
+/**
+ * Delete a scheduled announcement
+ * @param {string} guildId - Discord guild ID
+ * @param {number} id - Schedule ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteScheduledAnnouncement(guildId, id) {
+    try {
+        const { error } = await supabaseClient
+            .from('scheduled_announcements')
+            .delete()
+            .eq('guild_id', guildId)
+            .eq('id', id);
+
+        if (error) {
+            console.error('❌ Failed to delete scheduled announcement:', error);
+            return false;
+        }
+
+        console.log(`🗑️ Deleted scheduled announcement #${id} for guild ${guildId}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error deleting scheduled announcement:', error);
+        return false;
+    }
+}
+
+/**
+ * Get a guild's role panels
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Array|null>} Role panel rows ordered by name, or null if error
+ */
+async function getRolePanels(guildId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('role_panels')
+            .select('*')
+            .eq('guild_id', guildId)
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('❌ Failed to get role panels:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting role panels:', error);
+        return null;
+    }
+}
+
+/**
+ * Get one of a guild's role panels by name
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Panel name
+ * @returns {Promise<Object|null>} Role panel row or null if not found
+ */
+async function getRolePanel(guildId, name) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('role_panels')
+            .select('*')
+            .eq('guild_id', guildId)
+            .eq('name', name)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return null;
+            }
+            console.error('❌ Failed to get role panel:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting role panel:', error);
+        return null;
+    }
+}
+
+/**
+ * Get every posted reaction-style role panel, across all guilds
+ * @returns {Promise<Array|null>} Role panel rows, or null if error
+ */
+async function getReactionRolePanels() {
+    try {
+        const { data, error } = await supabaseClient
+            .from('role_panels')
+            .select('*')
+            .eq('style', 'reactions')
+            .not('message_id', 'is', null);
+
+        if (error) {
+            console.error('❌ Failed to get reaction role panels:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting reaction role panels:', error);
+        return null;
+    }
+}
+
+/**
+ * Create or update a role panel
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Panel name (unique per guild)
+ * @param {Object} fields - Role panel fields to store
+ * @returns {Promise<boolean>} True if saved
+ */
+async function upsertRolePanel(guildId, name, fields = {}) {
+    try {
+        const { error } = await supabaseClient
+            .from('role_panels')
+            .upsert([
+                {
+                    guild_id: guildId,
+                    name,
+                    ...fields,
+                    updated_at: new Date().toISOString()
+                }
+            ], {
+                onConflict: 'guild_id,name',
+                ignoreDuplicates: false
+            });
+
+        if (error) {
+            console.error('❌ Failed to upsert role panel:', error);
+            return false;
+        }
+
+        console.log(`📝 Saved role panel "${name}" for guild ${guildId}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error upserting role panel:', error);
+        return false;
+    }
+}
+
+/**
+ * Delete a role panel
+ * @param {string} guildId - Discord guild ID
+ * @param {string} name - Panel name
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteRolePanel(guildId, name) {
+    try {
+        const { error } = await supabaseClient
+            .from('role_panels')
+            .delete()
+            .eq('guild_id', guildId)
+            .eq('name', name);
+
+        if (error) {
+            console.error('❌ Failed to delete role panel:', error);
+            return false;
+        }
+
+        console.log(`🗑️ Deleted role panel "${name}" for guild ${guildId}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error deleting role panel:', error);
+        return false;
+    }
+}
+
+/**
+ * Log link editing violation or attempt to database
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} username - User's display name
+ * @param {string} channelId - Discord channel ID
+ * @param {string} messageId - Discord message ID (optional)
+ * @param {string} violationType - Type of violation ('added' or 'modified')
+ * @param {string} oldContent - Original message content
+ * @param {string} newContent - New message content
+ * @param {string} actionTaken - Action taken by the bot ('message_deleted', 'warned', 'logged', 'allowed_within_grace_period')
+ */
+async function logLinkViolation(guildId, userId, username, channelId, messageId, violationType, oldContent, newContent, actionTaken = 'message_deleted') {
+    try {
+        const { error } = await supabaseClient
+            .from('link_edit_violations')
+            .insert([
+                {
+                    guild_id: guildId,
+                    user_id: userId,
+                    username: username,
+                    channel_id: channelId,
+                    message_id: messageId,
+                    violation_type: violationType,
+                    old_content: oldContent?.substring(0, 1000), // Limit content length
+                    new_content: newContent?.substring(0, 1000), // Limit content length
+                    action_taken: actionTaken,
+                    created_at: new Date().toISOString()
+                }
+            ]);
+
+        if (error) {
+            console.error('❌ Failed to log link violation:', error);
+            return false;
+        }
+
+        const actionMessage = actionTaken === 'allowed_within_grace_period' 
+            ? `📝 Logged link editing attempt (allowed): ${username} (${userId}) in guild ${guildId}`
+            : `📝 Logged link editing violation: ${username} (${userId}) in guild ${guildId}`;
+        
+        console.log(actionMessage);
+        return true;
+    } catch (error) {
+        console.error('❌ Error logging link violation:', error);
+        return false;
+    }
+}
+
+/**
+ * Get recent link violations and attempts for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {number} limit - Number of records to fetch (default: 50)
+ * @param {string} actionFilter - Filter by action type (optional)
+ * @param {string} userFilter - Filter by Discord user ID (optional)
+ * @returns {Promise<Array|null>} Array of violations or null if error
+ */
+async function getRecentLinkViolations(guildId, limit = 50, actionFilter = null, userFilter = null) {
+    try {
+        let query = supabaseClient
+            .from('link_edit_violations')
+            .select('*')
+            .eq('guild_id', guildId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (actionFilter) {
+            query = query.eq('action_taken', actionFilter);
+        }
+
+        if (userFilter) {
+            query = query.eq('user_id', userFilter);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('❌ Failed to get link violations:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting link violations:', error);
+        return null;
+    }
+}
+
+/**
+ * Get link violation statistics for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {number} days - Number of days to look back (default: 30)
+ * @returns {Promise<Object|null>} Statistics object or null if error
+ */
+async function getLinkViolationStats(guildId, days = 30) {
+    try {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+
+        const { data, error } = await selectAllRows(() => supabaseClient
+            .from('link_edit_violations')
+            .select('action_taken, violation_type, created_at')
+            .eq('guild_id', guildId)
+            .gte('created_at', startDate.toISOString())
+            .order('created_at', { ascending: true }));
+
+        if (error) {
+            console.error('❌ Failed to get link violation stats:', error);
+            return null;
+        }
+
+        return summarizeLinkViolations(data, days);
+    } catch (error) {
+        console.error('❌ Error getting link violation stats:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetch every row of a query, a page at a time
+ * @param {Function} buildQuery - Returns a fresh query builder for the table and filters
+ * @returns {Promise<{ data: Array|null, error: Object|null }>} All rows, or the first error
+ */
+async function selectAllRows(buildQuery) {
+    const rows = [];
+
+    for (let from = 0; ; from += SELECT_PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + SELECT_PAGE_SIZE - 1);
+        if (error) return { data: null, error };
+
+        rows.push(...data);
+        if (data.length < SELECT_PAGE_SIZE) return { data: rows, error: null };
+    }
+}
+
+/**
+ * Get member growth statistics (joins, leaves, retention, peak hours) for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {number} days - Number of days to look back
+ * @returns {Promise<Object|null>} Statistics object or null if error
+ */
+async function getMemberGrowthStats(guildId, days = 30) {
+    try {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+        const since = startDate.toISOString();
+
+        const [joins, leaves] = await Promise.all([
+            selectAllRows(() => supabaseClient
+                .from('member_joins')
+                .select('user_id, joined_at')
+                .eq('guild_id', guildId)
+                .gte('joined_at', since)
+                .order('joined_at', { ascending: true })),
+            selectAllRows(() => supabaseClient
+                .from('member_leaves')
+                .select('user_id, left_at, time_in_server_seconds')
+                .eq('guild_id', guildId)
+                .gte('left_at', since)
+                .order('left_at', { ascending: true }))
+        ]);
+
+        if (joins.error || leaves.error) {
+            console.error('❌ Failed to get member growth stats:', joins.error || leaves.error);
+            return null;
+        }
+
+        return summarizeMemberGrowth(joins.data, leaves.data, days);
+    } catch (error) {
+        console.error('❌ Error getting member growth stats:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the invite leaderboard for a guild: joins per inviter and per invite code, and how many stayed
+ * @param {string} guildId - Discord guild ID
+ * @param {number} days - Number of days to look back (default: 30)
+ * @returns {Promise<Object|null>} Leaderboard object or null if error
+ */
+async function getInviteLeaderboard(guildId, days = 30) {
+    try {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+        const since = startDate.toISOString();
+
+        const [joins, leaves] = await Promise.all([
+            selectAllRows(() => supabaseClient
+                .from('member_joins')
+                .select('user_id, joined_at, invite_code, inviter_id')
+                .eq('guild_id', guildId)
+                .gte('joined_at', since)
+                .order('joined_at', { ascending: true })),
+            selectAllRows(() => supabaseClient
+                .from('member_leaves')
+                .select('user_id, left_at')
+                .eq('guild_id', guildId)
+                .gte('left_at', since)
+                .order('left_at', { ascending: true }))
+        ]);
+
+        if (joins.error || leaves.error) {
+            console.error('❌ Failed to get invite leaderboard:', joins.error || leaves.error);
+            return null;
+        }
+
+        return summarizeInviteLeaderboard(joins.data, leaves.data, days);
+    } catch (error) {
+        console.error('❌ Error getting invite leaderboard:', error);
+        return null;
+    }
+}
+
+/**
+ * Count a user's link edit violations (excluding edits allowed within the grace period)
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} since - Only count violations after this timestamp
+ * @returns {Promise<number|null>} Number of violations or null if error
+ */
+async function countUserLinkViolations(guildId, userId, since) {
+    try {
+        const { count, error } = await supabaseClient
+            .from('link_edit_violations')
+            .select('id', { count: 'exact', head: true })
+            .eq('guild_id', guildId)
+            .eq('user_id', userId)
+            .neq('action_taken', 'allowed_within_grace_period')
+            .gte('created_at', since);
+
+        if (error) {
+            console.error('❌ Failed to count link violations:', error);
+            return null;
+        }
+
+        return count;
+    } catch (error) {
+        console.error('❌ Error counting link violations:', error);
+        return null;
+    }
+}
+
+/**
+ * Record an escalated sanction against a repeat link edit offender
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} username - User's display name
+ * @param {number} violationCount - Violations within the escalation window
+ * @param {string} action - Sanction applied ('warn', 'timeout' or 'kick')
+ * @param {number|null} durationMinutes - Timeout length (timeouts only)
+ * @param {boolean} succeeded - Whether the sanction was applied
+ * @param {string|null} errorMessage - Why the sanction failed (optional)
+ * @returns {Promise<boolean>} True if recorded
+ */
+async function logLinkEscalation(guildId, userId, username, violationCount, action, durationMinutes, succeeded, errorMessage = null) {
+    try {
+        const { error } = await supabaseClient
+            .from('link_edit_escalations')
+            .insert([
+                {
+                    guild_id: guildId,
+                    user_id: userId,
+                    username: username,
+                    violation_count: violationCount,
+                    action: action,
+                    duration_minutes: durationMinutes,
+                    succeeded: succeeded,
+                    error: errorMessage?.substring(0, 500),
+                    created_at: new Date().toISOString()
+                }
+            ]);
+
+        if (error) {
+            console.error('❌ Failed to log link escalation:', error);
+            return false;
+        }
+
+        console.log(`📝 Logged link edit escalation (${action}): ${username} (${userId}) in guild ${guildId}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error logging link escalation:', error);
+        return false;
+    }
+}
+
+/**
+ * Record a message so its original content survives cache misses and restarts
+ * @param {string} messageId - Discord message ID
+ * @param {string} guildId - Discord guild ID
+ * @param {string} channelId - Discord channel ID
+ * @param {string} userId - Discord user ID of the author
+ * @param {string} content - Message content
+ * @param {string} postedAt - Message creation timestamp
+ * @returns {Promise<boolean>} True if saved
+ */
+async function trackMessage(messageId, guildId, channelId, userId, content, postedAt) {
+    try {
+        const { error } = await supabaseClient
+            .from('message_tracking')
+            .upsert([
+                {
+                    message_id: messageId,
+                    guild_id: guildId,
+                    channel_id: channelId,
+                    user_id: userId,
+                    content: content?.substring(0, 4000),
+                    posted_at: postedAt
+                }
+            ], {
+                onConflict: 'message_id',
+                ignoreDuplicates: false
+            });
+
+        if (error) {
+            console.error('❌ Failed to track message:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error tracking message:', error);
+        return false;
+    }
+}
+
+/**
+ * Get a tracked message
+ * @param {string} messageId - Discord message ID
+ * @returns {Promise<Object|null>} Tracking row or null if not tracked
+ */
+async function getTrackedMessage(messageId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('message_tracking')
+            .select('*')
+            .eq('message_id', messageId)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                // Message was never tracked or has been cleaned up
+                return null;
+            }
+            console.error('❌ Failed to get tracked message:', error);
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error getting tracked message:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove message tracking records older than 24 hours
+ * (runs the cleanup_old_message_tracking() database function)
+ * @returns {Promise<boolean>} True if cleanup ran
+ */
+async function cleanupMessageTracking() {
+    try {
+        const { error } = await supabaseClient.rpc('cleanup_old_message_tracking');
+
+        if (error) {
+            console.error('❌ Failed to clean up message tracking:', error);
+            return false;
+        }
+
+        console.log('🧹 Cleaned up old message tracking records');
+        return true;
+    } catch (error) {
+        console.error('❌ Error cleaning up message tracking:', error);
+        return false;
+    }
+}
+
 module.exports = {
     initializeSupabase,
     testConnection,
     logMemberJoin,
+    logMemberLeave,
+    getLatestMemberJoin,
     getGuildSettings,
     upsertGuildSettings,
+    setGuildActive,
+    setGuildLockdown,
+    getLinkPolicy,
+    upsertLinkPolicy,
+    getAnnouncements,
+    getAnnouncement,
+    upsertAnnouncement,
+    recordAnnouncementPost,
+    deleteAnnouncement,
+    getScheduledAnnouncements,
+    getScheduledAnnouncement,
+    getDueScheduledAnnouncements,
+    createScheduledAnnouncement,
+    updateScheduledAnnouncement,
+    deleteScheduledAnnouncement,
+    getRolePanels,
+    getRolePanel,
+    getReactionRolePanels,
+    upsertRolePanel,
+    deleteRolePanel,
     logLinkViolation,
     getRecentLinkViolations,
-    getLinkViolationStats
+    getLinkViolationStats,
+    getMemberGrowthStats,
+    getInviteLeaderboard,
+    countUserLinkViolations,
+    logLinkEscalation,
+    trackMessage,
+    getTrackedMessage,
+    cleanupMessageTracking
 };
\ No newline at end of file
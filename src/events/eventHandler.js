@@ -1,7 +1,15 @@
 const guildMemberAdd = require('./guildMemberAdd');
+const guildMemberUpdate = require('./guildMemberUpdate');
+const guildMemberRemove = require('./guildMemberRemove');
 const guildCreate = require('./guildCreate');
 const guildDelete = require('./guildDelete');
+const inviteCreate = require('./inviteCreate');
+const inviteDelete = require('./inviteDelete');
+const messageCreate = require('./messageCreate');
 const messageUpdate = require('./messageUpdate');
+const messageReactionAdd = require('./messageReactionAdd');
+const messageReactionRemove = require('./messageReactionRemove');
+const interactionCreate = require('./interactionCreate');
 
 /**
  * Register all event handlers for the Discord client
@@ -12,14 +20,28 @@ function eventHandler(client) {
 
     // Guild member events
     client.on('guildMemberAdd', (member) => guildMemberAdd(client, member));
+    client.on('guildMemberUpdate', (oldMember, newMember) => guildMemberUpdate(client, oldMember, newMember));
+    client.on('guildMemberRemove', (member) => guildMemberRemove(client, member));
     
     // Guild events
     client.on('guildCreate', (guild) => guildCreate(client, guild));
     client.on('guildDelete', (guild) => guildDelete(client, guild));
+
+    // Invite events (invite tracking)
+    client.on('inviteCreate', (invite) => inviteCreate(client, invite));
+    client.on('inviteDelete', (invite) => inviteDelete(client, invite));
     
     // Message events
+    client.on('messageCreate', (message) => messageCreate(client, message));
     client.on('messageUpdate', (oldMessage, newMessage) => messageUpdate(client, oldMessage, newMessage));
 
+    // Reaction events (reaction role panels)
+    client.on('messageReactionAdd', (reaction, user) => messageReactionAdd(client, reaction, user));
+    client.on('messageReactionRemove', (reaction, user) => messageReactionRemove(client, reaction, user));
+
+    // Interaction events (slash commands)
+    client.on('interactionCreate', (interaction) => interactionCreate(client, interaction));
+
     console.log('✅ Event handlers loaded successfully');
 }
 
@@ -1,4 +1,7 @@
-const { upsertGuildSettings } = require('../database/supabase');
+const { getGuildSettings, upsertGuildSettings, setGuildActive } = require('../database');
+const { cacheGuildInvites } = require('../utils/invites');
+const { findBestWelcomeChannel } = require('../utils/helpers');
+const { loadWizardState, buildSetupWizard } = require('../utils/setupWizard');
 
 /**
  * Handle bot joining a new guild
@@ -10,66 +13,37 @@ async function guildCreate(client, guild) {
         console.log(`🎉 Joined new guild: ${guild.name} (${guild.id})`);
         console.log(`📊 Guild has ${guild.memberCount} members`);
 
-        // Create default settings for the new guild
-        await upsertGuildSettings(guild.id, guild.name, {
-            welcome_message: `Welcome to ${guild.name}, {user}! 🎉 We're glad to have you here!`,
-            is_active: true
-        });
+        // Settings left from an earlier stay, if the bot is being re-added
+        const previous = await getGuildSettings(guild.id);
 
-        // Try to find an appropriate channel to send a setup message
-        let systemChannel = guild.systemChannel;
-        
-        if (!systemChannel) {
-            // Look for common channel names
-            const channelNames = ['general', 'main', 'welcome', 'announcements', 'bot-commands'];
-            
-            for (const channelName of channelNames) {
-                systemChannel = guild.channels.cache.find(
-                    channel => channel.name.toLowerCase().includes(channelName) && 
-                              channel.type === 0 // Text channel
-                );
-                if (systemChannel) break;
-            }
-        }
-
-        // If still no channel, use the first available text channel
-        if (!systemChannel) {
-            systemChannel = guild.channels.cache.find(channel => 
-                channel.type === 0 && 
-                channel.permissionsFor(guild.members.me)?.has(['SendMessages', 'ViewChannel'])
-            );
+        if (previous) {
+            // guildDelete only deactivated the guild, so switch it back on and keep the rest
+            await setGuildActive(guild.id, true);
+        } else {
+            // Create default settings for the new guild. The welcome message is left empty so
+            // the default follows the guild's language, including later /giggles set-language changes
+            await upsertGuildSettings(guild.id, guild.name, {
+                welcome_message: null,
+                is_active: true
+            });
         }
 
-        // Send setup message if we found a suitable channel
-        if (systemChannel) {
-            const setupMessage = `
-🤖 **Thanks for adding Giggles to ${guild.name}!** 
-
-I'm here to welcome new members with customizable messages. Here's what I can do:
-
-✅ **Automatic welcome messages** when new members join
-📝 **Customizable welcome text** with placeholders like {user}, {guild}, {membercount}
-🎯 **Flexible channel selection** - I'll find the best channel or you can set one specifically
-📊 **Member join logging** to keep track of your community growth
-
-**Quick Setup:**
-• I'm already active and will welcome new members automatically!
-• I'll use channels like #welcome, #general, or your server's system channel
-• You can customize my welcome messages through the database settings
-
-**Need help?** Contact the bot administrator for advanced configuration options.
+        // Start tracking which invites new members use
+        await cacheGuildInvites(guild);
 
-Ready to welcome your next member! 🎉
-            `.trim();
+        // Post the setup wizard where moderators will see it: the mod-log channel
+        // if the bot is being re-added, otherwise the system or best general channel
+        const channel = findBestWelcomeChannel(guild, previous?.mod_log_channel_id);
 
+        if (channel) {
             try {
-                await systemChannel.send(setupMessage);
-                console.log(`✅ Setup message sent to ${systemChannel.name} in ${guild.name}`);
+                await channel.send(buildSetupWizard(guild, await loadWizardState(guild)));
+                console.log(`✅ Setup wizard sent to ${channel.name} in ${guild.name}`);
             } catch (error) {
-                console.log(`⚠️ Could not send setup message in ${guild.name}:`, error.message);
+                console.log(`⚠️ Could not send setup wizard in ${guild.name}:`, error.message);
             }
         } else {
-            console.log(`⚠️ No suitable channel found for setup message in ${guild.name}`);
+            console.log(`⚠️ No suitable channel found for setup wizard in ${guild.name}`);
         }
 
         // Log guild statistics
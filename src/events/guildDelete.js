@@ -1,4 +1,5 @@
-const { upsertGuildSettings } = require('../database/supabase');
+const { setGuildActive } = require('../database');
+const { forgetGuildInvites } = require('../utils/invites');
 
 /**
  * Handle bot leaving a guild
@@ -9,12 +10,11 @@ async function guildDelete(client, guild) {
     try {
         console.log(`👋 Left guild: ${guild.name} (${guild.id})`);
 
+        forgetGuildInvites(guild.id);
+
         // Deactivate guild settings instead of deleting
         // This preserves data in case the bot is re-added later
-        await upsertGuildSettings(guild.id, guild.name, {
-            is_active: false,
-            updated_at: new Date().toISOString()
-        });
+        await setGuildActive(guild.id, false);
 
         console.log(`🔄 Deactivated settings for ${guild.name}`);
         console.log(`📈 Now serving ${client.guilds.cache.size} total guilds`);
@@ -0,0 +1,67 @@
+const { logMemberLeave, getGuildSettings } = require('../database');
+const { buildGoodbyeMessage, resolveWelcomeChannel } = require('../utils/welcome');
+const { cancelDelayedRole } = require('../utils/roles');
+const { cancelVerification } = require('../utils/verification');
+const { isLockedDown } = require('../utils/raid');
+const { resolveLocale } = require('../utils/i18n');
+
+/**
+ * Handle a member leaving a guild (left, kicked or banned)
+ * @param {Client} client - Discord client instance
+ * @param {GuildMember} member - The member who left (may be partial)
+ */
+async function guildMemberRemove(client, member) {
+    try {
+        const { guild, user } = member;
+        if (user.id === client.user.id) return;
+
+        console.log(`🚪 Member left: ${user.username} in ${guild.name}`);
+
+        cancelDelayedRole(member);
+        cancelVerification(member);
+
+        // Log the leave with time in server, measured from the matching join
+        const leave = await logMemberLeave(
+            guild.id,
+            user.id,
+            user.username,
+            new Date().toISOString(),
+            member.joinedAt?.toISOString() || null
+        );
+
+        const guildSettings = await getGuildSettings(guild.id);
+
+        if (!guildSettings?.is_active || !guildSettings.goodbye_enabled) {
+            return;
+        }
+
+        // Raid accounts being kicked shouldn't each get a goodbye
+        if (isLockedDown(guild.id)) {
+            console.log(`🔒 Skipping goodbye message for ${user.username} in ${guild.name} (lockdown)`);
+            return;
+        }
+
+        // Goodbye channel if set, otherwise the same channel welcomes go to
+        const goodbyeChannel = resolveWelcomeChannel(guild, guildSettings.goodbye_channel_id || guildSettings.welcome_channel_id);
+
+        if (!goodbyeChannel) {
+            console.log(`❌ No suitable goodbye channel found in ${guild.name}`);
+            return;
+        }
+
+        const joinedAt = leave?.joined_at ? new Date(leave.joined_at) : member.joinedAt;
+        await goodbyeChannel.send(buildGoodbyeMessage(guildSettings, {
+            user,
+            guild,
+            member,
+            joinedAt,
+            locale: resolveLocale(guild, guildSettings)
+        }));
+
+        console.log(`✅ Goodbye message sent for ${user.username} in ${guild.name}`);
+    } catch (error) {
+        console.error('❌ Error in guildMemberRemove event:', error);
+    }
+}
+
+module.exports = guildMemberRemove;
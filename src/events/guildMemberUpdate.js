@@ -0,0 +1,26 @@
+const { getGuildSettings } = require('../database');
+const { grantDelayedRole } = require('../utils/roles');
+
+/**
+ * Handle member updates: grant the delayed role once a member passes membership screening
+ * @param {Client} client - Discord client instance
+ * @param {GuildMember} oldMember - The member before the update (may be partial)
+ * @param {GuildMember} newMember - The member after the update
+ */
+async function guildMemberUpdate(client, oldMember, newMember) {
+    try {
+        // Only react to pending flipping off. A partial old member doesn't say whether it
+        // was pending, so it is skipped; resumeDelayedRoles covers members missed while offline
+        if (oldMember.pending !== true || newMember.pending) return;
+
+        const guildSettings = await getGuildSettings(newMember.guild.id);
+        if (!guildSettings?.delayed_role_id || guildSettings.delayed_role_trigger !== 'screening') return;
+
+        console.log(`🛂 ${newMember.user.username} passed membership screening in ${newMember.guild.name}`);
+        await grantDelayedRole(newMember, guildSettings);
+    } catch (error) {
+        console.error('❌ Error in guildMemberUpdate event:', error);
+    }
+}
+
+module.exports = guildMemberUpdate;
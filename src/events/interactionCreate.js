@@ -0,0 +1,67 @@
+const { MessageFlags } = require('discord.js');
+const { DEFAULT_LOCALE, getGuildLocale, t } = require('../utils/i18n');
+
+/**
+ * Find the command that owns an interaction.
+ * Component custom IDs are prefixed with the command name ("linkviolations:page:2").
+ * @param {Client} client - Discord client instance
+ * @param {Interaction} interaction - The interaction
+ * @returns {Object|undefined} Command module
+ */
+function resolveCommand(client, interaction) {
+    if (interaction.isChatInputCommand()) {
+        return client.commands?.get(interaction.commandName);
+    }
+
+    const [commandName] = interaction.customId.split(':');
+    return client.commands?.get(commandName);
+}
+
+/**
+ * Route incoming interactions to the matching slash command
+ * @param {Client} client - Discord client instance
+ * @param {Interaction} interaction - The interaction that was created
+ */
+async function interactionCreate(client, interaction) {
+    const isComponent = interaction.isMessageComponent() || interaction.isModalSubmit();
+    if (!interaction.isChatInputCommand() && !isComponent) return;
+
+    const command = resolveCommand(client, interaction);
+    const label = isComponent ? `component ${interaction.customId}` : `/${interaction.commandName}`;
+
+    if (!command || (isComponent && !command.handleComponent)) {
+        console.log(`⚠️ Received unknown ${label}`);
+        return;
+    }
+
+    try {
+        if (isComponent) {
+            await command.handleComponent(client, interaction);
+        } else {
+            await command.execute(client, interaction);
+        }
+    } catch (error) {
+        console.error(`❌ Error handling ${label}:`, error);
+
+        // Members see this too (panel buttons, verification), so use the guild's language
+        const locale = interaction.guild
+            ? await getGuildLocale(interaction.guild).catch(() => DEFAULT_LOCALE)
+            : DEFAULT_LOCALE;
+        const reply = {
+            content: t(locale, 'errors.generic'),
+            flags: MessageFlags.Ephemeral
+        };
+
+        try {
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(reply);
+            } else {
+                await interaction.reply(reply);
+            }
+        } catch (replyError) {
+            console.log(`⚠️ Could not send error reply for ${label}:`, replyError.message);
+        }
+    }
+}
+
+module.exports = interactionCreate;
@@ -0,0 +1,17 @@
+const { trackInviteCreate } = require('../utils/invites');
+
+/**
+ * Handle invite creation: start tracking the invite's uses
+ * @param {Client} client - Discord client instance
+ * @param {Invite} invite - The new invite
+ */
+async function inviteCreate(client, invite) {
+    try {
+        trackInviteCreate(invite);
+        console.log(`🔗 Invite ${invite.code} created${invite.inviter ? ` by ${invite.inviter.username}` : ''} in ${invite.guild?.name}`);
+    } catch (error) {
+        console.error('❌ Error in inviteCreate event:', error);
+    }
+}
+
+module.exports = inviteCreate;
@@ -0,0 +1,16 @@
+const { trackInviteDelete } = require('../utils/invites');
+
+/**
+ * Handle invite deletion (revoked, expired or used up)
+ * @param {Client} client - Discord client instance
+ * @param {Invite} invite - The deleted invite
+ */
+async function inviteDelete(client, invite) {
+    try {
+        trackInviteDelete(invite);
+    } catch (error) {
+        console.error('❌ Error in inviteDelete event:', error);
+    }
+}
+
+module.exports = inviteDelete;
@@ -0,0 +1,38 @@
+const { containsUrls, logWithTimestamp } = require('../utils/helpers');
+const { trackMessage } = require('../database');
+const { resolveLinkPolicy } = require('../utils/linkPolicy');
+
+/**
+ * Record new messages in the tracking store so link edit rules can still be
+ * enforced when the message is no longer cached (e.g. after a restart)
+ * @param {Client} client - Discord client instance
+ * @param {Message} message - The message that was created
+ */
+async function messageCreate(client, message) {
+    try {
+        // Ignore bot messages, system messages and DMs
+        if (message.author.bot || message.system || !message.guild) return;
+
+        const policy = await resolveLinkPolicy(message.guild.id);
+
+        // Only messages with links are tracked unless the guild opted into tracking everything
+        if (!policy.track_all_messages && !containsUrls(message.content)) return;
+
+        await trackMessage(
+            message.id,
+            message.guild.id,
+            message.channel.id,
+            message.author.id,
+            message.content,
+            new Date(message.createdTimestamp).toISOString()
+        );
+    } catch (error) {
+        logWithTimestamp('error', `Error in messageCreate handler`, {
+            error: error.message,
+            messageId: message?.id,
+            guildId: message?.guild?.id
+        });
+    }
+}
+
+module.exports = messageCreate;
@@ -0,0 +1,23 @@
+const { isReactionPanel, handlePanelReaction } = require('../utils/rolePanels');
+
+/**
+ * Handle a reaction being added to a message (reaction role panels)
+ * @param {Client} client - Discord client instance
+ * @param {MessageReaction} reaction - The reaction
+ * @param {User} user - Who reacted
+ */
+async function messageReactionAdd(client, reaction, user) {
+    try {
+        // Only panels matter; the message ID is known even for partials, so nothing else is fetched
+        if (!isReactionPanel(reaction.message.id)) return;
+
+        // Reactions on messages sent before the restart arrive as partials
+        if (reaction.partial) await reaction.fetch();
+
+        await handlePanelReaction(reaction, user, true);
+    } catch (error) {
+        console.error('❌ Error in messageReactionAdd event:', error);
+    }
+}
+
+module.exports = messageReactionAdd;
@@ -1,6 +1,60 @@
 const { EmbedBuilder } = require('discord.js');
-const { containsUrls, hasModeratorPermissions, detectUrlChanges, logWithTimestamp } = require('../utils/helpers');
-const { logLinkViolation } = require('../database/supabase');
+const { containsUrls, detectUrlChanges, logWithTimestamp } = require('../utils/helpers');
+const { logLinkViolation, trackMessage, getTrackedMessage } = require('../database');
+const { resolveLinkPolicy, getPolicyExemption, classifyUrls } = require('../utils/linkPolicy');
+const { sendModLog, buildLinkEditEmbed } = require('../utils/modLog');
+const { escalateLinkViolation } = require('../utils/escalation');
+const { getGuildLocale, t } = require('../utils/i18n');
+
+/**
+ * Auto-delete a warning message after 20 seconds
+ * @param {Message} sentWarning - The warning message sent by the bot
+ * @param {Message} newMessage - The edited message that triggered the warning
+ */
+function scheduleWarningDeletion(sentWarning, newMessage) {
+    setTimeout(async () => {
+        try {
+            await sentWarning.delete();
+            logWithTimestamp('info', `Warning message auto-deleted after 20 seconds`, {
+                userId: newMessage.author.id,
+                guildId: newMessage.guild.id,
+                channelId: newMessage.channel.id
+            });
+        } catch (deleteError) {
+            logWithTimestamp('warn', 'Could not delete warning message', {
+                error: deleteError.message,
+                userId: newMessage.author.id,
+                guildId: newMessage.guild.id
+            });
+        }
+    }, 20000);
+}
+
+/**
+ * Keep the tracking store in step with an accepted edit, so the next edit
+ * of an uncached message is compared against the latest content
+ * @param {Object} policy - Link policy
+ * @param {Message} newMessage - The edited message
+ * @param {number} originalTimestamp - When the message was first posted
+ */
+function recordAcceptedEdit(policy, newMessage, originalTimestamp) {
+    if (!policy.track_all_messages && !containsUrls(newMessage.content)) return;
+
+    trackMessage(
+        newMessage.id,
+        newMessage.guild.id,
+        newMessage.channel.id,
+        newMessage.author.id,
+        newMessage.content,
+        new Date(originalTimestamp).toISOString()
+    ).catch(dbError => {
+        logWithTimestamp('error', 'Failed to update tracked message', {
+            error: dbError.message,
+            messageId: newMessage.id,
+            guildId: newMessage.guild.id
+        });
+    });
+}
 
 /**
  * Handle message updates to enforce time-based link editing rules
@@ -10,18 +64,32 @@ const { logLinkViolation } = require('../database/supabase');
  */
 async function messageUpdate(client, oldMessage, newMessage) {
     try {
-        // Ignore bot messages and system messages
-        if (newMessage.author.bot || newMessage.system) return;
-        
         // Ignore if message is from DM (no guild)
         if (!newMessage.guild) return;
+
+        // Uncached messages arrive as partials - fetch the full message
+        if (newMessage.partial) {
+            newMessage = await newMessage.fetch();
+        }
+
+        // Ignore bot messages and system messages
+        if (newMessage.author.bot || newMessage.system) return;
         
-        // Ignore if we can't access the member (shouldn't happen but safety check)
+        // The member may not be cached for old messages
+        if (!newMessage.member) {
+            await newMessage.guild.members.fetch(newMessage.author.id).catch(() => null);
+        }
+
+        // Ignore if we can't access the member (e.g. they left the guild)
         if (!newMessage.member) return;
         
-        // Check if the user has moderator permissions - if so, allow the edit
-        if (hasModeratorPermissions(newMessage.member)) {
-            logWithTimestamp('info', `Moderator ${newMessage.author.username} edited message - allowed`, {
+        // Load this guild's link policy (falls back to the defaults)
+        const policy = await resolveLinkPolicy(newMessage.guild.id);
+
+        // Exempt channels, moderators and trusted roles may edit links freely
+        const exemption = getPolicyExemption(policy, newMessage);
+        if (exemption) {
+            logWithTimestamp('info', `Message edit by ${newMessage.author.username} exempt from link policy (${exemption}) - allowed`, {
                 userId: newMessage.author.id,
                 guildId: newMessage.guild.id,
                 channelId: newMessage.channel.id,
@@ -30,11 +98,34 @@ async function messageUpdate(client, oldMessage, newMessage) {
             return;
         }
         
+        // Original content and post time, recovered from the tracking store when
+        // the message was not cached (e.g. posted before a restart)
+        let originalContent = oldMessage.content;
+        let originalTimestamp = oldMessage.createdTimestamp;
+
+        if (oldMessage.partial || originalContent === null) {
+            const tracked = await getTrackedMessage(newMessage.id);
+
+            if (!tracked) {
+                logWithTimestamp('info', `Edit of untracked uncached message - cannot compare, allowed`, {
+                    userId: newMessage.author.id,
+                    guildId: newMessage.guild.id,
+                    channelId: newMessage.channel.id,
+                    messageId: newMessage.id
+                });
+                return;
+            }
+
+            originalContent = tracked.content ?? '';
+            originalTimestamp = new Date(tracked.posted_at).getTime();
+        }
+
         // Detect if URLs were added or modified in the edit
-        const urlChanges = detectUrlChanges(oldMessage.content, newMessage.content);
+        const urlChanges = detectUrlChanges(originalContent, newMessage.content);
         
         // If no URL changes detected, allow the edit
         if (!urlChanges.hasChangedUrls) {
+            recordAcceptedEdit(policy, newMessage, originalTimestamp);
             logWithTimestamp('info', `Message edit without URL changes - allowed`, {
                 userId: newMessage.author.id,
                 guildId: newMessage.guild.id,
@@ -43,14 +134,39 @@ async function messageUpdate(client, oldMessage, newMessage) {
             });
             return;
         }
+
+        // Apply the guild's domain lists to the newly linked URLs
+        const domainMatches = classifyUrls(policy, urlChanges.addedUrls);
+        const hasBlockedDomain = domainMatches.blocked.length > 0;
+
+        // Every new link points at an allowlisted domain - allow the edit
+        if (domainMatches.allowed.length === urlChanges.addedUrls.length) {
+            recordAcceptedEdit(policy, newMessage, originalTimestamp);
+            logWithTimestamp('info', `Link edit to allowlisted domains only - allowed`, {
+                userId: newMessage.author.id,
+                guildId: newMessage.guild.id,
+                channelId: newMessage.channel.id,
+                messageId: newMessage.id,
+                addedUrls: urlChanges.addedUrls
+            });
+            return;
+        }
         
         // Calculate time since original message was sent
-        const originalTimestamp = oldMessage.createdTimestamp;
         const currentTimestamp = Date.now();
         const timeDifferenceMinutes = (currentTimestamp - originalTimestamp) / (1000 * 60);
         
-        // 10-minute grace period for link editing
-        const GRACE_PERIOD_MINUTES = 10;
+        // Grace period for link editing, configured per guild
+        const GRACE_PERIOD_MINUTES = policy.grace_period_minutes;
+
+        // The member and the mod-log are told about the edit in the guild's language
+        const locale = await getGuildLocale(newMessage.guild);
+
+        // Mirror the outcome to the guild's mod-log channel (async, don't await to avoid blocking)
+        const reportToModLog = (actionTaken, reason) => {
+            const embed = buildLinkEditEmbed({ message: newMessage, urlChanges, originalTimestamp, actionTaken, reason, locale });
+            sendModLog(newMessage.guild, { embeds: [embed] });
+        };
         
         logWithTimestamp('info', `Link editing detected - checking time restrictions`, {
             userId: newMessage.author.id,
@@ -62,11 +178,14 @@ async function messageUpdate(client, oldMessage, newMessage) {
             changeType: urlChanges.type,
             timeDifferenceMinutes: timeDifferenceMinutes.toFixed(2),
             gracePeriodMinutes: GRACE_PERIOD_MINUTES,
-            withinGracePeriod: timeDifferenceMinutes <= GRACE_PERIOD_MINUTES
+            withinGracePeriod: timeDifferenceMinutes <= GRACE_PERIOD_MINUTES,
+            addedUrls: urlChanges.addedUrls,
+            blockedUrls: domainMatches.blocked
         });
         
         // If within grace period, allow the edit but log the attempt
-        if (timeDifferenceMinutes <= GRACE_PERIOD_MINUTES) {
+        // (links to blocklisted domains are never allowed)
+        if (timeDifferenceMinutes <= GRACE_PERIOD_MINUTES && !hasBlockedDomain) {
             logWithTimestamp('info', `Link edit attempt within ${GRACE_PERIOD_MINUTES} minute grace period - allowed but logged`, {
                 userId: newMessage.author.id,
                 username: newMessage.author.username,
@@ -83,7 +202,7 @@ async function messageUpdate(client, oldMessage, newMessage) {
                 newMessage.channel.id,
                 newMessage.id,
                 urlChanges.type,
-                oldMessage.content,
+                originalContent,
                 newMessage.content,
                 'allowed_within_grace_period'
             ).catch(dbError => {
@@ -94,11 +213,15 @@ async function messageUpdate(client, oldMessage, newMessage) {
                 });
             });
             
+            reportToModLog('allowed_within_grace_period');
+            recordAcceptedEdit(policy, newMessage, originalTimestamp);
             return;
         }
         
-        // Grace period exceeded - log the violation and take action
-        logWithTimestamp('warn', `Link editing rule violation - grace period exceeded`, {
+        // Grace period exceeded (or blocked domain) - log the violation and take action
+        logWithTimestamp('warn', hasBlockedDomain
+            ? `Link editing rule violation - blocklisted domain`
+            : `Link editing rule violation - grace period exceeded`, {
             userId: newMessage.author.id,
             username: newMessage.author.username,
             guildId: newMessage.guild.id,
@@ -108,21 +231,33 @@ async function messageUpdate(client, oldMessage, newMessage) {
             changeType: urlChanges.type,
             timeDifferenceMinutes: timeDifferenceMinutes.toFixed(2),
             gracePeriodMinutes: GRACE_PERIOD_MINUTES,
-            oldContent: oldMessage.content.substring(0, 100) + '...',
+            policyAction: policy.action,
+            oldContent: originalContent.substring(0, 100) + '...',
             newContent: newMessage.content.substring(0, 100) + '...'
         });
 
+        // What the member is told they did wrong
+        const ruleBroken = hasBlockedDomain
+            ? t(locale, 'links.rule_blocked')
+            : t(locale, 'links.rule_grace', { count: GRACE_PERIOD_MINUTES });
+
+        const actionTaken = {
+            delete: 'message_deleted',
+            warn: 'warned',
+            log: 'logged'
+        }[policy.action] || 'message_deleted';
+
         // Log violation to database (async, don't await to avoid blocking)
-        logLinkViolation(
+        const violationLogged = logLinkViolation(
             newMessage.guild.id,
             newMessage.author.id,
             newMessage.author.username,
             newMessage.channel.id,
             newMessage.id,
             urlChanges.type,
-            oldMessage.content,
+            originalContent,
             newMessage.content,
-            'message_deleted'
+            actionTaken
         ).catch(dbError => {
             logWithTimestamp('error', 'Failed to log link violation to database', {
                 error: dbError.message,
@@ -130,6 +265,50 @@ async function messageUpdate(client, oldMessage, newMessage) {
                 guildId: newMessage.guild.id
             });
         });
+
+        // Escalate against repeat offenders once this violation is counted (not in log-only mode)
+        if (policy.action !== 'log') {
+            violationLogged
+                .then(() => escalateLinkViolation(newMessage.member, policy))
+                .catch(escalationError => {
+                    logWithTimestamp('error', 'Failed to escalate link violation', {
+                        error: escalationError.message,
+                        userId: newMessage.author.id,
+                        guildId: newMessage.guild.id
+                    });
+                });
+        }
+
+        const modLogReason = hasBlockedDomain
+            ? t(locale, 'mod_log.link_edit.reason_blocked', { domains: domainMatches.blocked.join(', ') })
+            : t(locale, 'mod_log.link_edit.reason_late', {
+                minutes: timeDifferenceMinutes.toFixed(1),
+                grace: t(locale, 'time.minute', { count: GRACE_PERIOD_MINUTES })
+            });
+
+        // Log-only policy: record the violation and leave the message alone
+        if (policy.action === 'log') {
+            reportToModLog(actionTaken, modLogReason);
+            return;
+        }
+
+        // Warn-only policy: keep the message but remind the user of the rule
+        if (policy.action === 'warn') {
+            try {
+                const warnOnlyMessage = t(locale, 'links.warning', { user: newMessage.author, rule: ruleBroken });
+                const sentWarning = await newMessage.channel.send(warnOnlyMessage);
+                scheduleWarningDeletion(sentWarning, newMessage);
+            } catch (warningError) {
+                logWithTimestamp('error', `Failed to send warning message`, {
+                    error: warningError.message,
+                    userId: newMessage.author.id,
+                    guildId: newMessage.guild.id,
+                    channelId: newMessage.channel.id
+                });
+            }
+            reportToModLog(actionTaken, modLogReason);
+            return;
+        }
         
         // Try to delete the message immediately
         try {
@@ -143,27 +322,12 @@ async function messageUpdate(client, oldMessage, newMessage) {
             });
             
             // Send the custom warning message (auto-delete after 20 seconds)
-            const warningMessage = `🚫 🔗 ✏️ 5️⃣ ⏰ ‼️\n👋 ${newMessage.author}, NO LINK EDITING AFTER 5 MINUTES!\n🛡️ For server safety, your message has been deleted.\n🎇 This notice will self-destruct in 20 seconds...`;
+            const warningMessage = t(locale, 'links.deleted', { user: newMessage.author, rule: ruleBroken.toLocaleUpperCase(locale) });
             
+            reportToModLog('message_deleted', modLogReason);
+
             const sentWarning = await newMessage.channel.send(warningMessage);
-            
-            // Auto-delete the warning message after 20 seconds
-            setTimeout(async () => {
-                try {
-                    await sentWarning.delete();
-                    logWithTimestamp('info', `Warning message auto-deleted after 20 seconds`, {
-                        userId: newMessage.author.id,
-                        guildId: newMessage.guild.id,
-                        channelId: newMessage.channel.id
-                    });
-                } catch (deleteError) {
-                    logWithTimestamp('warn', 'Could not delete warning message', {
-                        error: deleteError.message,
-                        userId: newMessage.author.id,
-                        guildId: newMessage.guild.id
-                    });
-                }
-            }, 20000);
+            scheduleWarningDeletion(sentWarning, newMessage);
             
         } catch (deleteError) {
             logWithTimestamp('error', `Failed to delete message with link edit violation`, {
@@ -174,10 +338,12 @@ async function messageUpdate(client, oldMessage, newMessage) {
                 messageId: newMessage.id,
                 timeDifferenceMinutes: timeDifferenceMinutes.toFixed(2)
             });
+
+            reportToModLog('delete_failed', `${modLogReason}\n${t(locale, 'mod_log.link_edit.delete_failed', { error: deleteError.message })}`);
             
             // If we can't delete the message, try to send a warning anyway
             try {
-                const fallbackWarning = `⚠️ ${newMessage.author}, link editing is not allowed after ${GRACE_PERIOD_MINUTES} minutes for regular members.\n\nPlease ask a moderator if you need to share a link.`;
+                const fallbackWarning = t(locale, 'links.fallback', { user: newMessage.author, rule: ruleBroken });
                 await newMessage.channel.send(fallbackWarning);
                 
                 logWithTimestamp('info', `Fallback warning message sent`, {
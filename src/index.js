@@ -1,28 +1,46 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, Collection } = require('discord.js');
-const { initializeSupabase } = require('./database/supabase');
+const { Client, GatewayIntentBits, Partials, Collection } = require('discord.js');
+const { initializeDatabase, cleanupMessageTracking } = require('./database');
 const eventHandler = require('./events/eventHandler');
-const sendStaticAnnouncement = require('./utils/announcement');
+const { commandHandler, registerCommands } = require('./commands/commandHandler');
+const { syncGuildAnnouncements } = require('./utils/announcement');
+const { startAnnouncementScheduler } = require('./utils/schedule');
+const { resumeDelayedRoles } = require('./utils/roles');
+const { resumeLockdowns } = require('./utils/raid');
+const { resumeVerifications } = require('./utils/verification');
+const { cacheAllInvites } = require('./utils/invites');
+const { loadReactionPanels } = require('./utils/rolePanels');
 
 // Initialize Discord client with necessary intents
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMembers, // Enabled - Server Members Intent should be enabled in Discord Portal
+        GatewayIntentBits.GuildInvites, // Invite create/delete events for invite tracking
         GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.GuildMessageReactions, // Reaction role panels
         GatewayIntentBits.MessageContent // Added for detecting URLs in messages
-    ]
+    ],
+    // Needed so messageUpdate, guildMemberUpdate and reaction events fire for messages,
+    // members and reactions that are not cached
+    partials: [Partials.Message, Partials.Channel, Partials.GuildMember, Partials.Reaction, Partials.User]
 });
 
-// Initialize Supabase connection
-const supabase = initializeSupabase();
+// How often old message_tracking rows are cleaned up
+const MESSAGE_TRACKING_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
 
-// Make supabase available globally on the client
-client.supabase = supabase;
+// Initialize the storage backend (Supabase by default, see DATABASE_BACKEND)
+const database = initializeDatabase();
+
+// Make the database available globally on the client
+client.database = database;
 
 // Load event handlers
 eventHandler(client);
 
+// Load slash commands
+commandHandler(client);
+
 // Bot ready event
 client.once('ready', async () => {
     console.log(`🤖 ${client.user.tag} is online and ready!`);
@@ -31,10 +49,36 @@ client.once('ready', async () => {
     // Set bot activity
     client.user.setActivity('for new members! 👋', { type: 'WATCHING' });
 
-    // Send static announcement in each guild (only once per guild)
+    // Register slash commands with Discord
+    await registerCommands(client);
+
+    // Clean up old message tracking records now and then every hour
+    cleanupMessageTracking();
+    setInterval(cleanupMessageTracking, MESSAGE_TRACKING_CLEANUP_INTERVAL_MS);
+
+    // Cache invite use counts so joins can be attributed to the invite used
+    await cacheAllInvites(client);
+
+    // Restart delayed role timers that were lost when the bot went offline
+    await resumeDelayedRoles(client);
+
+    // Restart the kick timers of members who haven't verified yet
+    await resumeVerifications(client);
+
+    // Restore raid lockdowns that were active before the restart
+    await resumeLockdowns(client);
+
+    // Watch posted reaction role panels again
+    await loadReactionPanels();
+
+    // Post, edit or repost each guild's announcements so they match what's stored;
+    // scheduled ones are left to the scheduler so a restart doesn't post them
     for (const guild of client.guilds.cache.values()) {
-        await sendStaticAnnouncement(guild);
+        await syncGuildAnnouncements(guild);
     }
+
+    // Post scheduled announcements, catching up on runs missed while offline
+    await startAnnouncementScheduler(client);
 });
 
 // Error handling
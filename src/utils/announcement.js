@@ -1,235 +1,307 @@
-const { EmbedBuilder } = require('discord.js');
+/**
+ * Per-guild announcements: posts defined as data (target channel, title, body
+ * template, banner and color) stored in the announcements table and managed with
+ * /announce. Each post's message ID and content hash are recorded so later changes
+ * edit the message in place. Seed sets in src/seeds/announcements can be imported into a guild.
+ * Scheduled posts (see schedule.js) go out as new messages through postAnnouncement
+ * and are skipped by the guild-wide sync.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder, ChannelType } = require('discord.js');
+const {
+    getAnnouncements,
+    upsertAnnouncement,
+    recordAnnouncementPost,
+    getScheduledAnnouncements
+} = require('../database');
+const { renderTemplate } = require('./template');
+const { DEFAULT_LOCALE, getGuildLocale } = require('./i18n');
+const { isChannelSuitable, logWithTimestamp } = require('./helpers');
+
+const SEEDS_DIR = path.join(__dirname, '..', 'seeds', 'announcements');
+const DEFAULT_ANNOUNCEMENT_COLOR = '#7289DA';
+
+// Recent messages checked for a copy posted before message IDs were recorded
+const DUPLICATE_SCAN_LIMIT = 20;
+
+// Discord API error code for a deleted message
+const UNKNOWN_MESSAGE_ERROR = 10008;
+
+let seeds = null;
+
+/**
+ * Load the announcement seed sets shipped with the bot
+ * @returns {Object} Seed sets by name (file name without .json)
+ */
+function getAnnouncementSeeds() {
+    if (!seeds) {
+        seeds = {};
+        for (const file of fs.readdirSync(SEEDS_DIR).filter(name => name.endsWith('.json'))) {
+            seeds[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(SEEDS_DIR, file), 'utf8'));
+        }
+    }
+    return seeds;
+}
+
+/**
+ * Find a text channel by name
+ * @param {Guild} guild - Discord guild
+ * @param {string} name - Channel name
+ * @returns {TextChannel|undefined} Channel
+ */
+function findTextChannelByName(guild, name) {
+    return guild.channels.cache.find(channel => channel.type === ChannelType.GuildText && channel.name === name);
+}
+
+/**
+ * Find the channel an announcement is posted in: its stored ID, then its channel name
+ * @param {Guild} guild - Discord guild
+ * @param {Object} announcement - Announcement row
+ * @returns {TextChannel|null} Channel the bot can post in, or null
+ */
+function resolveAnnouncementChannel(guild, announcement) {
+    const channel = (announcement.channel_id && guild.channels.cache.get(announcement.channel_id)) ||
+        (announcement.channel_name && findTextChannelByName(guild, announcement.channel_name));
+
+    return isChannelSuitable(channel, guild.members.me) ? channel : null;
+}
+
+/**
+ * Render an announcement's content
+ * @param {Guild} guild - Discord guild
+ * @param {Object} announcement - Announcement row
+ * @param {string} [locale] - The guild's language, for dates and ordinals in the body
+ * @returns {{ title: string, description: string, banner_url: string|null, color: string }} Rendered content
+ */
+function renderAnnouncement(guild, announcement, locale = DEFAULT_LOCALE) {
+    return {
+        title: announcement.title,
+        description: renderTemplate(announcement.body, { guild, locale }),
+        banner_url: announcement.banner_url || null,
+        color: announcement.color || DEFAULT_ANNOUNCEMENT_COLOR
+    };
+}
+
+/**
+ * Hash an announcement's stored fields, to tell whether a posted copy is out of date.
+ * The body is hashed as a template rather than rendered, so placeholders such as
+ * {date} don't make every sync edit the post.
+ * @param {Object} announcement - Announcement row
+ * @param {string} [locale] - The guild's language the post is rendered in
+ * @returns {string} SHA-256 hex digest
+ */
+function hashAnnouncement(announcement, locale = DEFAULT_LOCALE) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([
+            announcement.title,
+            announcement.body,
+            announcement.banner_url || null,
+            announcement.color || DEFAULT_ANNOUNCEMENT_COLOR,
+            announcement.channel_id || null,
+            announcement.channel_name || null,
+            locale
+        ]))
+        .digest('hex');
+}
+
+/**
+ * Build the message for an announcement: the banner as a full-width attachment
+ * with the text embed below it
+ * @param {Guild} guild - Discord guild
+ * @param {Object} announcement - Announcement row
+ * @param {string} [locale] - The guild's language
+ * @returns {Object} Message options for channel.send
+ */
+function buildAnnouncementMessage(guild, announcement, locale = DEFAULT_LOCALE) {
+    const rendered = renderAnnouncement(guild, announcement, locale);
+
+    const embed = new EmbedBuilder()
+        .setColor(rendered.color)
+        .setTitle(rendered.title)
+        .setDescription(rendered.description)
+        .setTimestamp();
+
+    return {
+        files: rendered.banner_url ? [rendered.banner_url] : [],
+        embeds: [embed]
+    };
+}
+
+/**
+ * Find the message an announcement was last posted as. Announcements posted before
+ * message IDs were recorded are matched by title among the channel's recent bot messages.
+ * @param {Guild} guild - Discord guild
+ * @param {Object} announcement - Announcement row
+ * @param {TextChannel} channel - The announcement's current channel
+ * @returns {Promise<Message|null>} Posted message, or null if it was never posted or was deleted
+ */
+async function findPostedMessage(guild, announcement, channel) {
+    if (!announcement.message_id) {
+        const recent = await channel.messages.fetch({ limit: DUPLICATE_SCAN_LIMIT });
+        return recent.find(message => message.author.id === guild.members.me.id && message.embeds?.[0]?.title === announcement.title) || null;
+    }
+
+    const postedChannel = guild.channels.cache.get(announcement.posted_channel_id || announcement.channel_id);
+    if (!postedChannel) return null;
+
+    try {
+        return await postedChannel.messages.fetch(announcement.message_id);
+    } catch (error) {
+        if (error.code === UNKNOWN_MESSAGE_ERROR) return null;
+        throw error;
+    }
+}
 
 /**
- * Send a static announcement message (with banner image) to the server's announcement channel.
- * It tries to avoid duplicates by checking recent messages for one already sent by the bot.
- *
- * Environment variables:
- *  - ANNOUNCEMENT_BANNER_URL (optional): URL of the banner image to use.
- *
- * @param {import('discord.js').Guild} guild - The guild to send the announcement in.
+ * Bring an announcement's post up to date: post it if it never was, repost it if
+ * the message was deleted or the announcement moved channel, edit it if the content
+ * changed, and leave it alone otherwise
+ * @param {Guild} guild - Discord guild
+ * @param {Object} announcement - Announcement row
+ * @returns {Promise<string>} 'posted', 'reposted', 'moved', 'edited', 'unchanged', 'no_channel' or 'failed'
  */
-async function sendStaticAnnouncement(guild) {
+async function syncAnnouncement(guild, announcement) {
+    const channel = resolveAnnouncementChannel(guild, announcement);
+    if (!channel) {
+        console.log(`ℹ️ No channel for announcement "${announcement.name}" in ${guild.name}. Skipping.`);
+        return 'no_channel';
+    }
+
+    const locale = await getGuildLocale(guild);
+    const hash = hashAnnouncement(announcement, locale);
+    const message = buildAnnouncementMessage(guild, announcement, locale);
+
     try {
-        // Attempt to locate an announcement-type channel
-        const announcementChannel = guild.channels.cache.find(
-            (ch) =>
-                ch.type === 0 && // text channel
-                ['about'].some((name) =>
-                    ch.name.toLowerCase().includes(name)
-                ) &&
-                ch.permissionsFor(guild.members.me)?.has(['ViewChannel', 'SendMessages'])
-        );
-
-        if (!announcementChannel) {
-            console.log(`ℹ️ No announcement channel found in ${guild.name}. Skipping static announcement.`);
-            return;
+        let posted = await findPostedMessage(guild, announcement, channel);
+        let result = announcement.message_id ? 'reposted' : 'posted';
+
+        if (posted && posted.channelId !== channel.id) {
+            await posted.delete().catch(() => null);
+            posted = null;
+            result = 'moved';
         }
 
-        // Prevent duplicates: look for an existing message with an embed whose title is "About GigglesD"
-        const recentMessages = await announcementChannel.messages.fetch({ limit: 20 });
-        const alreadyExists = recentMessages.find(
-            (msg) => msg.author.id === guild.members.me.id && msg.embeds?.[0]?.title === 'About GigglesD'
-        );
-        if (alreadyExists) {
-            console.log(`ℹ️ Announcement already exists in ${guild.name}. Skipping.`);
-            return;
+        if (posted) {
+            if (announcement.message_id && announcement.content_hash === hash) return 'unchanged';
+
+            // Replace the old banner attachment rather than adding a second one
+            await posted.edit({ ...message, attachments: [] });
+            result = 'edited';
+        } else {
+            posted = await channel.send(message);
         }
 
-        // Build the announcement embed
-        // Use section-specific banner if provided, otherwise fall back to the legacy var or a default image
-        const bannerUrl = process.env.ANNOUNCEMENT_BANNER_URL_ABOUT ||
-            process.env.ANNOUNCEMENT_BANNER_URL ||
-            'https://i.imgur.com/8rWCY4B.png';
-
-        // Map each logical key to either a channel ID or a channel name (used as fallback / lookup)
-        const channelMap = {
-            introductions: { id: '1397710401449230347', name: 'introductions' },
-            whatIsAgenci:   { id: '1394840198210261092', name: 'what-is-agenci' },
-            agenciHelp:     { id: '1395469596026339511', name: 'agenci-help' },
-            rules:          { id: '1394834581114458235', name: 'rules' },
-            byLocation:     { id: '1395474602255319070', name: 'acw-by-location' },
-            ideas:          { id: '1397710423792554196', name: 'ideas' },
-
-            // Additional general channels
-            generalChat:    { id: '1394840946356650164', name: 'general-chat' },
-            businessColab:  { id: '1394842749563572234', name: 'business-colab' },
-            businessHelp:   { id: '1394841039218671766', name: 'business-help' }
-        };
-
-        // City-specific channels used in the by-location section text
-        const cityChannelMap = {
-            newYork: { id: '1394841687746023444', name: 'new-york' },
-            chicago: { id: '1394841948715487322', name: 'chicago' }
-        };
-
-        const getCityChannel = (key) => {
-            const spec = cityChannelMap[key] || {};
-            let ch;
-            if (spec.id) ch = guild.channels.cache.get(spec.id);
-            if (!ch && spec.name) ch = guild.channels.cache.find((c) => c.type === 0 && c.name === spec.name);
-            return ch;
-        };
-
-        const resolvedCities = Object.fromEntries(
-            Object.keys(cityChannelMap).map((key) => {
-                const ch = getCityChannel(key);
-                const fallback = cityChannelMap[key].name ? `#${cityChannelMap[key].name}` : `<#${cityChannelMap[key].id}>`;
-                return [key, ch ? `<#${ch.id}>` : fallback];
-            })
-        );
-
-        // Helper to get a channel by key (using ID if available, otherwise by name)
-        const getChannel = (key) => {
-            const spec = channelMap[key] || {};
-            let ch;
-            if (spec.id) {
-                ch = guild.channels.cache.get(spec.id);
-            }
-            if (!ch && spec.name) {
-                ch = guild.channels.cache.find((c) => c.type === 0 && c.name === spec.name);
-            }
-            return ch;
-        };
-
-        // Build resolved mention strings for bullets (fallbacks to plain text if channel missing)
-        const resolved = Object.fromEntries(
-            Object.keys(channelMap).map((key) => {
-                const ch = getChannel(key);
-                const fallback = channelMap[key].name ? `#${channelMap[key].name}` : `<#${channelMap[key].id}>`;
-                return [key, ch ? `<#${ch.id}>` : fallback];
-            })
-        );
-
-        // Use actual bullet point instead of emoji
-        const bullet = '•';
-
-        // Send banner image first
-        const bannerEmbed = new EmbedBuilder()
-            .setColor('#201679')
-            .setImage(bannerUrl);
-        
-        const textEmbed = new EmbedBuilder()
-            .setColor('#201679')
-            .setTitle('Welcome to ACW — A Conversation Worldwide')
-            .setDescription(
-                [
-                    'ACW is designed for founders and creators who are actively developing and expanding their ideas. Whether you\'re still figuring things out or already making moves, this is your space to get structure, guidance, and advice from people who are right where you are. Expect live events, free 1-on-1 consulting, networking, giveaways, and much more.',
-                    '',
-                    'This isn\'t just another Discord server. **It\'s a community** of people working on real things — some who are just getting started, some who are further ahead, and all supported by the ACW expert team. You\'ll meet people building where you are, and others who\'ve already faced the challenges you\'re up against.',
-                    '',
-                    'Here\'s how to dive in: Start connecting with people who are building just like you.',
-                    `${bullet} Introduce yourself in ${resolved.introductions}`,
-                    `${bullet} Head to ${resolved.whatIsAgenci} to meet **AgencI**, your AI co-founder`,
-                    `${bullet} Join your city channel in ${resolved.byLocation}`,
-                    `${bullet} Share what you're working on in ${resolved.ideas}`,
-                    `${bullet} Read the rules in ${resolved.rules}`,
-                    '',
-                    '**This is a space for action.** Get in, get support, and start making things happen.'
-                ].join('\n')
-            )
-            .setTimestamp();
-
-        // Send banner as an attachment so it renders full-width, then include the text embed below it (same message)
-        await announcementChannel.send({ files: [bannerUrl], embeds: [textEmbed] });
-        console.log(`✅ Static announcement sent in ${guild.name} (#${announcementChannel.name})`);
-
-        // ---- Additional per-channel announcements ----
-        const perChannelContent = [
-            // 1. What is AgencI?
-            {
-                channelKey: 'whatIsAgenci',
-                title: 'What is AgencI?',
-                bannerEnvVar: 'ANNOUNCEMENT_BANNER_URL_WHAT_IS_AGENCI',
-                paragraphs: [
-                    'AgencI is your AI co-founder. It helps you define your goals, break them into manageable tasks, prioritize what matters most, and keep momentum week after week. Whether you\'re building a pitch deck, outlining your launch plan, or figuring out where to focus, AgencI gives you structure and next steps tailored to where you are. It helps you plan, execute, and stay on track as you build your business.',
-                    '',
-                    'How it helps:',
-                    `${bullet} Guides you through your journey, step-by-step, based on where you are`,
-                    `${bullet} Helps you set goals, prioritize tasks, and avoid overwhelm`,
-                    `${bullet} Offers direct, personalized support with clear next steps`,
-                    `${bullet} Surfaces resources and tools relevant to your current stage`,
-                    '',
-                    'Sign up here: https://agencibyacw.com/',
-                    '',
-                    `In the ${resolved.agenciHelp} channel you can:`,
-                    `${bullet} Ask questions about using AgencI`,
-                    `${bullet} Share what you're building with it`,
-                    `${bullet} Take a short journey quiz to figure out what stage you're at and what to focus on next`
-                ]
-            },
-
-            // 2. ACW by Location
-            {
-                channelKey: 'byLocation',
-                title: 'ACW by Location – Let\'s Make It Local',
-                bannerEnvVar: 'ANNOUNCEMENT_BANNER_URL_BY_LOCATION',
-                paragraphs: [
-                    'This is where the global community gets personal.',
-                    '',
-                    'Find your region, meet others nearby, and:',
-                    `${bullet} Collaborate with local founders`,
-                    `${bullet} Attend IRL or virtual meetups`,
-                    `${bullet} Share local resources, tools, and opportunities`,
-                    `We currently only support New York and Chicago. ${resolvedCities.newYork} ${resolvedCities.chicago}`
-                ]
-            },
-
-            // 3. Rules / Guidelines
-            {
-                channelKey: 'rules',
-                title: 'ACW Community Guidelines',
-                bannerEnvVar: 'ANNOUNCEMENT_BANNER_URL_RULES',
-                paragraphs: [
-                    'This is a professional space for people building and growing their ideas. Let\'s keep it focused:',
-                    `${bullet} Be respectful — No hate, harassment, or unnecessary negativity`, 
-                    `${bullet} No spam — Keep promo and links in the right channels`,
-                    `${bullet} Stay focused — This space is for building, learning, and collaborating`,
-                    `${bullet} Respect privacy — No DMs without permission; no screenshots or recordings`,
-                    `${bullet} Contribute — This space is as strong as the people in it`,
-                    '',
-                    'We\'ll take action if needed to protect the community and keep the space focused and supportive. Let\'s keep it real.'
-                ]
-            },
-
-
-        ];
-
-        for (const item of perChannelContent) {
-            const chName = channelMap[item.channelKey];
-            const targetChannel = getChannel(item.channelKey);
-            if (!targetChannel) continue;
-
-            const recent = await targetChannel.messages.fetch({ limit: 20 });
-            const exists = recent.find((m) => m.author.id === guild.members.me.id && m.embeds?.[0]?.title === item.title);
-            if (exists) {
-                continue;
-            }
-
-            const banner = process.env[item.bannerEnvVar] || 'https://i.imgur.com/8rWCY4B.png';
-
-            const bannerEmbed = new EmbedBuilder()
-                .setColor('#201679')
-                .setImage(banner);
-
-            const sectionEmbed = new EmbedBuilder()
-                .setColor('#201679')
-                .setTitle(item.title)
-                .setDescription(item.paragraphs.join('\n'))
-                .setTimestamp();
-
-            try {
-                // Banner attachment (full-width) + section embed in the same message
-                await targetChannel.send({ files: [banner], embeds: [sectionEmbed] });
-
-                console.log(`✅ Section announcement "${item.title}" sent in #${targetChannel.name}`);
-            } catch (err) {
-                console.log(`⚠️ Failed to send section embed in #${targetChannel?.name}:`, err.message);
-            }
+        const recorded = await recordAnnouncementPost(guild.id, announcement.name, {
+            message_id: posted.id,
+            posted_channel_id: channel.id,
+            content_hash: hash
+        });
+
+        // An unrecorded new post would be posted again on the next sync, so take it back down
+        if (!recorded) {
+            if (result !== 'edited') await posted.delete().catch(() => null);
+            logWithTimestamp('error', `Failed to record the post of announcement "${announcement.name}"`, {
+                guildId: guild.id,
+                channelId: channel.id
+            });
+            return 'failed';
         }
+
+        console.log(`✅ Announcement "${announcement.name}" ${result} in ${guild.name} (#${channel.name})`);
+        return result;
+    } catch (error) {
+        logWithTimestamp('error', `Failed to sync announcement "${announcement.name}"`, {
+            error: error.message,
+            guildId: guild.id,
+            channelId: channel.id
+        });
+        return 'failed';
+    }
+}
+
+/**
+ * Post an announcement as a new message, leaving its synced copy alone
+ * @param {Guild} guild - Discord guild
+ * @param {Object} announcement - Announcement row
+ * @returns {Promise<string>} 'posted', 'no_channel' or 'failed'
+ */
+async function postAnnouncement(guild, announcement) {
+    const channel = resolveAnnouncementChannel(guild, announcement);
+    if (!channel) return 'no_channel';
+
+    try {
+        await channel.send(buildAnnouncementMessage(guild, announcement, await getGuildLocale(guild)));
+        console.log(`📢 Posted announcement "${announcement.name}" in ${guild.name} (#${channel.name})`);
+        return 'posted';
     } catch (error) {
-        console.error('❌ Failed to send announcements in ' + (guild?.name || 'unknown guild') + ':', error);
+        logWithTimestamp('error', `Failed to post announcement "${announcement.name}"`, {
+            error: error.message,
+            guildId: guild.id,
+            channelId: channel.id
+        });
+        return 'failed';
     }
 }
 
-module.exports = sendStaticAnnouncement;
\ No newline at end of file
+/**
+ * Sync every enabled announcement of a guild. Announcements with a schedule are
+ * left to the scheduler, otherwise every restart would post the reminder again.
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<Object|null>} Number of announcements per result, or null if they couldn't be loaded
+ */
+async function syncGuildAnnouncements(guild) {
+    const announcements = await getAnnouncements(guild.id);
+    const schedules = await getScheduledAnnouncements(guild.id);
+    if (!announcements || !schedules) return null;
+
+    const scheduled = new Set(schedules.map(job => job.announcement_name));
+
+    const results = {};
+    for (const announcement of announcements.filter(row => row.enabled !== false && !scheduled.has(row.name))) {
+        const result = await syncAnnouncement(guild, announcement);
+        results[result] = (results[result] || 0) + 1;
+    }
+    return results;
+}
+
+/**
+ * Import a seed set into a guild, linking each announcement to the guild's channel of that name
+ * @param {Guild} guild - Discord guild
+ * @param {string} seedName - Seed set name
+ * @returns {Promise<number|null>} Number of announcements imported, or null if the seed doesn't exist or saving failed
+ */
+async function importAnnouncementSeed(guild, seedName) {
+    const seed = getAnnouncementSeeds()[seedName];
+    if (!seed) return null;
+
+    for (const entry of seed.announcements) {
+        const saved = await upsertAnnouncement(guild.id, entry.name, {
+            channel_id: findTextChannelByName(guild, entry.channel_name)?.id ?? null,
+            channel_name: entry.channel_name,
+            title: entry.title,
+            body: Array.isArray(entry.body) ? entry.body.join('\n') : entry.body,
+            banner_url: entry.banner_url ?? null,
+            color: entry.color ?? DEFAULT_ANNOUNCEMENT_COLOR,
+            enabled: true
+        });
+
+        if (!saved) return null;
+    }
+
+    console.log(`🌱 Imported ${seed.announcements.length} "${seedName}" announcements into ${guild.name}`);
+    return seed.announcements.length;
+}
+
+module.exports = {
+    DEFAULT_ANNOUNCEMENT_COLOR,
+    getAnnouncementSeeds,
+    resolveAnnouncementChannel,
+    buildAnnouncementMessage,
+    syncAnnouncement,
+    syncGuildAnnouncements,
+    postAnnouncement,
+    importAnnouncementSeed
+};
@@ -0,0 +1,155 @@
+/**
+ * Cron expressions for recurring schedules: the standard five fields
+ * (minute hour day-of-month month day-of-week), evaluated in UTC.
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (9-17/2, or * with /15);
+ * months and weekdays also accept names (JAN, MON). @hourly, @daily, @weekly
+ * and @monthly are shorthands.
+ */
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+    { key: 'minute', min: 0, max: 59 },
+    { key: 'hour', min: 0, max: 23 },
+    { key: 'dayOfMonth', min: 1, max: 31 },
+    { key: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { key: 'dayOfWeek', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 } // 0 and 7 are Sunday
+];
+
+// Give up looking for the next run after this long (e.g. "0 0 30 2 *" never runs)
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a single value of a field, by number or name
+ * @param {string} text - Value
+ * @param {Object} field - Field definition
+ * @returns {number} Value, or NaN if invalid
+ */
+function parseValue(text, field) {
+    const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+    if (nameIndex !== -1) return nameIndex + field.nameOffset;
+
+    return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Parse one field of a cron expression into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>|null} Matching values or null if invalid
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) return null;
+
+        let start;
+        let end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else {
+            const bounds = range.split('-');
+            if (bounds.length > 2) return null;
+
+            start = parseValue(bounds[0], field);
+            // "5/15" runs from 5 to the end of the field
+            end = bounds.length === 2 ? parseValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+        }
+
+        if (Number.isNaN(start) || Number.isNaN(end) || start < field.min || end > field.max || start > end) return null;
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression or alias
+ * @returns {Object|null} Parsed schedule, or null if the expression is invalid
+ */
+function parseCron(expression) {
+    const normalized = CRON_ALIASES[expression?.trim().toLowerCase()] ?? expression?.trim() ?? '';
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) return null;
+
+    const schedule = {};
+    for (const [index, field] of FIELDS.entries()) {
+        schedule[field.key] = parseField(parts[index], field);
+        if (!schedule[field.key]) return null;
+    }
+
+    if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+
+    // Like cron, when both day fields are restricted a day matching either one runs
+    schedule.dayOfMonthRestricted = parts[2] !== '*';
+    schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+    return schedule;
+}
+
+/**
+ * Check whether a date's day matches the schedule's day fields
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date to check (UTC)
+ * @returns {boolean} True if the day matches
+ */
+function dayMatches(schedule, date) {
+    const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the first time a schedule runs after a date
+ * @param {Object} schedule - Parsed schedule (from parseCron)
+ * @param {Date} after - Find runs strictly after this time
+ * @returns {Date|null} Next run, or null if it doesn't run within five years
+ */
+function nextCronRun(schedule, after) {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_MS;
+
+    while (date.getTime() <= limit) {
+        if (!schedule.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!dayMatches(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!schedule.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!schedule.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    CRON_ALIASES,
+    parseCron,
+    nextCronRun
+};
@@ -0,0 +1,132 @@
+/**
+ * Escalating sanctions for repeat link edit offenders.
+ * A guild's ladder is a list of steps such as
+ * [{ violations: 2, action: 'warn' }, { violations: 3, action: 'timeout', duration_minutes: 60 }, { violations: 5, action: 'kick' }]
+ * and the step with the highest threshold the user has reached is applied.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { countUserLinkViolations, logLinkEscalation } = require('../database');
+const { logWithTimestamp } = require('./helpers');
+const { sendModLog } = require('./modLog');
+const { getGuildLocale, t } = require('./i18n');
+
+const ESCALATION_ACTIONS = ['warn', 'timeout', 'kick'];
+
+// Discord caps timeouts at 28 days
+const MAX_TIMEOUT_MINUTES = 28 * 24 * 60;
+
+/**
+ * Pick the escalation step for a violation count
+ * @param {Array} steps - Escalation ladder
+ * @param {number} violationCount - Violations within the window
+ * @returns {Object|null} Step to apply or null if none is reached
+ */
+function getEscalationStep(steps, violationCount) {
+    const reached = (steps || [])
+        .filter(step => violationCount >= step.violations)
+        .sort((a, b) => b.violations - a.violations);
+
+    return reached[0] || null;
+}
+
+/**
+ * Apply a single escalation step to a member
+ * @param {GuildMember} member - The offending member
+ * @param {Object} step - Escalation step
+ * @param {number|null} durationMinutes - Timeout length (timeouts only)
+ * @param {string} reason - Audit log reason
+ * @param {string} locale - The guild's language, for the warning DM
+ */
+async function applyStep(member, step, durationMinutes, reason, locale) {
+    if (step.action === 'warn') {
+        await member.send(t(locale, 'links.escalation_warning', { guild: member.guild.name }));
+    } else if (step.action === 'timeout') {
+        await member.timeout(durationMinutes * 60 * 1000, reason);
+    } else if (step.action === 'kick') {
+        await member.kick(reason);
+    }
+}
+
+/**
+ * Escalate against a member if their recent violation count reaches a step of the guild's ladder
+ * @param {GuildMember} member - The offending member
+ * @param {Object} policy - Link policy
+ * @returns {Promise<Object|null>} Applied step with violationCount and succeeded, or null if nothing was done
+ */
+async function escalateLinkViolation(member, policy) {
+    if (!policy.escalation_steps?.length) return null;
+
+    const { guild, user } = member;
+    const since = new Date(Date.now() - policy.escalation_window_days * 24 * 60 * 60 * 1000);
+    const violationCount = await countUserLinkViolations(guild.id, user.id, since.toISOString());
+
+    if (violationCount === null) return null;
+
+    const step = getEscalationStep(policy.escalation_steps, violationCount);
+    if (!step) return null;
+
+    const durationMinutes = step.action === 'timeout' ? Math.min(step.duration_minutes || 60, MAX_TIMEOUT_MINUTES) : null;
+    const locale = await getGuildLocale(guild);
+    const reason = t(locale, 'audit.link_escalation', {
+        count: violationCount,
+        period: t(locale, 'time.day', { count: policy.escalation_window_days })
+    });
+    let succeeded = true;
+    let errorMessage = null;
+
+    try {
+        await applyStep(member, step, durationMinutes, reason, locale);
+        logWithTimestamp('success', `Escalated link edit sanction: ${step.action}`, {
+            userId: user.id,
+            guildId: guild.id,
+            violationCount
+        });
+    } catch (error) {
+        succeeded = false;
+        errorMessage = error.message;
+        logWithTimestamp('error', `Failed to apply link edit sanction: ${step.action}`, {
+            error: error.message,
+            userId: user.id,
+            guildId: guild.id,
+            violationCount
+        });
+    }
+
+    await logLinkEscalation(guild.id, user.id, user.username, violationCount, step.action, durationMinutes, succeeded, errorMessage);
+
+    const action = t(locale, `mod_log.escalation.actions.${step.action}`);
+    const embed = new EmbedBuilder()
+        .setColor(succeeded ? '#ffa94d' : '#ff6b6b')
+        .setTitle(t(locale, 'mod_log.escalation.title', { action }))
+        .setDescription(t(locale, 'mod_log.escalation.description', {
+            user: `${user} (${user.username})`,
+            count: violationCount,
+            period: t(locale, 'time.day', { count: policy.escalation_window_days })
+        }))
+        .addFields([
+            {
+                name: t(locale, 'mod_log.action'),
+                value: durationMinutes ? t(locale, 'mod_log.escalation.timeout', { action, duration: t(locale, 'time.minute', { count: durationMinutes }) }) : action,
+                inline: true
+            },
+            {
+                name: t(locale, 'mod_log.result'),
+                value: succeeded ? t(locale, 'mod_log.applied') : t(locale, 'mod_log.failed', { error: errorMessage }),
+                inline: true
+            }
+        ])
+        .setFooter({ text: t(locale, 'mod_log.user_id', { id: user.id }) })
+        .setTimestamp();
+
+    sendModLog(guild, { embeds: [embed] });
+
+    return { ...step, violationCount, succeeded };
+}
+
+module.exports = {
+    ESCALATION_ACTIONS,
+    MAX_TIMEOUT_MINUTES,
+    getEscalationStep,
+    escalateLinkViolation
+};
@@ -2,25 +2,33 @@
  * Utility functions for the Discord bot
  */
 
+const net = require('net');
+const { renderTemplate } = require('./template');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
 /**
- * Format a welcome message by replacing placeholders
+ * Format a welcome message by rendering its template (see utils/template.js for the syntax)
  * @param {string} message - Template message with placeholders
  * @param {Object} data - Data to replace placeholders with
  * @param {Object} data.user - Discord user object
  * @param {Object} data.guild - Discord guild object
+ * @param {Object} [data.member] - Discord guild member object
+ * @param {Object} [data.inviter] - User who invited the member, if known
+ * @param {Date} [data.joinedAt] - When the member joined, if not on data.member
+ * @param {string} [data.locale] - Language for ordinals, durations and dates
  * @returns {string} Formatted message
  */
-function formatWelcomeMessage(message, { user, guild }) {
+function formatWelcomeMessage(message, { user, guild, member, inviter, joinedAt, locale = DEFAULT_LOCALE }) {
     if (!message || !user || !guild) {
-        return "Welcome to the server! 🎉";
+        logWithTimestamp('warn', 'Welcome template rendered without a template, user or guild', {
+            hasMessage: Boolean(message),
+            userId: user?.id,
+            guildId: guild?.id
+        });
+        return t(locale, 'welcome.fallback');
     }
 
-    return message
-        .replace(/{user}/g, `<@${user.id}>`)
-        .replace(/{username}/g, user.username || user.displayName || 'Unknown')
-        .replace(/{guild}/g, guild.name || 'this server')
-        .replace(/{server}/g, guild.name || 'this server')
-        .replace(/{membercount}/g, guild.memberCount?.toString() || '0');
+    return renderTemplate(message, { user, guild, member, inviter, joinedAt, locale, emoji: getRandomWelcomeEmoji() });
 }
 
 /**
@@ -184,17 +192,165 @@ function getTimeAgo(date) {
     return date.toLocaleDateString();
 }
 
+// Markdown links: [text](url) or [text](<url>)
+const MARKDOWN_LINK_REGEX = /\[[^\]]*\]\(\s*<?([^\s)>]+)>?\s*\)/g;
+
+// Plain links: http(s):// URLs, www. URLs and bare domain/path URLs,
+// optionally wrapped in <...> (Discord's embed suppression syntax)
+const URL_REGEX = /<?((?:https?:\/\/|www\.)[^\s<>]+|[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\/[^\s<>]*)>?/gi;
+
+/**
+ * Strip punctuation that trails a URL in prose ("see example.com/page.")
+ * without breaking URLs that contain balanced parentheses
+ * @param {string} url - Raw URL match
+ * @returns {string} URL without trailing punctuation
+ */
+function trimTrailingPunctuation(url) {
+    let trimmed = url.replace(/[.,;:!?'"]+$/, '');
+
+    while (trimmed.endsWith(')') &&
+        (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+        trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"]+$/, '');
+    }
+
+    return trimmed;
+}
+
+/**
+ * Normalize a URL so the same link written differently compares equal.
+ * Drops the scheme, "www.", default ports, fragments and trailing slashes
+ * and lowercases the host.
+ * @param {string} rawUrl - URL as written in the message
+ * @returns {string|null} Normalized URL (e.g. "example.com/path?q=1") or null if invalid
+ */
+function normalizeUrl(rawUrl) {
+    if (!rawUrl) return null;
+
+    const withScheme = /^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`;
+
+    let url;
+    try {
+        url = new URL(withScheme);
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    if (!host.includes('.')) return null;
+
+    const port = url.port ? `:${url.port}` : '';
+    const path = url.pathname.replace(/\/+$/, '');
+
+    return `${host}${port}${path}${url.search}`;
+}
+
+/**
+ * Get the domain of a normalized URL
+ * @param {string} normalizedUrl - URL returned by normalizeUrl
+ * @returns {string} Domain (e.g. "example.com")
+ */
+function getUrlDomain(normalizedUrl) {
+    return normalizedUrl.split(/[/:?]/)[0];
+}
+
+/**
+ * Check whether a domain matches an entry in a domain list (subdomains included)
+ * @param {string} domain - Domain to check
+ * @param {string[]} domainList - Domains such as "example.com"
+ * @returns {boolean} True if the domain or one of its parents is listed
+ */
+function matchesDomain(domain, domainList) {
+    if (!domain || !domainList?.length) return false;
+    return domainList.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+}
+
+// Private, loopback, link-local and unspecified IPv4 ranges as [first octets, prefix length]
+const PRIVATE_IPV4_RANGES = [
+    [[0], 8],
+    [[10], 8],
+    [[100, 64], 10],
+    [[127], 8],
+    [[169, 254], 16],
+    [[172, 16], 12],
+    [[192, 168], 16]
+];
+
+/**
+ * Check whether an IP address is private, loopback, link-local or unspecified
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {boolean} True if the address isn't publicly routable
+ */
+function isPrivateIp(ip) {
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateIp(mapped[1]);
+
+    if (net.isIPv4(ip)) {
+        const address = ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+        return PRIVATE_IPV4_RANGES.some(([octets, bits]) => {
+            const base = [...octets, 0, 0, 0].slice(0, 4).reduce((value, octet) => value * 256 + octet, 0);
+            const size = 2 ** (32 - bits);
+            return address >= base && address < base + size;
+        });
+    }
+
+    const lower = ip.toLowerCase();
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^::ffff:/.test(lower);
+}
+
+/**
+ * Check that a URL is https and points at a public host, so stored URLs the bot
+ * fetches later can't reach localhost or the host's private network
+ * @param {string} rawUrl - URL to check
+ * @returns {boolean} True for an https URL with a public host
+ */
+function isPublicHttpsUrl(rawUrl) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch (error) {
+        return false;
+    }
+
+    if (url.protocol !== 'https:') return false;
+
+    const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (net.isIP(host)) return !isPrivateIp(host);
+
+    return host.includes('.') && !/(^|\.)(localhost|local|internal)$/.test(host);
+}
+
+/**
+ * Extract and normalize every URL in a message, including markdown
+ * [text](url) links and <url> suppressed links
+ * @param {string} content - Message content
+ * @returns {string[]} Unique normalized URLs in order of appearance
+ */
+function extractUrls(content) {
+    if (!content) return [];
+
+    const rawUrls = [];
+
+    // Pull out markdown links first so their text is not scanned as well
+    const withoutMarkdown = content.replace(MARKDOWN_LINK_REGEX, (match, url) => {
+        rawUrls.push(url);
+        return ' ';
+    });
+
+    for (const match of withoutMarkdown.matchAll(URL_REGEX)) {
+        rawUrls.push(trimTrailingPunctuation(match[1]));
+    }
+
+    const urls = rawUrls.map(normalizeUrl).filter(Boolean);
+    return [...new Set(urls)];
+}
+
 /**
  * Check if a message contains URLs
  * @param {string} content - Message content to check
  * @returns {boolean} True if message contains URLs
  */
 function containsUrls(content) {
-    if (!content) return false;
-    
-    // URL regex pattern - matches http/https URLs and common patterns
-    const urlRegex = /(https?:\/\/[^\s]+|www\.[^\s]+|[^\s]+\.[a-z]{2,}\/[^\s]*)/gi;
-    return urlRegex.test(content);
+    return extractUrls(content).length > 0;
 }
 
 /**
@@ -222,28 +378,34 @@ function hasModeratorPermissions(member) {
 }
 
 /**
- * Compare two message contents to detect if URLs were added/modified
+ * Compare the links in two message contents to detect if URLs were added/modified.
+ * Only the set of links matters: editing the text around a link or removing
+ * a link is not a link change.
  * @param {string} oldContent - Original message content
  * @param {string} newContent - New message content
- * @returns {Object} Object with hasChangedUrls boolean and details
+ * @returns {Object} Object with hasChangedUrls boolean, type ('added' or 'modified'),
+ *  and the oldUrls, newUrls, addedUrls and removedUrls arrays
  */
 function detectUrlChanges(oldContent, newContent) {
-    if (!oldContent || !newContent) return { hasChangedUrls: false };
-    
-    const oldHasUrls = containsUrls(oldContent);
-    const newHasUrls = containsUrls(newContent);
-    
-    // If URLs were added to a message that didn't have them
-    if (!oldHasUrls && newHasUrls) {
-        return { hasChangedUrls: true, type: 'added' };
+    const oldUrls = extractUrls(oldContent);
+    const newUrls = extractUrls(newContent);
+
+    const addedUrls = newUrls.filter(url => !oldUrls.includes(url));
+    const removedUrls = oldUrls.filter(url => !newUrls.includes(url));
+    const details = { oldUrls, newUrls, addedUrls, removedUrls };
+
+    // Nothing new was linked
+    if (addedUrls.length === 0) {
+        return { hasChangedUrls: false, ...details };
     }
-    
-    // If URLs were modified (both had URLs but content changed)
-    if (oldHasUrls && newHasUrls && oldContent !== newContent) {
-        return { hasChangedUrls: true, type: 'modified' };
+
+    // If URLs were added to a message that didn't have them
+    if (oldUrls.length === 0) {
+        return { hasChangedUrls: true, type: 'added', ...details };
     }
-    
-    return { hasChangedUrls: false };
+
+    // The message had links and now links to something else
+    return { hasChangedUrls: true, type: 'modified', ...details };
 }
 
 module.exports = {
@@ -257,6 +419,11 @@ module.exports = {
     logWithTimestamp,
     escapeMarkdown,
     getTimeAgo,
+    normalizeUrl,
+    getUrlDomain,
+    matchesDomain,
+    isPublicHttpsUrl,
+    extractUrls,
     containsUrls,
     hasModeratorPermissions,
     detectUrlChanges
@@ -0,0 +1,147 @@
+/**
+ * Localization: the text members see comes from the catalogues in src/locales/,
+ * one JSON file per language. A guild uses its `locale` setting, or its Discord
+ * preferred locale when that isn't set, and falls back to English.
+ *
+ * Catalogue entries are strings, arrays of lines, or plural forms keyed by
+ * Intl.PluralRules category ({ "one": "...", "other": "..." }) chosen by the
+ * `count` value. Values are interpolated as {{name}}, so template placeholders
+ * such as {user} in default messages are left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getGuildSettings } = require('../database');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+const DEFAULT_LOCALE = 'en';
+
+// Catalogues by locale code (file name without .json), loaded on first use
+let catalogues = null;
+
+/**
+ * Load the locale catalogues shipped with the bot
+ * @returns {Object} Catalogues by locale code
+ */
+function getCatalogues() {
+    if (!catalogues) {
+        catalogues = {};
+        for (const file of fs.readdirSync(LOCALES_DIR).filter(name => name.endsWith('.json'))) {
+            catalogues[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+        }
+    }
+    return catalogues;
+}
+
+/**
+ * List the supported locales
+ * @returns {string[]} Locale codes, English first
+ */
+function getSupportedLocales() {
+    return [DEFAULT_LOCALE, ...Object.keys(getCatalogues()).filter(code => code !== DEFAULT_LOCALE).sort()];
+}
+
+/**
+ * Match a Discord locale (e.g. "es-ES", "pt-BR") to a supported locale
+ * @param {string|null} locale - Locale code
+ * @returns {string|null} Supported locale code, or null if there is no catalogue for it
+ */
+function normalizeLocale(locale) {
+    if (!locale) return null;
+
+    const available = getCatalogues();
+    if (available[locale]) return locale;
+
+    const language = locale.split('-')[0].toLowerCase();
+    return available[language] ? language : null;
+}
+
+/**
+ * Work out the language to use in a guild
+ * @param {Guild|null} guild - Discord guild
+ * @param {Object|null} guildSettings - Guild settings row
+ * @returns {string} Locale code
+ */
+function resolveLocale(guild, guildSettings) {
+    return normalizeLocale(guildSettings?.locale) || normalizeLocale(guild?.preferredLocale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Load a guild's settings and work out its language
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<string>} Locale code
+ */
+async function getGuildLocale(guild) {
+    return resolveLocale(guild, await getGuildSettings(guild.id));
+}
+
+/**
+ * Look up a catalogue entry by its dotted key
+ * @param {string} locale - Locale code
+ * @param {string} key - Entry key, e.g. "welcome.dm_title"
+ * @returns {*} Entry, or undefined if the catalogue doesn't have it
+ */
+function lookup(locale, key) {
+    return key.split('.').reduce((entry, part) => entry?.[part], getCatalogues()[locale]);
+}
+
+/**
+ * Pick the plural form of an entry
+ * @param {string} locale - Locale code
+ * @param {Object} forms - Plural forms by Intl.PluralRules category
+ * @param {number} count - Number the text is about
+ * @param {string} [type] - 'cardinal' (1 day, 2 days) or 'ordinal' (1st, 2nd)
+ * @returns {string} The matching form
+ */
+function selectPlural(locale, forms, count, type = 'cardinal') {
+    const category = new Intl.PluralRules(locale, { type }).select(Number(count) || 0);
+    return forms[category] ?? forms.other;
+}
+
+/**
+ * Translate a catalogue entry, falling back to English and then to the key itself
+ * @param {string} locale - Locale code
+ * @param {string} key - Entry key, e.g. "links.rule_grace"
+ * @param {Object} [values] - Values to interpolate; `count` also picks the plural form
+ * @returns {string} Translated text
+ */
+function t(locale, key, values = {}) {
+    let entry = lookup(locale, key);
+    let entryLocale = locale;
+
+    if (entry === undefined) {
+        entry = lookup(DEFAULT_LOCALE, key);
+        entryLocale = DEFAULT_LOCALE;
+    }
+    if (entry === undefined) return key;
+
+    if (Array.isArray(entry)) {
+        entry = entry.join('\n');
+    } else if (typeof entry === 'object') {
+        entry = selectPlural(entryLocale, entry, values.count);
+    }
+
+    return entry.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? match);
+}
+
+/**
+ * Format a number as an ordinal in a locale (1st, 1er, 1.)
+ * @param {string} locale - Locale code
+ * @param {number} number - Number to format
+ * @returns {string} Ordinal
+ */
+function formatOrdinal(locale, number) {
+    const forms = lookup(locale, 'time.ordinal') || lookup(DEFAULT_LOCALE, 'time.ordinal');
+    return selectPlural(locale, forms, number, 'ordinal').replace('{{count}}', number);
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    getSupportedLocales,
+    normalizeLocale,
+    resolveLocale,
+    getGuildLocale,
+    t,
+    formatOrdinal
+};
@@ -0,0 +1,200 @@
+/**
+ * Invite tracking: keeps each guild's invite use counts in memory and, when a member
+ * joins, compares them with fresh counts to find the invite they used. Counts are
+ * cached on ready, when the bot joins a guild and when invites are created.
+ * Fetching invites needs the Manage Server permission; without it joins aren't attributed.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+
+// How long a deleted invite is kept around: an invite that hits its max uses is
+// deleted by Discord, and the delete can arrive before the join it was used for
+const DELETED_INVITE_GRACE_MS = 10 * 1000;
+
+// Invite uses by guild ID: Map of code → { code, uses, maxUses, inviter, deletedAt }
+const inviteCache = new Map();
+
+// Pending join attribution per guild, so joins in quick succession are diffed one at a time
+const guildQueues = new Map();
+
+/**
+ * Snapshot invite use counts
+ * @param {Collection<string, Invite>} invites - Guild invites
+ * @param {Object|null} vanity - Vanity URL data ({ code, uses }) or null
+ * @returns {Map<string, Object>} Use counts by code
+ */
+function snapshotInvites(invites, vanity) {
+    const snapshot = new Map();
+
+    for (const invite of invites.values()) {
+        snapshot.set(invite.code, {
+            code: invite.code,
+            uses: invite.uses ?? 0,
+            maxUses: invite.maxUses ?? 0,
+            inviter: invite.inviter ?? null,
+            deletedAt: null
+        });
+    }
+
+    if (vanity?.code) {
+        snapshot.set(vanity.code, { code: vanity.code, uses: vanity.uses ?? 0, maxUses: 0, inviter: null, vanity: true, deletedAt: null });
+    }
+
+    return snapshot;
+}
+
+/**
+ * Fetch a guild's current invite use counts
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<Map<string, Object>|null>} Use counts by code, or null if the bot can't see invites
+ */
+async function fetchInviteSnapshot(guild) {
+    if (!guild.members.me?.permissions.has(PermissionFlagsBits.ManageGuild)) return null;
+
+    const invites = await guild.invites.fetch({ cache: false });
+    const vanity = guild.vanityURLCode ? await guild.fetchVanityData().catch(() => null) : null;
+
+    return snapshotInvites(invites, vanity);
+}
+
+/**
+ * Cache a guild's invite use counts
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<boolean>} True if the invites were cached
+ */
+async function cacheGuildInvites(guild) {
+    try {
+        const snapshot = await fetchInviteSnapshot(guild);
+
+        if (!snapshot) {
+            inviteCache.delete(guild.id);
+            console.log(`⚠️ Can't track invites in ${guild.name} (missing Manage Server permission)`);
+            return false;
+        }
+
+        inviteCache.set(guild.id, snapshot);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error caching invites for ${guild.name}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Cache the invites of every guild the bot is in
+ * @param {Client} client - Discord client instance
+ */
+async function cacheAllInvites(client) {
+    let tracked = 0;
+
+    for (const guild of client.guilds.cache.values()) {
+        if (await cacheGuildInvites(guild)) tracked++;
+    }
+
+    console.log(`🔗 Tracking invites in ${tracked}/${client.guilds.cache.size} servers`);
+}
+
+/**
+ * Add a newly created invite to the cache
+ * @param {Invite} invite - The new invite
+ */
+function trackInviteCreate(invite) {
+    const cached = invite.guild && inviteCache.get(invite.guild.id);
+    if (!cached) return;
+
+    cached.set(invite.code, {
+        code: invite.code,
+        uses: invite.uses ?? 0,
+        maxUses: invite.maxUses ?? 0,
+        inviter: invite.inviter ?? null,
+        deletedAt: null
+    });
+}
+
+/**
+ * Mark a deleted invite. It stays cached briefly in case its last use is a join still on its way.
+ * @param {Invite} invite - The deleted invite
+ */
+function trackInviteDelete(invite) {
+    const cached = invite.guild && inviteCache.get(invite.guild.id);
+    const entry = cached?.get(invite.code);
+    if (entry) entry.deletedAt = Date.now();
+}
+
+/**
+ * Stop tracking a guild's invites (e.g. when the bot leaves it)
+ * @param {string} guildId - Discord guild ID
+ */
+function forgetGuildInvites(guildId) {
+    inviteCache.delete(guildId);
+    guildQueues.delete(guildId);
+}
+
+/**
+ * Compare cached and fresh use counts to find the invite a member used
+ * @param {Map<string, Object>} before - Cached use counts
+ * @param {Map<string, Object>} after - Fresh use counts
+ * @returns {Object|null} The used invite, or null if it can't be told apart
+ */
+function diffInvites(before, after) {
+    const used = [...after.values()].filter(invite => invite.uses > (before.get(invite.code)?.uses ?? 0));
+    if (used.length) return used.length === 1 ? used[0] : null;
+
+    // An invite used up by this join is deleted, so it is missing from the fresh counts
+    const usedUp = [...before.values()].filter(invite =>
+        !after.has(invite.code) &&
+        invite.maxUses > 0 &&
+        invite.uses + 1 >= invite.maxUses &&
+        (!invite.deletedAt || Date.now() - invite.deletedAt <= DELETED_INVITE_GRACE_MS)
+    );
+
+    return usedUp.length === 1 ? usedUp[0] : null;
+}
+
+/**
+ * Find the invite a new member joined with and refresh the guild's cached counts
+ * @param {GuildMember} member - The new member
+ * @returns {Promise<{ code: string, inviter: User|null, vanity: boolean }|null>} The invite, or null if unknown
+ */
+function findUsedInvite(member) {
+    const { guild } = member;
+
+    const run = async () => {
+        const before = inviteCache.get(guild.id);
+        if (!before) return null;
+
+        try {
+            const after = await fetchInviteSnapshot(guild);
+            if (!after) {
+                inviteCache.delete(guild.id);
+                return null;
+            }
+
+            inviteCache.set(guild.id, after);
+
+            const invite = diffInvites(before, after);
+            if (!invite) {
+                console.log(`🔗 Couldn't tell which invite ${member.user.username} used in ${guild.name}`);
+                return null;
+            }
+
+            return { code: invite.code, inviter: invite.inviter, vanity: Boolean(invite.vanity) };
+        } catch (error) {
+            console.error(`❌ Error finding the invite used in ${guild.name}:`, error);
+            return null;
+        }
+    };
+
+    const result = (guildQueues.get(guild.id) || Promise.resolve()).then(run);
+    guildQueues.set(guild.id, result);
+    return result;
+}
+
+module.exports = {
+    cacheGuildInvites,
+    cacheAllInvites,
+    trackInviteCreate,
+    trackInviteDelete,
+    forgetGuildInvites,
+    findUsedInvite
+};
@@ -0,0 +1,136 @@
+/**
+ * Per-guild link editing policy with a short-lived cache so messageUpdate
+ * does not hit the database on every edit
+ */
+
+const { getLinkPolicy, upsertLinkPolicy } = require('../database');
+const { hasModeratorPermissions, getUrlDomain, matchesDomain } = require('./helpers');
+
+const LINK_POLICY_ACTIONS = ['delete', 'warn', 'log'];
+
+const MAX_GRACE_PERIOD_MINUTES = 24 * 60;
+
+const DEFAULT_LINK_POLICY = {
+    grace_period_minutes: 10,
+    action: 'delete',
+    exempt_moderators: true,
+    exempt_channel_ids: [],
+    trusted_role_ids: [],
+    track_all_messages: false,
+    allowed_domains: [],
+    blocked_domains: [],
+    escalation_window_days: 30,
+    escalation_steps: []
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+const policyCache = new Map();
+
+/**
+ * Merge a stored policy row over the defaults
+ * @param {Object|null} row - Policy row from the database
+ * @returns {Object} Complete policy
+ */
+function withDefaults(row) {
+    const policy = { ...DEFAULT_LINK_POLICY };
+    if (!row) return policy;
+
+    for (const key of Object.keys(DEFAULT_LINK_POLICY)) {
+        if (row[key] !== null && row[key] !== undefined) {
+            policy[key] = row[key];
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * Get the effective link policy for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object>} Link policy (defaults if none stored)
+ */
+async function resolveLinkPolicy(guildId) {
+    const cached = policyCache.get(guildId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.policy;
+    }
+
+    const policy = withDefaults(await getLinkPolicy(guildId));
+    policyCache.set(guildId, { policy, expiresAt: Date.now() + CACHE_TTL_MS });
+    return policy;
+}
+
+/**
+ * Update part of a guild's link policy; takes effect immediately
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} changes - Policy fields to change
+ * @returns {Promise<Object|null>} The updated policy or null if saving failed
+ */
+async function updateLinkPolicy(guildId, changes) {
+    const current = await resolveLinkPolicy(guildId);
+    const policy = { ...current, ...changes };
+
+    const saved = await upsertLinkPolicy(guildId, policy);
+    if (!saved) return null;
+
+    policyCache.set(guildId, { policy, expiresAt: Date.now() + CACHE_TTL_MS });
+    return policy;
+}
+
+/**
+ * Check whether a message is exempt from the link policy
+ * @param {Object} policy - Link policy
+ * @param {Message} message - The edited message
+ * @returns {string|null} Reason for the exemption, or null if the rule applies
+ */
+function getPolicyExemption(policy, message) {
+    const channelIds = [message.channel.id, message.channel.parentId].filter(Boolean);
+    if (channelIds.some(id => policy.exempt_channel_ids.includes(id))) {
+        return 'exempt_channel';
+    }
+
+    if (policy.exempt_moderators && hasModeratorPermissions(message.member)) {
+        return 'moderator';
+    }
+
+    if (message.member.roles.cache.some(role => policy.trusted_role_ids.includes(role.id))) {
+        return 'trusted_role';
+    }
+
+    return null;
+}
+
+/**
+ * Sort normalized URLs by the guild's domain allowlist and blocklist.
+ * The blocklist wins if a domain appears on both.
+ * @param {Object} policy - Link policy
+ * @param {string[]} urls - Normalized URLs
+ * @returns {{ blocked: string[], allowed: string[], other: string[] }} URLs by list
+ */
+function classifyUrls(policy, urls) {
+    const result = { blocked: [], allowed: [], other: [] };
+
+    for (const url of urls) {
+        const domain = getUrlDomain(url);
+
+        if (matchesDomain(domain, policy.blocked_domains)) {
+            result.blocked.push(url);
+        } else if (matchesDomain(domain, policy.allowed_domains)) {
+            result.allowed.push(url);
+        } else {
+            result.other.push(url);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    LINK_POLICY_ACTIONS,
+    MAX_GRACE_PERIOD_MINUTES,
+    DEFAULT_LINK_POLICY,
+    resolveLinkPolicy,
+    updateLinkPolicy,
+    getPolicyExemption,
+    classifyUrls
+};
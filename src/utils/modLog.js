@@ -0,0 +1,122 @@
+const { EmbedBuilder } = require('discord.js');
+const { getGuildSettings } = require('../database');
+const { isChannelSuitable, truncateText, logWithTimestamp } = require('./helpers');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// The action_taken values stored in link_edit_violations. delete_failed is only
+// reported to the mod-log. Labels are under mod_log.link_actions in the catalogues.
+const STORED_LINK_ACTIONS = ['message_deleted', 'warned', 'logged', 'allowed_within_grace_period'];
+
+const LINK_ACTION_COLORS = {
+    message_deleted: '#ff6b6b',
+    delete_failed: '#ff6b6b',
+    warned: '#ffa94d',
+    logged: '#7289DA',
+    allowed_within_grace_period: '#51cf66'
+};
+
+/**
+ * Get the guild's mod-log channel if one is configured and usable
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<TextChannel|null>} Mod-log channel or null
+ */
+async function getModLogChannel(guild) {
+    const settings = await getGuildSettings(guild.id);
+    if (!settings?.mod_log_channel_id) return null;
+
+    const channel = guild.channels.cache.get(settings.mod_log_channel_id);
+    return isChannelSuitable(channel, guild.members.me) ? channel : null;
+}
+
+/**
+ * Post a message to the guild's mod-log channel
+ * @param {Guild} guild - Discord guild
+ * @param {Object} payload - Message options (content, embeds, components...)
+ * @returns {Promise<Message|null>} The sent message, or null if there is no mod-log or sending failed
+ */
+async function sendModLog(guild, payload) {
+    try {
+        const channel = await getModLogChannel(guild);
+        if (!channel) return null;
+
+        return await channel.send(payload);
+    } catch (error) {
+        logWithTimestamp('error', 'Failed to post to mod-log channel', {
+            error: error.message,
+            guildId: guild?.id
+        });
+        return null;
+    }
+}
+
+/**
+ * Label a link edit action for display
+ * @param {string} action - action_taken value
+ * @param {string} [locale] - Locale code
+ * @returns {string} Label
+ */
+function describeLinkAction(action, locale = DEFAULT_LOCALE) {
+    return LINK_ACTION_COLORS[action] ? t(locale, `mod_log.link_actions.${action}`) : action;
+}
+
+/**
+ * Format a list of URLs as diff lines
+ * @param {string[]} urls - Normalized URLs
+ * @param {string} prefix - '+' or '-'
+ * @returns {string[]} Diff lines
+ */
+function toDiffLines(urls, prefix) {
+    return urls.map(url => `${prefix} ${url}`);
+}
+
+/**
+ * Build the mod-log embed for a link edit
+ * @param {Object} details - Link edit details
+ * @param {Message} details.message - The edited message
+ * @param {Object} details.urlChanges - Result of detectUrlChanges
+ * @param {number} details.originalTimestamp - When the message was first posted
+ * @param {string} details.actionTaken - action_taken value
+ * @param {string} [details.reason] - Why the edit was flagged
+ * @param {string} [details.locale] - The guild's language
+ * @returns {EmbedBuilder} Mod-log embed
+ */
+function buildLinkEditEmbed({ message, urlChanges, originalTimestamp, actionTaken, reason, locale = DEFAULT_LOCALE }) {
+    const { author, channel } = message;
+    const keptUrls = urlChanges.newUrls.filter(url => !urlChanges.addedUrls.includes(url));
+
+    const diff = [
+        ...toDiffLines(urlChanges.removedUrls, '-'),
+        ...toDiffLines(urlChanges.addedUrls, '+'),
+        ...toDiffLines(keptUrls, ' ')
+    ].join('\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(LINK_ACTION_COLORS[actionTaken] || '#7289DA')
+        .setAuthor({ name: author.username, iconURL: author.displayAvatarURL({ dynamic: true }) })
+        .setTitle(t(locale, `mod_log.link_edit.title_${urlChanges.type}`))
+        .addFields([
+            { name: t(locale, 'mod_log.user'), value: `${author} (${author.username})`, inline: true },
+            { name: t(locale, 'mod_log.channel'), value: `${channel}`, inline: true },
+            // Discord shows relative timestamps in each reader's own language
+            { name: t(locale, 'mod_log.link_edit.posted'), value: `<t:${Math.floor(originalTimestamp / 1000)}:R>`, inline: true },
+            { name: t(locale, 'mod_log.action'), value: describeLinkAction(actionTaken, locale), inline: true },
+            { name: t(locale, 'mod_log.link_edit.message'), value: `[${t(locale, 'mod_log.link_edit.jump')}](${message.url})`, inline: true },
+            { name: t(locale, 'mod_log.link_edit.links'), value: `\`\`\`diff\n${truncateText(diff, 1000)}\n\`\`\`` }
+        ])
+        .setFooter({ text: t(locale, 'mod_log.link_edit.footer', { userId: author.id, messageId: message.id }) })
+        .setTimestamp();
+
+    if (reason) {
+        embed.setDescription(reason);
+    }
+
+    return embed;
+}
+
+module.exports = {
+    STORED_LINK_ACTIONS,
+    describeLinkAction,
+    getModLogChannel,
+    sendModLog,
+    buildLinkEditEmbed
+};
@@ -0,0 +1,350 @@
+/**
+ * Raid protection: watches each guild's join rate and switches it into lockdown
+ * when too many members, or too many brand new accounts, join in a short time.
+ * While locked down welcomes, DMs and goodbyes are skipped, new accounts can be
+ * timed out or kicked, and the lockdown ends by itself after a cooldown.
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getGuildSettings, setGuildLockdown } = require('../database');
+const { logWithTimestamp } = require('./helpers');
+const { sendModLog } = require('./modLog');
+const { MAX_TIMEOUT_MINUTES } = require('./escalation');
+const { cacheGuildInvites } = require('./invites');
+const { resolveLocale, getGuildLocale, t } = require('./i18n');
+
+const RAID_ACTIONS = ['none', 'timeout', 'kick'];
+
+/**
+ * Default thresholds. A guild's raid_protection only stores the keys it overrides.
+ */
+const DEFAULT_RAID_PROTECTION = {
+    join_threshold: 10, // joins within window_seconds that start a lockdown
+    window_seconds: 10,
+    new_account_threshold: 5, // new accounts within new_account_window_minutes that start a lockdown (0 = off)
+    new_account_window_minutes: 10,
+    new_account_hours: 24, // accounts younger than this count as new
+    action: 'none', // what happens to new accounts joining during a lockdown
+    lockdown_minutes: 15
+};
+
+const MAX_LOCKDOWN_MINUTES = 24 * 60;
+
+// A lockdown is only pushed back in the database once it would move by at least this much
+const EXTEND_THRESHOLD_MS = 60 * 1000;
+
+// Recent joins by guild ID: [{ time, userId, newAccount }]
+const recentJoins = new Map();
+
+// Active lockdowns by guild ID: { until, reason, timer, joins, actioned, failed }
+const lockdowns = new Map();
+
+/**
+ * Merge a guild's stored raid protection overrides onto the defaults
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {Object} Complete raid protection settings
+ */
+function resolveRaidSettings(guildSettings) {
+    return { ...DEFAULT_RAID_PROTECTION, ...(guildSettings?.raid_protection || {}) };
+}
+
+/**
+ * Get a guild's active lockdown
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Lockdown state or null if the guild isn't locked down
+ */
+function getLockdown(guildId) {
+    return lockdowns.get(guildId) || null;
+}
+
+/**
+ * Check whether a guild is in lockdown
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True while locked down
+ */
+function isLockedDown(guildId) {
+    return lockdowns.has(guildId);
+}
+
+/**
+ * Check whether an account counts as new under the guild's settings
+ * @param {User} user - Discord user
+ * @param {Object} raidSettings - Resolved raid protection settings
+ * @returns {boolean} True if the account is younger than new_account_hours
+ */
+function isNewAccount(user, raidSettings) {
+    return Date.now() - user.createdTimestamp < raidSettings.new_account_hours * 60 * 60 * 1000;
+}
+
+/**
+ * Remember a join and drop the ones too old to matter for either threshold
+ * @param {GuildMember} member - The new member
+ * @param {Object} raidSettings - Resolved raid protection settings
+ * @returns {Array} The guild's recent joins, including this one
+ */
+function recordJoin(member, raidSettings) {
+    const now = Date.now();
+    const keepMs = Math.max(raidSettings.window_seconds * 1000, raidSettings.new_account_window_minutes * 60 * 1000);
+
+    const joins = (recentJoins.get(member.guild.id) || []).filter(join => join.time > now - keepMs);
+    joins.push({ time: now, userId: member.id, newAccount: isNewAccount(member.user, raidSettings) });
+    recentJoins.set(member.guild.id, joins);
+
+    return joins;
+}
+
+/**
+ * Check recent joins against the guild's thresholds
+ * @param {Array} joins - Recent joins
+ * @param {Object} raidSettings - Resolved raid protection settings
+ * @param {string} locale - The guild's language
+ * @returns {string|null} Why this looks like a raid, or null if it doesn't
+ */
+function detectJoinBurst(joins, raidSettings, locale) {
+    const now = Date.now();
+
+    const burst = joins.filter(join => join.time > now - raidSettings.window_seconds * 1000).length;
+    if (burst >= raidSettings.join_threshold) {
+        return t(locale, 'raid.burst', { count: burst, seconds: raidSettings.window_seconds });
+    }
+
+    const newAccounts = joins.filter(join => join.newAccount && join.time > now - raidSettings.new_account_window_minutes * 60 * 1000).length;
+    if (raidSettings.new_account_threshold > 0 && newAccounts >= raidSettings.new_account_threshold) {
+        return t(locale, 'raid.new_accounts', {
+            count: newAccounts,
+            age: t(locale, 'time.hour', { count: raidSettings.new_account_hours }),
+            window: t(locale, 'time.minute', { count: raidSettings.new_account_window_minutes })
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Time out or kick a new account that joined during a lockdown
+ * @param {GuildMember} member - The member
+ * @param {Object} raidSettings - Resolved raid protection settings
+ * @param {string} locale - Language of the audit log reason
+ * @returns {Promise<string|null>} 'timeout' or 'kick' if applied, 'failed' if it couldn't be, null if nothing was due
+ */
+async function applyRaidAction(member, raidSettings, locale) {
+    if (raidSettings.action === 'none' || member.user.bot || !isNewAccount(member.user, raidSettings)) return null;
+
+    const reason = t(locale, 'audit.raid_action');
+
+    try {
+        if (raidSettings.action === 'timeout') {
+            if (!member.moderatable) throw new Error('missing Timeout Members permission or the member\'s role is too high');
+            await member.timeout(Math.min(raidSettings.lockdown_minutes, MAX_TIMEOUT_MINUTES) * 60 * 1000, reason);
+        } else if (raidSettings.action === 'kick') {
+            if (!member.kickable) throw new Error('missing Kick Members permission or the member\'s role is too high');
+            await member.kick(reason);
+        }
+
+        console.log(`🛡️ Raid protection: ${raidSettings.action} applied to ${member.user.username} in ${member.guild.name}`);
+        return raidSettings.action;
+    } catch (error) {
+        logWithTimestamp('error', `Failed to apply raid action: ${raidSettings.action}`, {
+            error: error.message,
+            guildId: member.guild.id,
+            userId: member.id
+        });
+        return 'failed';
+    }
+}
+
+/**
+ * Count an applied raid action towards the lockdown summary
+ * @param {Object} lockdown - Lockdown state
+ * @param {string|null} result - Result of applyRaidAction
+ */
+function countAction(lockdown, result) {
+    if (result === 'failed') {
+        lockdown.failed++;
+    } else if (result) {
+        lockdown.actioned++;
+    }
+}
+
+/**
+ * (Re)start the timer that ends a lockdown
+ * @param {Guild} guild - Discord guild
+ * @param {Object} lockdown - Lockdown state
+ */
+function scheduleLockdownEnd(guild, lockdown) {
+    clearTimeout(lockdown.timer);
+    lockdown.timer = setTimeout(() => {
+        endLockdown(guild).catch(error => console.error('❌ Error ending lockdown:', error));
+    }, Math.max(lockdown.until - Date.now(), 0));
+}
+
+/**
+ * Put a guild into lockdown and alert the mod-log
+ * @param {Guild} guild - Discord guild
+ * @param {Object} options - Lockdown options
+ * @param {string} options.reason - Why the guild is being locked down
+ * @param {number} options.minutes - How long the lockdown lasts
+ * @param {User} [options.startedBy] - Moderator who started it by hand
+ * @returns {Promise<Object>} Lockdown state
+ */
+async function startLockdown(guild, { reason, minutes, startedBy = null }) {
+    const existing = lockdowns.get(guild.id);
+    const lockdown = existing || { reason, timer: null, joins: 0, actioned: 0, failed: 0 };
+    lockdown.until = Date.now() + minutes * 60 * 1000;
+    lockdowns.set(guild.id, lockdown);
+
+    scheduleLockdownEnd(guild, lockdown);
+    await setGuildLockdown(guild.id, new Date(lockdown.until).toISOString());
+
+    logWithTimestamp('warn', 'Raid lockdown started', { guildId: guild.id, reason, minutes });
+
+    const locale = await getGuildLocale(guild);
+    const embed = new EmbedBuilder()
+        .setColor('#ff6b6b')
+        .setTitle(t(locale, existing ? 'raid.extended_title' : 'raid.started_title'))
+        .setDescription(t(locale, 'raid.started_description', { reason }))
+        .addFields([
+            { name: t(locale, 'raid.ends'), value: `<t:${Math.floor(lockdown.until / 1000)}:R>`, inline: true },
+            { name: t(locale, 'raid.started_by'), value: startedBy ? `${startedBy}` : t(locale, 'raid.detection'), inline: true }
+        ])
+        .setTimestamp();
+
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('raid:end')
+            .setLabel(t(locale, 'raid.end_button'))
+            .setStyle(ButtonStyle.Danger)
+    );
+
+    await sendModLog(guild, { embeds: [embed], components: [buttons] });
+
+    return lockdown;
+}
+
+/**
+ * Take a guild out of lockdown and post a summary to the mod-log
+ * @param {Guild} guild - Discord guild
+ * @param {User} [endedBy] - Moderator who ended it early
+ * @returns {Promise<boolean>} True if the guild was locked down
+ */
+async function endLockdown(guild, endedBy = null) {
+    const lockdown = lockdowns.get(guild.id);
+    if (!lockdown) return false;
+
+    clearTimeout(lockdown.timer);
+    lockdowns.delete(guild.id);
+    recentJoins.delete(guild.id);
+    await setGuildLockdown(guild.id, null);
+
+    // Invite attribution is skipped during a lockdown, so start again from fresh use counts
+    await cacheGuildInvites(guild);
+
+    logWithTimestamp('info', 'Raid lockdown ended', { guildId: guild.id, endedBy: endedBy?.id || null });
+
+    const locale = await getGuildLocale(guild);
+    const embed = new EmbedBuilder()
+        .setColor('#51cf66')
+        .setTitle(t(locale, 'raid.ended_title'))
+        .setDescription(endedBy ? t(locale, 'raid.ended_early', { moderator: `${endedBy}` }) : t(locale, 'raid.ended_cooldown'))
+        .addFields([
+            { name: t(locale, 'raid.joins'), value: `${lockdown.joins}`, inline: true },
+            { name: t(locale, 'raid.actioned'), value: `${lockdown.actioned}`, inline: true },
+            { name: t(locale, 'raid.failed'), value: `${lockdown.failed}`, inline: true }
+        ])
+        .setTimestamp();
+
+    await sendModLog(guild, { embeds: [embed] });
+
+    return true;
+}
+
+/**
+ * Run a new member through raid detection. Starts or extends a lockdown when the
+ * join rate crosses the guild's thresholds, and applies the raid action to new accounts.
+ * @param {GuildMember} member - The new member
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {Promise<{ lockedDown: boolean, removed: boolean }>} Whether the guild is locked down and whether the member was kicked
+ */
+async function handleRaidJoin(member, guildSettings) {
+    const { guild } = member;
+    const raidSettings = resolveRaidSettings(guildSettings);
+    const enabled = Boolean(guildSettings?.raid_protection_enabled);
+
+    if (!enabled && !isLockedDown(guild.id)) {
+        return { lockedDown: false, removed: false };
+    }
+
+    const locale = resolveLocale(guild, guildSettings);
+    const joins = enabled ? recordJoin(member, raidSettings) : [];
+    const burst = enabled ? detectJoinBurst(joins, raidSettings, locale) : null;
+    let lockdown = getLockdown(guild.id);
+
+    if (!lockdown && !burst) {
+        return { lockedDown: false, removed: false };
+    }
+
+    if (!lockdown) {
+        lockdown = await startLockdown(guild, { reason: burst, minutes: raidSettings.lockdown_minutes });
+
+        // The members who made up the burst joined before the lockdown, deal with them too
+        for (const join of joins) {
+            if (join.userId === member.id) continue;
+
+            const earlier = await guild.members.fetch(join.userId).catch(() => null);
+            if (earlier) countAction(lockdown, await applyRaidAction(earlier, raidSettings, locale));
+        }
+    } else if (burst && Date.now() + raidSettings.lockdown_minutes * 60 * 1000 - lockdown.until >= EXTEND_THRESHOLD_MS) {
+        // Joins are still coming in fast, push the end back quietly
+        lockdown.until = Date.now() + raidSettings.lockdown_minutes * 60 * 1000;
+        scheduleLockdownEnd(guild, lockdown);
+        await setGuildLockdown(guild.id, new Date(lockdown.until).toISOString());
+    }
+
+    lockdown.joins++;
+    const result = await applyRaidAction(member, raidSettings, locale);
+    countAction(lockdown, result);
+
+    return { lockedDown: true, removed: result === 'kick' };
+}
+
+/**
+ * Restore lockdowns that were active when the bot restarted; ones that ran out
+ * while the bot was offline are ended now
+ * @param {Client} client - Discord client instance
+ */
+async function resumeLockdowns(client) {
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            const guildSettings = await getGuildSettings(guild.id);
+            if (!guildSettings?.lockdown_until) continue;
+
+            const lockdown = {
+                until: new Date(guildSettings.lockdown_until).getTime(),
+                reason: t(resolveLocale(guild, guildSettings), 'raid.resumed'),
+                timer: null,
+                joins: 0,
+                actioned: 0,
+                failed: 0
+            };
+            lockdowns.set(guild.id, lockdown);
+            scheduleLockdownEnd(guild, lockdown);
+
+            console.log(`🔒 Resumed lockdown in ${guild.name}`);
+        } catch (error) {
+            console.error(`❌ Error resuming lockdown in ${guild.name}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    RAID_ACTIONS,
+    DEFAULT_RAID_PROTECTION,
+    MAX_LOCKDOWN_MINUTES,
+    resolveRaidSettings,
+    getLockdown,
+    isLockedDown,
+    handleRaidJoin,
+    startLockdown,
+    endLockdown,
+    resumeLockdowns
+};
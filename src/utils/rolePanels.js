@@ -0,0 +1,451 @@
+/**
+ * Role panels: messages where members pick their own roles with buttons, a select
+ * menu or reactions. Panels are stored in the role_panels table. Buttons and menus
+ * carry the panel name in their custom ID and reaction panels are looked up by
+ * message ID, so posted panels keep working after a restart.
+ */
+
+const {
+    EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    StringSelectMenuBuilder, PermissionFlagsBits
+} = require('discord.js');
+const { getRolePanel, getReactionRolePanels, upsertRolePanel } = require('../database');
+const { getAnnouncementSeeds, resolveAnnouncementChannel } = require('./announcement');
+const { getRoleAssignmentProblem, describeRoleError } = require('./roles');
+const { logWithTimestamp } = require('./helpers');
+const { DEFAULT_LOCALE, getGuildLocale, t } = require('./i18n');
+
+const PANEL_STYLES = ['buttons', 'select', 'reactions'];
+const PANEL_MODES = ['multi', 'single'];
+
+// Discord allows 25 buttons (5 rows of 5) or menu options on a message, and 20 reactions
+const MAX_PANEL_OPTIONS = { buttons: 25, select: 25, reactions: 20 };
+const BUTTONS_PER_ROW = 5;
+
+const DEFAULT_PANEL_COLOR = '#7289DA';
+
+// Roles with any of these can't be put on a panel, so members can't hand themselves moderation powers
+const PRIVILEGED_PERMISSIONS = [
+    PermissionFlagsBits.Administrator,
+    PermissionFlagsBits.ManageGuild,
+    PermissionFlagsBits.ManageRoles,
+    PermissionFlagsBits.ManageChannels,
+    PermissionFlagsBits.ManageMessages,
+    PermissionFlagsBits.ManageWebhooks,
+    PermissionFlagsBits.KickMembers,
+    PermissionFlagsBits.BanMembers,
+    PermissionFlagsBits.ModerateMembers,
+    PermissionFlagsBits.MentionEveryone
+];
+
+// Discord API error code for a deleted message
+const UNKNOWN_MESSAGE_ERROR = 10008;
+
+// Posted reaction panels: message ID → { guildId, name }
+const reactionPanels = new Map();
+
+/**
+ * Explain why a role can't be offered on a panel, if it can't
+ * @param {Guild} guild - Discord guild
+ * @param {string} roleId - Role ID
+ * @param {string} [locale] - Language of the description
+ * @returns {string|null} Problem description or null if the role can be offered
+ */
+function getPanelRoleProblem(guild, roleId, locale = DEFAULT_LOCALE) {
+    const problem = getRoleAssignmentProblem(guild, roleId, locale);
+    if (problem) return problem;
+
+    const role = guild.roles.cache.get(roleId);
+    if (role.permissions.any(PRIVILEGED_PERMISSIONS)) {
+        return t(locale, 'roles.problems.privileged', { role: `${role}` });
+    }
+
+    return null;
+}
+
+/**
+ * Check an emoji typed by an admin: a custom emoji (<:name:id>) or a single unicode emoji
+ * @param {string} text - Emoji text
+ * @returns {string|null} The emoji, or null if it isn't one
+ */
+function parseEmoji(text) {
+    const trimmed = text.trim();
+    if (/^<a?:\w{2,32}:\d{17,20}>$/.test(trimmed)) return trimmed;
+
+    const isUnicodeEmoji = /^[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Component}\u200D\uFE0F]{1,16}$/u.test(trimmed) &&
+        /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u.test(trimmed);
+    return isUnicodeEmoji ? trimmed : null;
+}
+
+/**
+ * Key used to match an emoji against a reaction: the ID for custom emojis, the
+ * character (without variation selectors) for unicode ones
+ * @param {string|Object} emoji - Emoji text, or a reaction's emoji
+ * @returns {string} Key
+ */
+function getEmojiKey(emoji) {
+    if (typeof emoji !== 'string') return emoji.id ?? emoji.name.replace(/\uFE0F/g, '');
+
+    const custom = /^<a?:\w+:(\d+)>$/.exec(emoji);
+    return custom ? custom[1] : emoji.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Describe a panel option for the panel embed
+ * @param {Object} option - Panel option
+ * @returns {string} e.g. "🗽 @New York — Events and meetups in NYC"
+ */
+function describeOption(option) {
+    return `${option.emoji ? `${option.emoji} ` : ''}<@&${option.role_id}>${option.description ? ` — ${option.description}` : ''}`;
+}
+
+/**
+ * Build the panel message: an embed listing the roles and, for button and menu
+ * panels, the components members click
+ * @param {Guild} guild - Discord guild
+ * @param {Object} panel - Role panel row
+ * @param {string} [locale] - The guild's language
+ * @returns {Object} Message options for channel.send / message.edit
+ */
+function buildPanelMessage(guild, panel, locale = DEFAULT_LOCALE) {
+    const options = panel.options || [];
+    const mode = panel.mode === 'single' ? 'single' : 'multi';
+    const hint = t(locale, `role_panels.hint.${panel.style}_${mode}`);
+    const roleLabel = option => option.label || guild.roles.cache.get(option.role_id)?.name || t(locale, 'role_panels.unknown_role');
+
+    const embed = new EmbedBuilder()
+        .setColor(panel.color || DEFAULT_PANEL_COLOR)
+        .setTitle(panel.title || t(locale, 'role_panels.default_title'))
+        .setDescription([panel.description, options.map(describeOption).join('\n'), `*${hint}*`].filter(Boolean).join('\n\n'));
+
+    const components = [];
+
+    if (panel.style === 'buttons') {
+        for (let i = 0; i < options.length; i += BUTTONS_PER_ROW) {
+            components.push(new ActionRowBuilder().addComponents(options.slice(i, i + BUTTONS_PER_ROW).map(option => {
+                const button = new ButtonBuilder()
+                    .setCustomId(`rolepanel:toggle:${panel.name}:${option.role_id}`)
+                    .setLabel(roleLabel(option))
+                    .setStyle(ButtonStyle.Secondary);
+                if (option.emoji) button.setEmoji(option.emoji);
+                return button;
+            })));
+        }
+    } else if (panel.style === 'select' && options.length) {
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId(`rolepanel:select:${panel.name}`)
+            .setPlaceholder(t(locale, `role_panels.placeholder_${mode}`))
+            .setMinValues(0)
+            .setMaxValues(panel.mode === 'single' ? 1 : options.length)
+            .addOptions(options.map(option => ({
+                label: roleLabel(option),
+                value: option.role_id,
+                description: option.description?.slice(0, 100) || undefined,
+                emoji: option.emoji || undefined
+            })));
+        components.push(new ActionRowBuilder().addComponents(menu));
+    }
+
+    return { embeds: [embed], components };
+}
+
+/**
+ * Make the bot's reactions on a panel match its options: add missing ones and
+ * remove ones that are no longer options (or all of them if it isn't a reaction panel)
+ * @param {Message} message - Posted panel
+ * @param {Object} panel - Role panel row
+ */
+async function syncPanelReactions(message, panel) {
+    const wanted = panel.style === 'reactions' ? (panel.options || []).filter(option => option.emoji) : [];
+    const wantedKeys = new Set(wanted.map(option => getEmojiKey(option.emoji)));
+
+    for (const reaction of message.reactions.cache.values()) {
+        if (reaction.me && !wantedKeys.has(getEmojiKey(reaction.emoji))) {
+            await reaction.users.remove(message.client.user.id).catch(() => null);
+        }
+    }
+
+    const present = new Set([...message.reactions.cache.values()].filter(reaction => reaction.me).map(reaction => getEmojiKey(reaction.emoji)));
+    for (const option of wanted) {
+        if (!present.has(getEmojiKey(option.emoji))) await message.react(option.emoji);
+    }
+}
+
+/**
+ * Find a panel's posted message
+ * @param {Guild} guild - Discord guild
+ * @param {Object} panel - Role panel row
+ * @returns {Promise<Message|null>} Posted message, or null if it was never posted or was deleted
+ */
+async function findPanelMessage(guild, panel) {
+    if (!panel.message_id) return null;
+
+    const channel = guild.channels.cache.get(panel.posted_channel_id || panel.channel_id);
+    if (!channel) return null;
+
+    try {
+        return await channel.messages.fetch(panel.message_id);
+    } catch (error) {
+        if (error.code === UNKNOWN_MESSAGE_ERROR) return null;
+        throw error;
+    }
+}
+
+/**
+ * Remember a posted reaction panel so reactions on it are handled
+ * @param {Object} panel - Role panel row
+ */
+function trackReactionPanel(panel) {
+    for (const [messageId, tracked] of reactionPanels) {
+        if (tracked.guildId === panel.guild_id && tracked.name === panel.name) reactionPanels.delete(messageId);
+    }
+
+    if (panel.style === 'reactions' && panel.message_id) {
+        reactionPanels.set(panel.message_id, { guildId: panel.guild_id, name: panel.name });
+    }
+}
+
+/**
+ * Check whether a message is a posted reaction panel
+ * @param {string} messageId - Message ID
+ * @returns {boolean} True if reactions on it are handled
+ */
+function isReactionPanel(messageId) {
+    return reactionPanels.has(messageId);
+}
+
+/**
+ * Post a panel, or bring its posted message up to date: edit it in place, repost
+ * it if it was deleted, move it if the panel's channel changed
+ * @param {Guild} guild - Discord guild
+ * @param {Object} panel - Role panel row
+ * @returns {Promise<string>} 'posted', 'reposted', 'moved', 'edited', 'no_channel' or 'failed'
+ */
+async function postRolePanel(guild, panel) {
+    const channel = resolveAnnouncementChannel(guild, panel);
+    if (!channel) return 'no_channel';
+
+    try {
+        const message = buildPanelMessage(guild, panel, await getGuildLocale(guild));
+        let posted = await findPanelMessage(guild, panel);
+        let result = panel.message_id ? 'reposted' : 'posted';
+
+        if (posted && posted.channelId !== channel.id) {
+            await posted.delete().catch(() => null);
+            posted = null;
+            result = 'moved';
+        }
+
+        if (posted) {
+            await posted.edit(message);
+            result = 'edited';
+        } else {
+            posted = await channel.send(message);
+        }
+
+        await syncPanelReactions(posted, panel);
+
+        const saved = await upsertRolePanel(guild.id, panel.name, {
+            message_id: posted.id,
+            posted_channel_id: channel.id
+        });
+        if (saved) trackReactionPanel({ ...panel, message_id: posted.id });
+
+        console.log(`🏷️ Role panel "${panel.name}" ${result} in ${guild.name} (#${channel.name})`);
+        return result;
+    } catch (error) {
+        logWithTimestamp('error', `Failed to post role panel "${panel.name}"`, {
+            error: error.message,
+            guildId: guild.id,
+            channelId: channel.id
+        });
+        return 'failed';
+    }
+}
+
+/**
+ * Delete a panel's posted message, if it still exists
+ * @param {Guild} guild - Discord guild
+ * @param {Object} panel - Role panel row
+ */
+async function removePanelMessage(guild, panel) {
+    trackReactionPanel({ ...panel, message_id: null });
+
+    const posted = await findPanelMessage(guild, panel).catch(() => null);
+    await posted?.delete().catch(() => null);
+}
+
+/**
+ * Give and take a member's panel roles. In single mode, adding a role takes away
+ * the panel's other roles.
+ * @param {GuildMember} member - The member
+ * @param {Object} panel - Role panel row
+ * @param {Object} choice - Roles to change
+ * @param {string[]} [choice.add] - Role IDs to give
+ * @param {string[]} [choice.remove] - Role IDs to take away
+ * @param {string} [locale] - Language of the problem descriptions
+ * @returns {Promise<{ added: string[], removed: string[], problems: string[] }>} What changed and what couldn't
+ */
+async function applyRoleChoice(member, panel, { add = [], remove = [] }, locale = DEFAULT_LOCALE) {
+    const panelRoleIds = (panel.options || []).map(option => option.role_id);
+    const toAdd = add.filter(roleId => panelRoleIds.includes(roleId) && !member.roles.cache.has(roleId));
+    let toRemove = remove.filter(roleId => panelRoleIds.includes(roleId));
+
+    if (panel.mode === 'single' && add.length) {
+        toRemove = [...new Set([...toRemove, ...panelRoleIds.filter(roleId => !add.includes(roleId))])];
+    }
+    toRemove = toRemove.filter(roleId => member.roles.cache.has(roleId));
+
+    const problems = [];
+    const allowed = roleIds => roleIds.filter(roleId => {
+        const problem = getPanelRoleProblem(member.guild, roleId, locale);
+        if (problem) problems.push(problem);
+        return !problem;
+    });
+
+    const added = allowed(toAdd);
+    const removed = allowed(toRemove);
+
+    try {
+        const reason = t(locale, 'audit.role_panel', { panel: panel.name });
+        if (removed.length) await member.roles.remove(removed, reason);
+        if (added.length) await member.roles.add(added, reason);
+    } catch (error) {
+        logWithTimestamp('warn', `Role panel "${panel.name}" could not change roles`, {
+            guildId: member.guild.id,
+            userId: member.id,
+            error: error.message
+        });
+        return { added: [], removed: [], problems: [describeRoleError(error, locale)] };
+    }
+
+    if (added.length || removed.length) {
+        console.log(`🏷️ Role panel "${panel.name}": ${member.user.username} +${added.length} -${removed.length} in ${member.guild.name}`);
+    }
+
+    return { added, removed, problems };
+}
+
+/**
+ * Handle a reaction added to or removed from a reaction panel
+ * @param {MessageReaction} reaction - The reaction
+ * @param {User} user - Who reacted
+ * @param {boolean} added - True if the reaction was added, false if removed
+ */
+async function handlePanelReaction(reaction, user, added) {
+    if (user.bot) return;
+
+    const tracked = reactionPanels.get(reaction.message.id);
+    if (!tracked) return;
+
+    const panel = await getRolePanel(tracked.guildId, tracked.name);
+    if (!panel || panel.style !== 'reactions') return;
+
+    const option = (panel.options || []).find(opt => opt.emoji && getEmojiKey(opt.emoji) === getEmojiKey(reaction.emoji));
+    if (!option) return;
+
+    const guild = reaction.message.guild;
+    const member = await guild.members.fetch(user.id).catch(() => null);
+    if (!member) return;
+
+    const choice = added ? { add: [option.role_id] } : { remove: [option.role_id] };
+    const result = await applyRoleChoice(member, panel, choice, await getGuildLocale(guild));
+
+    // In single mode, clear the member's other reactions so the panel shows their one pick
+    if (added && panel.mode === 'single') {
+        const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+        for (const other of message.reactions.cache.values()) {
+            if (getEmojiKey(other.emoji) !== getEmojiKey(reaction.emoji)) {
+                await other.users.remove(user.id).catch(() => null);
+            }
+        }
+    }
+
+    if (result.problems.length) {
+        logWithTimestamp('warn', `Role panel "${panel.name}" reaction not applied`, {
+            guildId: guild.id,
+            userId: user.id,
+            problems: result.problems
+        });
+    }
+}
+
+/**
+ * Load the posted reaction panels, so reactions on them are handled after a restart
+ */
+async function loadReactionPanels() {
+    const panels = await getReactionRolePanels();
+    if (!panels) return;
+
+    for (const panel of panels) {
+        trackReactionPanel(panel);
+    }
+
+    if (panels.length) {
+        console.log(`🏷️ Watching ${panels.length} reaction role panel(s)`);
+    }
+}
+
+/**
+ * Import the role panels of an announcement seed set, matching roles by name
+ * @param {Guild} guild - Discord guild
+ * @param {string} seedName - Seed set name
+ * @returns {Promise<{ imported: number, missingRoles: string[] }|null>} Panels imported and roles the guild doesn't have, or null if saving failed
+ */
+async function importRolePanelSeed(guild, seedName) {
+    const panels = getAnnouncementSeeds()[seedName]?.role_panels || [];
+    const missingRoles = [];
+
+    for (const entry of panels) {
+        const options = [];
+
+        for (const option of entry.options) {
+            const role = guild.roles.cache.find(r => r.name.toLowerCase() === option.role_name.toLowerCase());
+            if (!role) {
+                missingRoles.push(option.role_name);
+                continue;
+            }
+
+            options.push({
+                role_id: role.id,
+                label: option.label ?? null,
+                emoji: option.emoji ?? null,
+                description: option.description ?? null
+            });
+        }
+
+        const saved = await upsertRolePanel(guild.id, entry.name, {
+            channel_id: resolveAnnouncementChannel(guild, { channel_name: entry.channel_name })?.id ?? null,
+            channel_name: entry.channel_name,
+            title: entry.title ?? null,
+            description: entry.description ?? null,
+            color: entry.color ?? null,
+            style: entry.style ?? 'buttons',
+            mode: entry.mode ?? 'multi',
+            options
+        });
+
+        if (!saved) return null;
+    }
+
+    if (panels.length) {
+        console.log(`🌱 Imported ${panels.length} "${seedName}" role panels into ${guild.name}`);
+    }
+    return { imported: panels.length, missingRoles };
+}
+
+module.exports = {
+    PANEL_STYLES,
+    PANEL_MODES,
+    MAX_PANEL_OPTIONS,
+    getPanelRoleProblem,
+    parseEmoji,
+    buildPanelMessage,
+    postRolePanel,
+    removePanelMessage,
+    applyRoleChoice,
+    isReactionPanel,
+    handlePanelReaction,
+    loadReactionPanels,
+    importRolePanelSeed
+};
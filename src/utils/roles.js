@@ -0,0 +1,272 @@
+/**
+ * Roles given to new members: auto-roles on join and an optional delayed role,
+ * granted after a number of minutes or once the member passes membership screening.
+ * Failures (hierarchy, missing permissions, deleted roles) are reported to the mod-log.
+ */
+
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { getGuildSettings } = require('../database');
+const { logWithTimestamp } = require('./helpers');
+const { sendModLog } = require('./modLog');
+const { DEFAULT_LOCALE, resolveLocale, t } = require('./i18n');
+
+const DELAYED_ROLE_TRIGGERS = ['timer', 'screening'];
+
+// setTimeout can't wait longer than ~24.8 days, keep well below that
+const MAX_DELAYED_ROLE_MINUTES = 7 * 24 * 60;
+
+// On startup, members who joined this long before their delay ran out are still given the role
+const RESUME_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Pending delayed role timers by "guildId:userId"
+const delayedRoleTimers = new Map();
+
+/**
+ * Describe when the delayed role is given
+ * @param {Object} settings - Guild settings row (or the delayed role changes)
+ * @param {string} [locale] - Locale code
+ * @returns {string} e.g. "after 10 minutes" or "after passing membership screening"
+ */
+function describeDelayedTrigger(settings, locale = DEFAULT_LOCALE) {
+    return settings.delayed_role_trigger === 'screening'
+        ? t(locale, 'roles.trigger_screening')
+        : t(locale, 'roles.trigger_timer', { duration: t(locale, 'time.minute', { count: settings.delayed_role_minutes ?? 10 }) });
+}
+
+/**
+ * Explain why the bot can't assign a role, if it can't
+ * @param {Guild} guild - Discord guild
+ * @param {string} roleId - Role ID
+ * @param {string} [locale] - Language of the description
+ * @returns {string|null} Problem description or null if the role can be assigned
+ */
+function getRoleAssignmentProblem(guild, roleId, locale = DEFAULT_LOCALE) {
+    const role = guild.roles.cache.get(roleId);
+    const me = guild.members.me;
+
+    if (!role) return t(locale, 'roles.problems.missing', { role: `\`${roleId}\`` });
+    if (role.id === guild.id) return t(locale, 'roles.problems.everyone');
+    if (role.managed) return t(locale, 'roles.problems.managed', { role: `${role}` });
+    if (!me?.permissions.has(PermissionFlagsBits.ManageRoles)) return t(locale, 'roles.problems.no_permission');
+    if (role.position >= me.roles.highest.position) return t(locale, 'roles.problems.too_high', { role: `${role}` });
+
+    return null;
+}
+
+/**
+ * Describe a role change Discord refused
+ * @param {Error} error - The API error
+ * @param {string} [locale] - Locale code
+ * @returns {string} Problem description
+ */
+function describeRoleError(error, locale = DEFAULT_LOCALE) {
+    return t(locale, 'roles.problems.rejected', { error: error.message });
+}
+
+/**
+ * Post a role assignment failure to the mod-log
+ * @param {GuildMember} member - Member the roles were for
+ * @param {string} context - What was being assigned: 'auto_roles', 'delayed_role' or 'unverified_role'
+ * @param {string[]} problems - Problem descriptions
+ * @param {string} [locale] - The guild's language
+ */
+async function reportRoleProblems(member, context, problems, locale = DEFAULT_LOCALE) {
+    const { guild, user } = member;
+
+    logWithTimestamp('warn', `Roles could not be fully assigned (${context})`, {
+        guildId: guild.id,
+        userId: user.id,
+        problems
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor('#ffa94d')
+        .setTitle(t(locale, `roles.not_assigned.${context}`))
+        .setDescription(problems.map(problem => `• ${problem}`).join('\n'))
+        .addFields([{ name: t(locale, 'mod_log.member'), value: `${user} (${user.username})`, inline: true }])
+        .setFooter({ text: t(locale, 'mod_log.user_id', { id: user.id }) })
+        .setTimestamp();
+
+    await sendModLog(guild, { embeds: [embed] });
+}
+
+/**
+ * Give a member a set of roles, skipping (and reporting) the ones that can't be assigned
+ * @param {GuildMember} member - Member to give the roles to
+ * @param {string[]} roleIds - Role IDs
+ * @param {string} context - What is being assigned ('auto_roles' or 'delayed_role'), used in logs and the mod-log
+ * @param {string} locale - The guild's language
+ * @returns {Promise<string[]>} IDs of the roles that were added
+ */
+async function assignRoles(member, roleIds, context, locale) {
+    const problems = [];
+    const assignable = [];
+
+    for (const roleId of roleIds) {
+        if (member.roles.cache.has(roleId)) continue;
+
+        const problem = getRoleAssignmentProblem(member.guild, roleId, locale);
+        if (problem) {
+            problems.push(problem);
+        } else {
+            assignable.push(roleId);
+        }
+    }
+
+    if (assignable.length) {
+        try {
+            await member.roles.add(assignable, t(locale, `audit.${context}`));
+            console.log(`🏷️ ${context}: gave ${assignable.length} role(s) to ${member.user.username} in ${member.guild.name}`);
+        } catch (error) {
+            problems.push(describeRoleError(error, locale));
+            assignable.length = 0;
+        }
+    }
+
+    if (problems.length) {
+        await reportRoleProblems(member, context, problems, locale);
+    }
+
+    return assignable;
+}
+
+/**
+ * Give the guild's delayed role to a member if they still need it
+ * @param {GuildMember} member - The member
+ * @param {Object} guildSettings - Guild settings row
+ */
+async function grantDelayedRole(member, guildSettings) {
+    delayedRoleTimers.delete(`${member.guild.id}:${member.id}`);
+
+    const roleId = guildSettings?.delayed_role_id;
+    if (!roleId || member.roles.cache.has(roleId) || member.pending) return;
+
+    await assignRoles(member, [roleId], 'delayed_role', resolveLocale(member.guild, guildSettings));
+}
+
+/**
+ * Start the delayed role timer for a member
+ * @param {GuildMember} member - The member
+ * @param {number} delayMs - How long to wait
+ */
+function scheduleDelayedRole(member, delayMs) {
+    const key = `${member.guild.id}:${member.id}`;
+    clearTimeout(delayedRoleTimers.get(key));
+
+    const timer = setTimeout(async () => {
+        try {
+            // Re-read settings and the member in case either changed while waiting
+            const [guildSettings, current] = await Promise.all([
+                getGuildSettings(member.guild.id),
+                member.guild.members.fetch(member.id).catch(() => null)
+            ]);
+
+            if (!current || guildSettings?.delayed_role_trigger === 'screening') {
+                delayedRoleTimers.delete(key);
+                return;
+            }
+
+            await grantDelayedRole(current, guildSettings);
+        } catch (error) {
+            console.error('❌ Error granting delayed role:', error);
+        }
+    }, delayMs);
+
+    delayedRoleTimers.set(key, timer);
+}
+
+/**
+ * Apply the guild's join roles to a new member and set up the delayed role
+ * @param {GuildMember} member - The new member
+ * @param {Object} guildSettings - Guild settings row
+ */
+async function applyJoinRoles(member, guildSettings) {
+    if (member.user.bot) return;
+
+    if (guildSettings?.auto_role_ids?.length) {
+        await assignRoles(member, guildSettings.auto_role_ids, 'auto_roles', resolveLocale(member.guild, guildSettings));
+    }
+
+    if (!guildSettings?.delayed_role_id) return;
+
+    if (guildSettings.delayed_role_trigger === 'screening') {
+        // Without membership screening the member is never pending, so grant right away
+        if (!member.pending) {
+            await grantDelayedRole(member, guildSettings);
+        }
+        return;
+    }
+
+    scheduleDelayedRole(member, (guildSettings.delayed_role_minutes || 0) * 60 * 1000);
+}
+
+/**
+ * Stop a member's delayed role timer (e.g. when they leave)
+ * @param {GuildMember} member - The member
+ */
+function cancelDelayedRole(member) {
+    const key = `${member.guild.id}:${member.id}`;
+    clearTimeout(delayedRoleTimers.get(key));
+    delayedRoleTimers.delete(key);
+}
+
+/**
+ * Restart delayed role timers lost in a restart: members still waiting are
+ * rescheduled and members whose delay ran out while the bot was offline get the role now.
+ * With the screening trigger, members who passed screening while the bot was offline
+ * get the role now. Members still holding the unverified or quarantine role are skipped,
+ * as on join: they get their join roles once they verify or a moderator approves them.
+ * @param {Client} client - Discord client instance
+ */
+async function resumeDelayedRoles(client) {
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            const guildSettings = await getGuildSettings(guild.id);
+            const roleId = guildSettings?.delayed_role_id;
+            if (!roleId) continue;
+
+            const screening = guildSettings.delayed_role_trigger === 'screening';
+            const delayMs = screening ? 0 : (guildSettings.delayed_role_minutes || 0) * 60 * 1000;
+            // Read straight from the row, since verification.js and screening.js require this module
+            const gateRoleIds = [guildSettings.verification?.role_id, guildSettings.screening?.quarantine_role_id].filter(Boolean);
+            const members = await guild.members.fetch();
+            let resumed = 0;
+
+            for (const member of members.values()) {
+                if (member.user.bot || member.roles.cache.has(roleId) || !member.joinedTimestamp) continue;
+                if (gateRoleIds.some(id => member.roles.cache.has(id))) continue;
+
+                const remaining = member.joinedTimestamp + delayMs - Date.now();
+                if (remaining < -RESUME_GRACE_MS) continue;
+
+                if (screening) {
+                    // Members still pending get the role from guildMemberUpdate
+                    if (member.pending) continue;
+                    await grantDelayedRole(member, guildSettings);
+                } else {
+                    scheduleDelayedRole(member, Math.max(remaining, 0));
+                }
+                resumed++;
+            }
+
+            if (resumed) {
+                console.log(`⏳ Resumed delayed role for ${resumed} member(s) in ${guild.name}`);
+            }
+        } catch (error) {
+            console.error(`❌ Error resuming delayed roles in ${guild.name}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    DELAYED_ROLE_TRIGGERS,
+    MAX_DELAYED_ROLE_MINUTES,
+    describeDelayedTrigger,
+    getRoleAssignmentProblem,
+    describeRoleError,
+    reportRoleProblems,
+    applyJoinRoles,
+    grantDelayedRole,
+    cancelDelayedRole,
+    resumeDelayedRoles
+};
@@ -0,0 +1,213 @@
+/**
+ * Scheduled announcements: posts a guild's announcement at a set time or on a
+ * cron recurrence (UTC). Schedules live in the scheduled_announcements table and a
+ * scheduler checks for due ones every minute, so they survive restarts. Runs missed
+ * while the bot was offline follow each schedule's catch-up policy.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const {
+    getAnnouncement,
+    getDueScheduledAnnouncements,
+    updateScheduledAnnouncement
+} = require('../database');
+const { postAnnouncement } = require('./announcement');
+const { parseCron, nextCronRun } = require('./cron');
+const { logWithTimestamp } = require('./helpers');
+const { sendModLog } = require('./modLog');
+const { DEFAULT_LOCALE, getGuildLocale, t } = require('./i18n');
+
+// 'once' posts a single catch-up for any number of missed runs, 'skip' drops them
+const CATCH_UP_POLICIES = ['once', 'skip'];
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// A run picked up this long after it was due was missed rather than just reached by the next check
+const MISSED_AFTER_MS = 5 * 60 * 1000;
+
+// Recurring posts can't run more often than this
+const MIN_RECURRENCE_MINUTES = 60;
+
+// Consecutive runs compared when checking MIN_RECURRENCE_MINUTES
+const RECURRENCE_CHECK_RUNS = 24;
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Parse a schedule time: "YYYY-MM-DD HH:MM" in UTC, an ISO timestamp with an
+ * offset, or a Discord timestamp such as <t:1767225600:F>
+ * @param {string} text - Time as typed by a moderator
+ * @returns {Date|null} Time, or null if it can't be parsed
+ */
+function parseScheduleTime(text) {
+    const trimmed = text.trim();
+
+    const discordTimestamp = /^<t:(\d+)(?::[a-zA-Z])?>$/.exec(trimmed);
+    if (discordTimestamp) return new Date(Number(discordTimestamp[1]) * 1000);
+
+    const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?\s*(Z|UTC|[+-]\d{2}:?\d{2})?$/i.exec(trimmed);
+    if (!match) return null;
+
+    const zone = !match[4] || /^(Z|UTC)$/i.test(match[4]) ? 'Z' : match[4];
+    const date = new Date(`${match[1]}T${match[2]}${match[3] || ':00'}${zone}`);
+
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Find a recurring schedule's next run
+ * @param {string} recurrence - Cron expression
+ * @param {Date} after - Find runs strictly after this time
+ * @returns {Date|null} Next run, or null if the expression is invalid or never runs
+ */
+function getNextRun(recurrence, after) {
+    const schedule = parseCron(recurrence);
+    return schedule ? nextCronRun(schedule, after) : null;
+}
+
+/**
+ * Explain why a recurrence can't be used, if it can't
+ * @param {string} recurrence - Cron expression
+ * @param {string} [locale] - Language of the problem description
+ * @returns {string|null} Problem description or null if the recurrence is usable
+ */
+function getRecurrenceProblem(recurrence, locale = DEFAULT_LOCALE) {
+    const schedule = parseCron(recurrence);
+    if (!schedule) {
+        return t(locale, 'schedule.invalid_cron', { recurrence: `\`${recurrence}\``, example: '`0 18 * * FRI`' });
+    }
+
+    let previous = nextCronRun(schedule, new Date());
+    if (!previous) return t(locale, 'schedule.never_runs', { recurrence: `\`${recurrence}\`` });
+
+    for (let i = 0; i < RECURRENCE_CHECK_RUNS; i++) {
+        const next = nextCronRun(schedule, previous);
+        if (!next) break;
+
+        if (next - previous < MIN_RECURRENCE_MINUTES * 60 * 1000) {
+            return t(locale, 'schedule.too_frequent', { duration: t(locale, 'time.minute', { count: MIN_RECURRENCE_MINUTES }) });
+        }
+        previous = next;
+    }
+
+    return null;
+}
+
+/**
+ * Post a scheduled announcement failure to the mod-log
+ * @param {Guild} guild - Discord guild
+ * @param {Object} job - Scheduled announcement row
+ * @param {string} status - 'no_channel' or 'failed'
+ */
+async function reportScheduleFailure(guild, job, status) {
+    const locale = await getGuildLocale(guild);
+    const embed = new EmbedBuilder()
+        .setColor('#ffa94d')
+        .setTitle(t(locale, 'schedule.failure_title'))
+        .setDescription(t(locale, `schedule.failure_${status}`, { name: `\`${job.announcement_name}\`` }))
+        .addFields([
+            { name: t(locale, 'schedule.schedule'), value: `#${job.id}`, inline: true },
+            {
+                name: t(locale, 'schedule.next_run'),
+                value: job.next_run_at ? `<t:${Math.floor(Date.parse(job.next_run_at) / 1000)}:f>` : t(locale, 'common.none'),
+                inline: true
+            }
+        ])
+        .setTimestamp();
+
+    await sendModLog(guild, { embeds: [embed] });
+}
+
+/**
+ * Run a due scheduled announcement and move it to its next run
+ * @param {Guild} guild - Discord guild
+ * @param {Object} job - Scheduled announcement row
+ * @param {Date} now - Time of this check
+ */
+async function runScheduledAnnouncement(guild, job, now) {
+    const missed = now - Date.parse(job.next_run_at) > MISSED_AFTER_MS;
+
+    // Runs missed while offline collapse into this one: the next run is counted from now
+    const nextRun = job.recurrence ? getNextRun(job.recurrence, now) : null;
+
+    // Move the schedule on before posting, so a crash mid-post can't post it twice
+    const claimed = await updateScheduledAnnouncement(guild.id, job.id, {
+        next_run_at: nextRun?.toISOString() ?? null,
+        last_run_at: now.toISOString()
+    });
+    if (!claimed) return;
+
+    let status = 'skipped';
+    if (!missed || job.catch_up !== 'skip') {
+        const announcement = await getAnnouncement(guild.id, job.announcement_name);
+        status = announcement ? await postAnnouncement(guild, announcement) : 'failed';
+    }
+
+    await updateScheduledAnnouncement(guild.id, job.id, { last_status: status });
+
+    logWithTimestamp(status === 'posted' || status === 'skipped' ? 'info' : 'warn', `Scheduled announcement ${status}`, {
+        guildId: guild.id,
+        scheduleId: job.id,
+        announcement: job.announcement_name,
+        missed,
+        nextRunAt: nextRun?.toISOString() ?? null
+    });
+
+    if (status === 'no_channel' || status === 'failed') {
+        await reportScheduleFailure(guild, { ...job, next_run_at: nextRun?.toISOString() ?? null }, status);
+    }
+}
+
+/**
+ * Run every scheduled announcement that is due in the guilds the bot is in
+ * @param {Client} client - Discord client instance
+ */
+async function runDueAnnouncements(client) {
+    // A slow check (many posts, slow API) mustn't overlap the next one
+    if (running) return;
+    running = true;
+
+    try {
+        const now = new Date();
+        const jobs = await getDueScheduledAnnouncements(now.toISOString());
+
+        for (const job of jobs || []) {
+            const guild = client.guilds.cache.get(job.guild_id);
+            if (!guild) continue;
+
+            try {
+                await runScheduledAnnouncement(guild, job, now);
+            } catch (error) {
+                console.error(`❌ Error running scheduled announcement #${job.id} in ${guild.name}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error checking scheduled announcements:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the announcement scheduler. The first check runs right away, catching up
+ * on runs missed while the bot was offline.
+ * @param {Client} client - Discord client instance
+ */
+async function startAnnouncementScheduler(client) {
+    if (schedulerTimer) return;
+
+    await runDueAnnouncements(client);
+    schedulerTimer = setInterval(() => runDueAnnouncements(client), SCHEDULER_INTERVAL_MS);
+
+    console.log('⏰ Announcement scheduler started');
+}
+
+module.exports = {
+    CATCH_UP_POLICIES,
+    MIN_RECURRENCE_MINUTES,
+    parseScheduleTime,
+    getNextRun,
+    getRecurrenceProblem,
+    startAnnouncementScheduler
+};
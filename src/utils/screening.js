@@ -0,0 +1,310 @@
+/**
+ * New member screening: scores each new account on its age, avatar and name and,
+ * depending on the score, flags it in the mod-log, gives it a quarantine role or
+ * kicks it. Flagged and quarantined members get Approve / Reject buttons in the mod-log.
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { logWithTimestamp } = require('./helpers');
+const { sendModLog } = require('./modLog');
+const { getRoleAssignmentProblem, describeRoleError } = require('./roles');
+const { DEFAULT_LOCALE, resolveLocale, t } = require('./i18n');
+const { startVerification, findJoinInviter, welcomeMember } = require('./verification');
+
+/**
+ * Default policy. A guild's screening only stores the keys it overrides.
+ * A threshold of 0 turns that action off.
+ */
+const DEFAULT_SCREENING = {
+    min_account_age_days: 7,
+    flag_score: 2,
+    quarantine_score: 4,
+    kick_score: 0,
+    quarantine_role_id: null,
+    name_blocklist: []
+};
+
+// Points added to a member's score for each signal
+const SIGNAL_WEIGHTS = {
+    very_new_account: 3, // created within the last day
+    new_account: 2, // younger than min_account_age_days
+    default_avatar: 1,
+    suspicious_name: 1,
+    blocklisted_name: 4
+};
+
+// Name patterns common among spam and impersonation accounts, with the
+// screening.signals catalogue entry describing each
+const SUSPICIOUS_NAME_PATTERNS = [
+    { pattern: /\d{4,}$/, key: 'name_long_number' },
+    { pattern: /(discord|nitro|steam|gift|airdrop|giveaway)/i, key: 'name_scam_lure' },
+    { pattern: /(admin|moderator|support|staff)/i, key: 'name_staff' },
+    { pattern: /(https?:\/\/|\.gg\/|\.com)/i, key: 'name_link' }
+];
+
+const MAX_BLOCKLIST_ENTRIES = 50;
+
+const SCREENING_ACTION_COLORS = {
+    flag: '#ffa94d',
+    quarantine: '#ff922b',
+    kick: '#ff6b6b'
+};
+
+/**
+ * Merge a guild's stored screening overrides onto the defaults
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {Object} Complete screening policy
+ */
+function resolveScreeningSettings(guildSettings) {
+    return { ...DEFAULT_SCREENING, ...(guildSettings?.screening || {}) };
+}
+
+/**
+ * Turn a blocklist entry into a regular expression. Entries written as /pattern/
+ * are regular expressions, anything else matches as case-insensitive text.
+ * @param {string} entry - Blocklist entry
+ * @returns {RegExp|null} Pattern or null if the regular expression is invalid
+ */
+function parseBlocklistEntry(entry) {
+    const regex = /^\/(.+)\/$/.exec(entry);
+
+    try {
+        return regex
+            ? new RegExp(regex[1], 'i')
+            : new RegExp(entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Score a member against the screening policy
+ * @param {GuildMember} member - The member
+ * @param {Object} screening - Resolved screening policy
+ * @returns {{ score: number, signals: Array<{ key: string, values: Object, weight: number }> }} Score and the
+ *  signals behind it (see describeSignal)
+ */
+function scoreMember(member, screening) {
+    const { user } = member;
+    const signals = [];
+    const ageMs = Date.now() - user.createdTimestamp;
+
+    if (ageMs < 24 * 60 * 60 * 1000) {
+        signals.push({ key: 'very_new_account', values: {}, weight: SIGNAL_WEIGHTS.very_new_account });
+    } else if (ageMs < screening.min_account_age_days * 24 * 60 * 60 * 1000) {
+        signals.push({ key: 'new_account', values: { count: screening.min_account_age_days }, weight: SIGNAL_WEIGHTS.new_account });
+    }
+
+    if (!user.avatar) {
+        signals.push({ key: 'default_avatar', values: {}, weight: SIGNAL_WEIGHTS.default_avatar });
+    }
+
+    const names = [...new Set([user.username, user.globalName, member.displayName].filter(Boolean))];
+
+    const suspicious = SUSPICIOUS_NAME_PATTERNS.find(({ pattern }) => names.some(name => pattern.test(name)));
+    if (suspicious) {
+        signals.push({ key: suspicious.key, values: {}, weight: SIGNAL_WEIGHTS.suspicious_name });
+    }
+
+    const blocked = screening.name_blocklist.find(entry => {
+        const pattern = parseBlocklistEntry(entry);
+        return pattern && names.some(name => pattern.test(name));
+    });
+    if (blocked) {
+        signals.push({ key: 'blocklisted_name', values: { entry: `\`${blocked}\`` }, weight: SIGNAL_WEIGHTS.blocklisted_name });
+    }
+
+    return {
+        score: signals.reduce((total, signal) => total + signal.weight, 0),
+        signals
+    };
+}
+
+/**
+ * Describe a screening signal as a bullet point
+ * @param {Object} signal - Signal from scoreMember
+ * @param {string} [locale] - Locale code
+ * @returns {string} e.g. "• Default avatar (+1)"
+ */
+function describeSignal(signal, locale = DEFAULT_LOCALE) {
+    return `• ${t(locale, `screening.signals.${signal.key}`, signal.values)} (+${signal.weight})`;
+}
+
+/**
+ * Pick the action for a score: the strictest one whose threshold is reached
+ * @param {number} score - Member score
+ * @param {Object} screening - Resolved screening policy
+ * @returns {string|null} 'kick', 'quarantine', 'flag' or null
+ */
+function getScreeningAction(score, screening) {
+    if (score === 0) return null;
+    if (screening.kick_score > 0 && score >= screening.kick_score) return 'kick';
+    if (screening.quarantine_score > 0 && screening.quarantine_role_id && score >= screening.quarantine_score) return 'quarantine';
+    if (screening.flag_score > 0 && score >= screening.flag_score) return 'flag';
+    return null;
+}
+
+/**
+ * Build the mod-log embed for a screened member
+ * @param {GuildMember} member - The member
+ * @param {Object} result - Score, signals and action
+ * @param {string|null} problem - Why the action couldn't be applied, if it couldn't
+ * @param {string} locale - The guild's language
+ * @returns {EmbedBuilder} Screening embed
+ */
+function buildScreeningEmbed(member, { score, signals, action }, problem, locale) {
+    const { user } = member;
+
+    const embed = new EmbedBuilder()
+        .setColor(SCREENING_ACTION_COLORS[action])
+        .setTitle(t(locale, `screening.alert_title.${action}`))
+        .setDescription(t(locale, 'screening.alert_score', { user: `${user} (${user.username})`, score }))
+        .setThumbnail(user.displayAvatarURL())
+        .addFields([
+            { name: t(locale, 'screening.signals_field'), value: signals.map(signal => describeSignal(signal, locale)).join('\n') },
+            { name: t(locale, 'screening.account_created'), value: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`, inline: true }
+        ])
+        .setFooter({ text: t(locale, 'mod_log.user_id', { id: user.id }) })
+        .setTimestamp();
+
+    if (problem) {
+        embed.addFields([{ name: t(locale, 'screening.not_applied'), value: problem, inline: true }]);
+    }
+
+    return embed;
+}
+
+/**
+ * Approve / Reject buttons for a screened member
+ * @param {string} userId - Member's user ID
+ * @param {string} locale - The guild's language
+ * @returns {ActionRowBuilder} Button row
+ */
+function buildReviewButtons(userId, locale) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`screening:approve:${userId}`)
+            .setLabel(t(locale, 'screening.approve'))
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`screening:reject:${userId}`)
+            .setLabel(t(locale, 'screening.reject'))
+            .setStyle(ButtonStyle.Danger)
+    );
+}
+
+/**
+ * Screen a new member and apply the guild's action for their score
+ * @param {GuildMember} member - The new member
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {Promise<string|null>} Action applied ('flag', 'quarantine', 'kick') or null
+ */
+async function screenMember(member, guildSettings) {
+    if (!guildSettings?.screening_enabled || member.user.bot) return null;
+
+    const screening = resolveScreeningSettings(guildSettings);
+    const { score, signals } = scoreMember(member, screening);
+    const action = getScreeningAction(score, screening);
+    if (!action) return null;
+
+    const { guild, user } = member;
+    const locale = resolveLocale(guild, guildSettings);
+    const reason = t(locale, 'audit.screening_score', { score });
+    let problem = null;
+
+    try {
+        if (action === 'quarantine') {
+            problem = getRoleAssignmentProblem(guild, screening.quarantine_role_id, locale);
+            if (!problem) await member.roles.add(screening.quarantine_role_id, reason);
+        } else if (action === 'kick') {
+            if (member.kickable) {
+                await member.kick(reason);
+            } else {
+                problem = t(locale, 'screening.cannot_kick');
+            }
+        }
+    } catch (error) {
+        problem = describeRoleError(error, locale);
+    }
+
+    logWithTimestamp(problem ? 'warn' : 'info', `Screened new member: ${action}`, {
+        guildId: guild.id,
+        userId: user.id,
+        score,
+        problem
+    });
+
+    // A kick that went through leaves nothing to review
+    const reviewable = action !== 'kick' || problem;
+    await sendModLog(guild, {
+        embeds: [buildScreeningEmbed(member, { score, signals, action }, problem, locale)],
+        components: reviewable ? [buildReviewButtons(user.id, locale)] : []
+    });
+
+    // If the quarantine or kick failed the member is only flagged
+    return problem ? 'flag' : action;
+}
+
+/**
+ * Approve a screened member: lift the quarantine and carry on where the join stopped,
+ * with the verification gate if it is on, otherwise the join roles and the welcome
+ * @param {GuildMember} member - The member
+ * @param {Object} guildSettings - Guild settings row
+ * @param {User} moderator - Moderator who approved them
+ * @returns {Promise<string|null>} Problem description, or null if approved
+ */
+async function approveMember(member, guildSettings, moderator) {
+    const { quarantine_role_id: quarantineRoleId } = resolveScreeningSettings(guildSettings);
+
+    if (!quarantineRoleId || !member.roles.cache.has(quarantineRoleId)) return null;
+
+    const locale = resolveLocale(member.guild, guildSettings);
+    const problem = getRoleAssignmentProblem(member.guild, quarantineRoleId, locale);
+    if (problem) return problem;
+
+    try {
+        await member.roles.remove(quarantineRoleId, t(locale, 'audit.screening_approved', { moderator: moderator.username }));
+    } catch (error) {
+        return describeRoleError(error, locale);
+    }
+
+    const inviter = await findJoinInviter(member);
+    if (await startVerification(member, guildSettings, inviter)) return null;
+
+    await welcomeMember(member, guildSettings, inviter);
+    return null;
+}
+
+/**
+ * Reject a screened member by kicking them
+ * @param {GuildMember} member - The member
+ * @param {User} moderator - Moderator who rejected them
+ * @param {string} [locale] - Language of the problem description
+ * @returns {Promise<string|null>} Problem description, or null if kicked
+ */
+async function rejectMember(member, moderator, locale = DEFAULT_LOCALE) {
+    if (!member.kickable) {
+        return t(locale, 'screening.cannot_kick');
+    }
+
+    try {
+        await member.kick(t(locale, 'audit.screening_rejected', { moderator: moderator.username }));
+        return null;
+    } catch (error) {
+        return describeRoleError(error, locale);
+    }
+}
+
+module.exports = {
+    DEFAULT_SCREENING,
+    SIGNAL_WEIGHTS,
+    MAX_BLOCKLIST_ENTRIES,
+    resolveScreeningSettings,
+    parseBlocklistEntry,
+    scoreMember,
+    getScreeningAction,
+    describeSignal,
+    screenMember,
+    approveMember,
+    rejectMember
+};
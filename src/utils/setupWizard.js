@@ -0,0 +1,268 @@
+/**
+ * Setup wizard: a message that walks moderators through the basic settings one
+ * step at a time with select menus, buttons and forms. It is posted when Giggles
+ * joins a server and opened again with /setup. Every choice is saved straight
+ * away, so the wizard can be left at any step.
+ */
+
+const {
+    EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType,
+    ChannelSelectMenuBuilder, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle
+} = require('discord.js');
+const { getGuildSettings } = require('../database');
+const { LINK_POLICY_ACTIONS, MAX_GRACE_PERIOD_MINUTES, resolveLinkPolicy } = require('./linkPolicy');
+const { resolveMessageTemplate } = require('./welcome');
+const { truncateText } = require('./helpers');
+const { resolveLocale, t } = require('./i18n');
+
+// Steps in order; each name is also its catalogue key under setup.wizard
+const SETUP_STEPS = ['welcome_channel', 'mod_log_channel', 'link_policy', 'dm_message'];
+
+/**
+ * Load what the wizard shows: the guild's settings, link policy and language
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<{ settings: Object|null, policy: Object, locale: string }>} Wizard state
+ */
+async function loadWizardState(guild) {
+    const [settings, policy] = await Promise.all([
+        getGuildSettings(guild.id),
+        resolveLinkPolicy(guild.id)
+    ]);
+
+    return { settings, policy, locale: resolveLocale(guild, settings) };
+}
+
+/**
+ * Describe the current value of a step's setting
+ * @param {string} step - Step name
+ * @param {Object} state - Wizard state
+ * @returns {string} Current setting
+ */
+function describeStep(step, { settings, policy, locale }) {
+    switch (step) {
+        case 'welcome_channel':
+            return settings?.welcome_channel_id ? `<#${settings.welcome_channel_id}>` : t(locale, 'setup.wizard.automatic');
+        case 'mod_log_channel':
+            return settings?.mod_log_channel_id ? `<#${settings.mod_log_channel_id}>` : t(locale, 'setup.wizard.off');
+        case 'link_policy':
+            return t(locale, 'setup.wizard.link_policy.summary', {
+                action: t(locale, `setup.wizard.link_policy.${policy.action}`),
+                grace: t(locale, 'time.minute', { count: policy.grace_period_minutes })
+            });
+        case 'dm_message':
+            return settings?.dm_enabled === false
+                ? t(locale, 'setup.wizard.off')
+                : truncateText(resolveMessageTemplate(settings?.dm_message, 'welcome.dm_message', locale), 1024);
+        default:
+            return '​';
+    }
+}
+
+/**
+ * Build a text channel picker with the current channel selected
+ * @param {string} customId - Component custom ID
+ * @param {string} placeholder - Text shown when nothing is selected
+ * @param {string|null} channelId - Current channel
+ * @returns {ChannelSelectMenuBuilder} Channel picker
+ */
+function buildChannelMenu(customId, placeholder, channelId) {
+    const menu = new ChannelSelectMenuBuilder()
+        .setCustomId(customId)
+        .setPlaceholder(placeholder)
+        .setChannelTypes(ChannelType.GuildText);
+
+    if (channelId) menu.setDefaultChannels(channelId);
+    return menu;
+}
+
+/**
+ * Build a step's controls: menus on their own rows and buttons to go next to
+ * the navigation buttons
+ * @param {string} step - Step name
+ * @param {Object} state - Wizard state
+ * @returns {{ rows: ActionRowBuilder[], buttons: ButtonBuilder[] }} Step controls
+ */
+function buildStepControls(step, { settings, policy, locale }) {
+    const text = key => t(locale, `setup.wizard.${step}.${key}`);
+    const button = (customId, label, emoji) => new ButtonBuilder()
+        .setCustomId(customId)
+        .setLabel(label)
+        .setEmoji(emoji)
+        .setStyle(ButtonStyle.Secondary);
+
+    switch (step) {
+        case 'welcome_channel':
+            return {
+                rows: [new ActionRowBuilder().addComponents(
+                    buildChannelMenu('setup:welcome_channel', text('placeholder'), settings?.welcome_channel_id))],
+                buttons: [button('setup:welcome_channel_auto', text('automatic_button'), '🎯')]
+            };
+        case 'mod_log_channel':
+            return {
+                rows: [new ActionRowBuilder().addComponents(
+                    buildChannelMenu('setup:mod_log_channel', text('placeholder'), settings?.mod_log_channel_id))],
+                buttons: [button('setup:mod_log_off', text('off_button'), '🔕')]
+            };
+        case 'link_policy':
+            return {
+                rows: [new ActionRowBuilder().addComponents(new StringSelectMenuBuilder()
+                    .setCustomId('setup:link_action')
+                    .setPlaceholder(text('placeholder'))
+                    .addOptions(LINK_POLICY_ACTIONS.map(action => ({
+                        label: text(action),
+                        value: action,
+                        default: policy.action === action
+                    }))))],
+                buttons: [button('setup:grace_period', text('grace_button'), '⏰')]
+            };
+        case 'dm_message':
+            return {
+                rows: [],
+                buttons: [
+                    button('setup:dm_edit', text('edit_button'), '✏️'),
+                    button('setup:dm_toggle', text(settings?.dm_enabled === false ? 'enable_button' : 'disable_button'), '✉️')
+                ]
+            };
+        default:
+            return { rows: [], buttons: [] };
+    }
+}
+
+/**
+ * Build the summary shown after the last step
+ * @param {Guild} guild - Discord guild
+ * @param {Object} state - Wizard state
+ * @returns {Object} Message options
+ */
+function buildSetupSummary(guild, state) {
+    const { locale } = state;
+
+    const embed = new EmbedBuilder()
+        .setColor('#43B581')
+        .setTitle(t(locale, 'setup.wizard.done_title', { guild: guild.name }))
+        .setDescription(t(locale, 'setup.wizard.done'))
+        .addFields([
+            ...SETUP_STEPS.map(step => ({
+                name: t(locale, `setup.wizard.${step}.name`),
+                value: describeStep(step, state),
+                inline: step !== 'dm_message'
+            })),
+            { name: t(locale, 'setup.wizard.language'), value: t(locale, 'meta.name'), inline: true }
+        ]);
+
+    const back = new ButtonBuilder()
+        .setCustomId(`setup:goto:${SETUP_STEPS[SETUP_STEPS.length - 1]}`)
+        .setLabel(t(locale, 'setup.wizard.back'))
+        .setStyle(ButtonStyle.Secondary);
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(back)] };
+}
+
+/**
+ * Build the wizard message at a step
+ * @param {Guild} guild - Discord guild
+ * @param {Object} state - Wizard state (see loadWizardState)
+ * @param {string} [step] - Step name, or 'done' for the summary
+ * @returns {Object} Message options for channel.send / interaction.update
+ */
+function buildSetupWizard(guild, state, step = SETUP_STEPS[0]) {
+    const index = SETUP_STEPS.indexOf(step);
+    if (index === -1) return buildSetupSummary(guild, state);
+
+    const { locale } = state;
+
+    const embed = new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'setup.wizard.title', { guild: guild.name }))
+        .setDescription([
+            index === 0 ? t(locale, 'setup.wizard.intro') : null,
+            t(locale, 'setup.wizard.step', {
+                step: index + 1,
+                total: SETUP_STEPS.length,
+                name: t(locale, `setup.wizard.${step}.name`)
+            }),
+            t(locale, `setup.wizard.${step}.help`)
+        ].filter(Boolean).join('\n\n'))
+        .addFields({ name: t(locale, 'setup.wizard.current'), value: describeStep(step, state) })
+        .setFooter({ text: t(locale, 'setup.wizard.footer') });
+
+    const isLast = index === SETUP_STEPS.length - 1;
+    const back = new ButtonBuilder()
+        .setCustomId(`setup:goto:${SETUP_STEPS[Math.max(index - 1, 0)]}`)
+        .setLabel(t(locale, 'setup.wizard.back'))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(index === 0);
+    const next = new ButtonBuilder()
+        .setCustomId(`setup:goto:${isLast ? 'done' : SETUP_STEPS[index + 1]}`)
+        .setLabel(t(locale, isLast ? 'setup.wizard.finish' : 'setup.wizard.next'))
+        .setStyle(ButtonStyle.Primary);
+
+    const { rows, buttons } = buildStepControls(step, state);
+
+    return {
+        embeds: [embed],
+        components: [...rows, new ActionRowBuilder().addComponents(...buttons, back, next)]
+    };
+}
+
+/**
+ * Build the form for the link grace period
+ * @param {Object} state - Wizard state
+ * @returns {ModalBuilder} Grace period form
+ */
+function createGracePeriodModal({ policy, locale }) {
+    return new ModalBuilder()
+        .setCustomId('setup:grace_modal')
+        .setTitle(t(locale, 'setup.wizard.grace_modal_title'))
+        .addComponents(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('minutes')
+                .setLabel(t(locale, 'setup.wizard.grace_modal_label', { max: MAX_GRACE_PERIOD_MINUTES }))
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(4)
+                .setValue(String(policy.grace_period_minutes))
+                .setRequired(true)
+        ));
+}
+
+/**
+ * Build the form for the welcome DM text
+ * @param {Object} state - Wizard state
+ * @returns {ModalBuilder} Welcome DM form
+ */
+function createDmMessageModal({ settings, locale }) {
+    return new ModalBuilder()
+        .setCustomId('setup:dm_modal')
+        .setTitle(t(locale, 'setup.wizard.dm_modal_title'))
+        .addComponents(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('message')
+                .setLabel(t(locale, 'setup.wizard.dm_modal_label'))
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(2000)
+                .setValue(resolveMessageTemplate(settings?.dm_message, 'welcome.dm_message', locale))
+                .setRequired(true)
+        ));
+}
+
+/**
+ * Parse the grace period typed into the form
+ * @param {string} value - What the moderator typed
+ * @returns {number|null} Minutes, or null if it isn't a whole number in range
+ */
+function parseGracePeriod(value) {
+    const trimmed = value.trim();
+    if (!/^\d+$/.test(trimmed)) return null;
+
+    const minutes = Number(trimmed);
+    return minutes <= MAX_GRACE_PERIOD_MINUTES ? minutes : null;
+}
+
+module.exports = {
+    SETUP_STEPS,
+    loadWizardState,
+    buildSetupWizard,
+    createGracePeriodModal,
+    createDmMessageModal,
+    parseGracePeriod
+};
@@ -0,0 +1,318 @@
+/**
+ * Template renderer for welcome, DM and other admin-authored messages.
+ *
+ * Syntax:
+ *  - {placeholder}                 e.g. {user}, {membercount_ordinal}, {account_age}
+ *  - {channel:name} / {role:name}  mention a channel or role by name
+ *  - {if membercount == 100}...{else}...{/if}
+ *    conditions: "name", "name OP value" or "name % N OP value" with OP one of == != > < >= <=
+ *  - \{ and \} for literal braces
+ *
+ * Ordinals, durations and dates are written in ctx.locale (English by default).
+ */
+
+const { DEFAULT_LOCALE, t, formatOrdinal } = require('./i18n');
+
+/**
+ * Format a number as an ordinal (1st, 2nd, 3rd, 11th, 101st...)
+ * @param {number} number - Number to format
+ * @param {string} [locale] - Locale code
+ * @returns {string} Ordinal
+ */
+function ordinal(number, locale = DEFAULT_LOCALE) {
+    return formatOrdinal(locale, Number(number));
+}
+
+/**
+ * Describe a length of time in its largest sensible unit ("3 years", "5 days")
+ * @param {number} ms - Duration in milliseconds
+ * @param {string} [locale] - Locale code
+ * @returns {string} Duration
+ */
+function formatDuration(ms, locale = DEFAULT_LOCALE) {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    const units = [
+        ['year', 365 * 24 * 60],
+        ['month', 30 * 24 * 60],
+        ['day', 24 * 60],
+        ['hour', 60],
+        ['minute', 1]
+    ];
+
+    for (const [unit, size] of units) {
+        const amount = Math.floor(minutes / size);
+        if (amount >= 1) return t(locale, `time.${unit}`, { count: amount });
+    }
+
+    return t(locale, 'time.less_than_minute');
+}
+
+/**
+ * Describe how long ago a date was in the largest sensible unit ("3 years", "5 days")
+ * @param {Date} date - Date to describe
+ * @param {string} [locale] - Locale code
+ * @returns {string|null} Age or null if no date
+ */
+function formatAge(date, locale = DEFAULT_LOCALE) {
+    if (!date) return null;
+    return formatDuration(Date.now() - date.getTime(), locale);
+}
+
+/**
+ * Placeholders available to every template. Each resolves a raw value from the
+ * render context (null when unavailable, which renders as an empty string and
+ * is false in conditions).
+ */
+const PLACEHOLDERS = {
+    user: { description: 'Mention of the member', resolve: ctx => ctx.user ? `<@${ctx.user.id}>` : null },
+    username: { description: 'Member username', resolve: ctx => ctx.user?.username || ctx.user?.displayName || null },
+    displayname: { description: 'Member display name', resolve: ctx => ctx.member?.displayName || ctx.user?.globalName || ctx.user?.username || null },
+    guild: { description: 'Server name', resolve: ctx => ctx.guild?.name || null },
+    server: { description: 'Server name (alias for {guild})', resolve: ctx => ctx.guild?.name || null },
+    membercount: { description: 'Total member count', resolve: ctx => ctx.guild?.memberCount ?? null },
+    membercount_ordinal: { description: 'Member count as an ordinal (e.g. 100th)', resolve: ctx => ctx.guild?.memberCount ? ordinal(ctx.guild.memberCount, ctx.locale) : null },
+    account_age: { description: 'How old the member\'s account is (e.g. 3 years)', resolve: ctx => formatAge(ctx.user?.createdAt, ctx.locale) },
+    account_created: { description: 'Date the member\'s account was created', resolve: ctx => ctx.user?.createdAt ? `<t:${Math.floor(ctx.user.createdAt.getTime() / 1000)}:D>` : null },
+    time_in_server: { description: 'How long the member has been in the server (for goodbyes)', resolve: ctx => formatAge(ctx.joinedAt || ctx.member?.joinedAt, ctx.locale) },
+    inviter: { description: 'Mention of the member who invited them (if known)', resolve: ctx => ctx.inviter ? `<@${ctx.inviter.id}>` : null },
+    emoji: { description: 'A random welcome emoji', resolve: ctx => ctx.emoji ?? null },
+    date: { description: 'Today\'s date', resolve: ctx => new Date().toLocaleDateString(ctx.locale || DEFAULT_LOCALE, { year: 'numeric', month: 'long', day: 'numeric' }) }
+};
+
+/**
+ * Placeholders that take an argument: {channel:general}, {role:Members}
+ */
+const PARAMETERIZED_PLACEHOLDERS = {
+    channel: {
+        description: 'Mention a channel by name, e.g. {channel:rules}',
+        resolve: (ctx, name) => {
+            const channel = ctx.guild?.channels?.cache.find(ch => ch.name.toLowerCase() === name.toLowerCase());
+            return channel ? `<#${channel.id}>` : `#${name}`;
+        }
+    },
+    role: {
+        description: 'Mention a role by name, e.g. {role:Members}',
+        resolve: (ctx, name) => {
+            const role = ctx.guild?.roles?.cache.find(r => r.name.toLowerCase() === name.toLowerCase());
+            return role ? `<@&${role.id}>` : `@${name}`;
+        }
+    }
+};
+
+const TAG_REGEX = /\\([{}\\])|\{([^{}]*)\}/g;
+const CONDITION_REGEX = /^([a-z_]+)(?:\s*%\s*(\d+))?(?:\s*(==|!=|>=|<=|>|<)\s*(.+))?$/i;
+const PLACEHOLDER_REGEX = /^([a-z_]+)(?::(.+))?$/i;
+
+/**
+ * Parse a template into a tree of text, placeholder and conditional nodes
+ * @param {string} template - Template source
+ * @returns {{ nodes: Array, errors: Object[], unknown: string[] }} Parse result; errors are
+ *  { key, values } pairs for the template.* catalogue entries
+ */
+function parseTemplate(template) {
+    const root = { nodes: [] };
+    const stack = [root];
+    const errors = [];
+    const unknown = [];
+    let lastIndex = 0;
+
+    const current = () => stack[stack.length - 1];
+    const target = () => {
+        const node = current();
+        return node.elseNodes || node.nodes;
+    };
+    const pushText = text => text && target().push({ type: 'text', value: text });
+
+    for (const match of (template || '').matchAll(TAG_REGEX)) {
+        pushText(template.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        // Escaped brace or backslash
+        if (match[1] !== undefined) {
+            pushText(match[1]);
+            continue;
+        }
+
+        const tag = match[2].trim();
+
+        if (tag.startsWith('if ')) {
+            const condition = CONDITION_REGEX.exec(tag.slice(3).trim());
+            if (!condition) {
+                errors.push({ key: 'invalid_condition', values: { tag: `{${tag}}` } });
+                pushText(match[0]);
+                continue;
+            }
+
+            const [, name, modulo, operator, value] = condition;
+            if (!PLACEHOLDERS[name.toLowerCase()]) unknown.push(name);
+
+            const node = {
+                type: 'if',
+                name: name.toLowerCase(),
+                modulo: modulo ? Number(modulo) : null,
+                operator: operator || null,
+                value: value?.trim() ?? null,
+                nodes: [],
+                elseNodes: null
+            };
+            target().push(node);
+            stack.push(node);
+            continue;
+        }
+
+        if (tag === 'else') {
+            const node = current();
+            if (node.type !== 'if' || node.elseNodes) {
+                errors.push({ key: 'unmatched_else' });
+                continue;
+            }
+            node.elseNodes = [];
+            continue;
+        }
+
+        if (tag === '/if') {
+            if (stack.length === 1) {
+                errors.push({ key: 'unmatched_endif' });
+                continue;
+            }
+            stack.pop();
+            continue;
+        }
+
+        const placeholder = PLACEHOLDER_REGEX.exec(tag);
+        const name = placeholder?.[1].toLowerCase();
+        const argument = placeholder?.[2];
+        const known = placeholder && (argument !== undefined ? PARAMETERIZED_PLACEHOLDERS[name] : PLACEHOLDERS[name]);
+
+        if (!known) {
+            unknown.push(tag);
+            pushText(match[0]);
+            continue;
+        }
+
+        target().push({ type: 'placeholder', name, argument: argument?.trim() });
+    }
+
+    pushText((template || '').slice(lastIndex));
+
+    if (stack.length > 1) {
+        errors.push({ key: 'unclosed_if', values: { count: stack.length - 1 } });
+    }
+
+    return { nodes: root.nodes, errors, unknown: [...new Set(unknown)] };
+}
+
+/**
+ * Evaluate an {if ...} condition
+ * @param {Object} node - Conditional node
+ * @param {Object} ctx - Render context
+ * @returns {boolean} Condition result
+ */
+function evaluateCondition(node, ctx) {
+    let actual = PLACEHOLDERS[node.name]?.resolve(ctx) ?? null;
+
+    if (node.modulo !== null && actual !== null) {
+        actual = Number(actual) % node.modulo;
+    }
+
+    if (!node.operator) {
+        return actual !== null && actual !== '' && actual !== 0;
+    }
+
+    if (actual === null) return node.operator === '!=';
+
+    const bothNumeric = !isNaN(Number(actual)) && !isNaN(Number(node.value));
+    const left = bothNumeric ? Number(actual) : String(actual).toLowerCase();
+    const right = bothNumeric ? Number(node.value) : String(node.value).toLowerCase();
+
+    switch (node.operator) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '>': return left > right;
+        case '<': return left < right;
+        case '>=': return left >= right;
+        case '<=': return left <= right;
+        default: return false;
+    }
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array} nodes - Parsed nodes
+ * @param {Object} ctx - Render context
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, ctx) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        if (node.type === 'placeholder') {
+            const value = node.argument !== undefined
+                ? PARAMETERIZED_PLACEHOLDERS[node.name].resolve(ctx, node.argument)
+                : PLACEHOLDERS[node.name].resolve(ctx);
+            return value === null || value === undefined ? '' : String(value);
+        }
+
+        return renderNodes(evaluateCondition(node, ctx) ? node.nodes : (node.elseNodes || []), ctx);
+    }).join('');
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template source
+ * @param {Object} ctx - Render context
+ * @param {User} [ctx.user] - The member's user
+ * @param {GuildMember} [ctx.member] - The member
+ * @param {Guild} [ctx.guild] - The guild
+ * @param {User} [ctx.inviter] - Who invited the member
+ * @param {Date} [ctx.joinedAt] - When the member joined, if not on ctx.member
+ * @param {string} [ctx.locale] - Language for ordinals, durations and dates
+ * @returns {string} Rendered text (unknown placeholders are left as written)
+ */
+function renderTemplate(template, ctx = {}) {
+    return renderNodes(parseTemplate(template).nodes, ctx);
+}
+
+/**
+ * Check a template before saving it
+ * @param {string} template - Template source
+ * @returns {{ valid: boolean, errors: Object[], unknownPlaceholders: string[] }} Validation result
+ */
+function validateTemplate(template) {
+    const { errors, unknown } = parseTemplate(template);
+    return {
+        valid: errors.length === 0 && unknown.length === 0,
+        errors,
+        unknownPlaceholders: unknown
+    };
+}
+
+/**
+ * Describe a failed validation for an admin
+ * @param {Object} validation - Result of validateTemplate
+ * @param {string} [locale] - Locale code
+ * @returns {string} Message listing the problems
+ */
+function describeTemplateErrors(validation, locale = DEFAULT_LOCALE) {
+    const lines = validation.errors.map(({ key, values }) => t(locale, `template.${key}`, values));
+
+    if (validation.unknownPlaceholders.length) {
+        lines.push(t(locale, 'template.unknown', { placeholders: validation.unknownPlaceholders.map(name => `\`{${name}}\``).join(', ') }));
+        lines.push(t(locale, 'template.available', {
+            placeholders: `${Object.keys(PLACEHOLDERS).map(name => `\`{${name}}\``).join(', ')}, \`{channel:name}\`, \`{role:name}\``
+        }));
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    PARAMETERIZED_PLACEHOLDERS,
+    ordinal,
+    formatDuration,
+    formatAge,
+    renderTemplate,
+    validateTemplate,
+    describeTemplateErrors
+};
@@ -0,0 +1,351 @@
+/**
+ * Verification gate: new members get an unverified role and pass by clicking the
+ * "I accept the rules" button on the guild's verification message, optionally
+ * followed by a short sum to answer. Join roles and the welcome are held back
+ * until they pass. Members who don't verify in time can be kicked.
+ */
+
+const {
+    EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    ModalBuilder, TextInputBuilder, TextInputStyle
+} = require('discord.js');
+const { getGuildSettings, getLatestMemberJoin } = require('../database');
+const { logWithTimestamp } = require('./helpers');
+const { getRoleAssignmentProblem, describeRoleError, reportRoleProblems, applyJoinRoles } = require('./roles');
+const { isLockedDown } = require('./raid');
+const { sendWelcome } = require('./welcomeDelivery');
+const { DEFAULT_LOCALE, resolveLocale, t } = require('./i18n');
+
+const VERIFICATION_CHALLENGES = ['button', 'captcha'];
+
+/**
+ * Default settings. A guild's verification only stores the keys it overrides.
+ * A kick_after_minutes of 0 never kicks.
+ */
+const DEFAULT_VERIFICATION = {
+    role_id: null,
+    challenge: 'button',
+    kick_after_minutes: 0,
+    rules_channel_id: null,
+    channel_id: null,
+    message_id: null
+};
+
+// setTimeout can't wait longer than ~24.8 days, keep well below that
+const MAX_VERIFICATION_KICK_MINUTES = 7 * 24 * 60;
+
+// How long a member has to answer the sum they were given
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+// Members waiting to verify by "guildId:userId": { timer, inviter }
+const pendingVerifications = new Map();
+
+// Sums handed out for the captcha challenge by "guildId:userId": { answer, expiresAt }
+const challenges = new Map();
+
+/**
+ * Merge a guild's stored verification overrides onto the defaults
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {Object} Complete verification settings
+ */
+function resolveVerificationSettings(guildSettings) {
+    return { ...DEFAULT_VERIFICATION, ...(guildSettings?.verification || {}) };
+}
+
+/**
+ * Check whether new members of a guild go through verification
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {boolean} True if verification is on and has an unverified role
+ */
+function isVerificationActive(guildSettings) {
+    return Boolean(guildSettings?.verification_enabled && resolveVerificationSettings(guildSettings).role_id);
+}
+
+/**
+ * Build the verification message members click to pass
+ * @param {Guild} guild - Discord guild
+ * @param {Object} verification - Resolved verification settings
+ * @param {string} [locale] - The guild's language
+ * @returns {Object} Message options for channel.send
+ */
+function buildVerificationMessage(guild, verification, locale = DEFAULT_LOCALE) {
+    const rules = verification.rules_channel_id
+        ? t(locale, 'verification.rules_in_channel', { channel: `<#${verification.rules_channel_id}>` })
+        : t(locale, 'verification.rules');
+    const steps = t(locale, verification.challenge === 'captcha' ? 'verification.steps_captcha' : 'verification.steps_button');
+
+    const embed = new EmbedBuilder()
+        .setColor('#7289DA')
+        .setTitle(t(locale, 'verification.title', { guild: guild.name }))
+        .setDescription(`${rules} ${steps}`);
+
+    const button = new ButtonBuilder()
+        .setCustomId('verification:start')
+        .setLabel(t(locale, 'verification.button'))
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success);
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(button)] };
+}
+
+/**
+ * Hand a member a sum to answer and build the form they answer it in
+ * @param {GuildMember} member - The member
+ * @param {string} [locale] - The guild's language
+ * @returns {ModalBuilder} Captcha form
+ */
+function createCaptchaModal(member, locale = DEFAULT_LOCALE) {
+    const a = 2 + Math.floor(Math.random() * 8);
+    const b = 2 + Math.floor(Math.random() * 8);
+
+    challenges.set(`${member.guild.id}:${member.id}`, { answer: a + b, expiresAt: Date.now() + CHALLENGE_TTL_MS });
+
+    return new ModalBuilder()
+        .setCustomId('verification:answer')
+        .setTitle(t(locale, 'verification.modal_title'))
+        .addComponents(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('answer')
+                .setLabel(t(locale, 'verification.modal_question', { a, b }))
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(4)
+                .setRequired(true)
+        ));
+}
+
+/**
+ * Check a member's answer to their captcha sum. Each sum can be answered once.
+ * @param {GuildMember} member - The member
+ * @param {string} answer - What they typed
+ * @returns {string} 'correct', 'wrong' or 'expired'
+ */
+function checkCaptchaAnswer(member, answer) {
+    const key = `${member.guild.id}:${member.id}`;
+    const challenge = challenges.get(key);
+    challenges.delete(key);
+
+    if (!challenge || challenge.expiresAt < Date.now()) return 'expired';
+    return Number.parseInt(answer.trim(), 10) === challenge.answer ? 'correct' : 'wrong';
+}
+
+/**
+ * Kick a member who still hasn't verified
+ * @param {GuildMember} member - The member
+ */
+async function kickUnverified(member) {
+    const key = `${member.guild.id}:${member.id}`;
+    pendingVerifications.delete(key);
+    challenges.delete(key);
+
+    // Re-read settings and the member in case either changed while waiting
+    const [guildSettings, current] = await Promise.all([
+        getGuildSettings(member.guild.id),
+        member.guild.members.fetch(member.id).catch(() => null)
+    ]);
+
+    const verification = resolveVerificationSettings(guildSettings);
+    if (!current || !isVerificationActive(guildSettings) || !verification.kick_after_minutes) return;
+    if (!current.roles.cache.has(verification.role_id)) return;
+
+    if (!current.kickable) {
+        logWithTimestamp('warn', 'Could not kick unverified member (missing Kick Members permission or role hierarchy)', {
+            guildId: member.guild.id,
+            userId: member.id
+        });
+        return;
+    }
+
+    const locale = resolveLocale(member.guild, guildSettings);
+    await current.kick(t(locale, 'audit.unverified', { duration: t(locale, 'time.minute', { count: verification.kick_after_minutes }) }));
+    console.log(`👢 Kicked unverified ${current.user.username} from ${member.guild.name}`);
+}
+
+/**
+ * Remember a member waiting to verify and start the timer that kicks them if they haven't by then
+ * @param {GuildMember} member - The member
+ * @param {number|null} delayMs - How long to wait, or null to never kick
+ * @param {User|null} inviter - Creator of the invite they joined with, kept for their welcome
+ */
+function trackPendingVerification(member, delayMs, inviter = null) {
+    const key = `${member.guild.id}:${member.id}`;
+    clearTimeout(pendingVerifications.get(key)?.timer);
+
+    const timer = delayMs === null ? null : setTimeout(async () => {
+        try {
+            await kickUnverified(member);
+        } catch (error) {
+            console.error('❌ Error kicking unverified member:', error);
+        }
+    }, delayMs);
+
+    pendingVerifications.set(key, { timer, inviter });
+}
+
+/**
+ * Hold a new member at the verification gate: give them the unverified role and
+ * start the kick timer
+ * @param {GuildMember} member - The new member
+ * @param {Object} guildSettings - Guild settings row
+ * @param {User|null} inviter - Creator of the invite they joined with, kept for their welcome
+ * @returns {Promise<boolean>} True if the member has to verify, false if they go straight in
+ */
+async function startVerification(member, guildSettings, inviter = null) {
+    if (!isVerificationActive(guildSettings) || member.user.bot) return false;
+
+    const verification = resolveVerificationSettings(guildSettings);
+    const locale = resolveLocale(member.guild, guildSettings);
+
+    // Without the role there is no gate, so let the member straight in rather than strand them
+    const problem = getRoleAssignmentProblem(member.guild, verification.role_id, locale);
+    if (problem) {
+        await reportRoleProblems(member, 'unverified_role', [problem], locale);
+        return false;
+    }
+
+    try {
+        await member.roles.add(verification.role_id, t(locale, 'audit.verification_started'));
+    } catch (error) {
+        await reportRoleProblems(member, 'unverified_role', [describeRoleError(error, locale)], locale);
+        return false;
+    }
+
+    const kickAfterMs = verification.kick_after_minutes ? verification.kick_after_minutes * 60 * 1000 : null;
+    trackPendingVerification(member, kickAfterMs, inviter);
+
+    console.log(`🚧 ${member.user.username} is waiting for verification in ${member.guild.name}`);
+    return true;
+}
+
+/**
+ * Look up who invited a member from their latest logged join, for welcomes sent
+ * after the in-memory inviter is gone (a restart, or a held-back member)
+ * @param {GuildMember} member - The member
+ * @returns {Promise<User|null>} The inviter, or null if unknown
+ */
+async function findJoinInviter(member) {
+    const join = await getLatestMemberJoin(member.guild.id, member.id);
+    if (!join?.inviter_id) return null;
+
+    return member.client.users.fetch(join.inviter_id).catch(() => null);
+}
+
+/**
+ * Let a member through the gate: remove the unverified role, give the join roles
+ * and send the welcome that was held back
+ * @param {GuildMember} member - The member
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {Promise<string|null>} Problem description, or null if verified
+ */
+async function completeVerification(member, guildSettings) {
+    const { role_id: roleId } = resolveVerificationSettings(guildSettings);
+    const key = `${member.guild.id}:${member.id}`;
+    const pending = pendingVerifications.get(key);
+    const locale = resolveLocale(member.guild, guildSettings);
+
+    const problem = getRoleAssignmentProblem(member.guild, roleId, locale);
+    if (problem) return problem;
+
+    try {
+        await member.roles.remove(roleId, t(locale, 'audit.verified'));
+    } catch (error) {
+        return describeRoleError(error, locale);
+    }
+
+    clearTimeout(pending?.timer);
+    pendingVerifications.delete(key);
+    challenges.delete(key);
+
+    console.log(`✅ ${member.user.username} verified in ${member.guild.name}`);
+
+    // The inviter is only kept in memory, so after a restart it comes from the logged join
+    const inviter = pending?.inviter ?? await findJoinInviter(member);
+
+    await welcomeMember(member, guildSettings, inviter);
+    return null;
+}
+
+/**
+ * Give the join roles and send the welcome to a member who was held back
+ * (by verification or screening) and has now been let in
+ * @param {GuildMember} member - The member
+ * @param {Object} guildSettings - Guild settings row
+ * @param {User|null} inviter - Creator of the invite they joined with
+ */
+async function welcomeMember(member, guildSettings, inviter = null) {
+    await applyJoinRoles(member, guildSettings);
+
+    // Welcoming every account of a raid only amplifies it
+    if (isLockedDown(member.guild.id)) {
+        console.log(`🔒 Skipping welcome message for ${member.user.username} in ${member.guild.name} (lockdown)`);
+        return;
+    }
+
+    // The member is in either way, so a failed welcome is only logged
+    try {
+        await sendWelcome(member, guildSettings, inviter);
+    } catch (error) {
+        console.error('❌ Error sending held-back welcome:', error);
+    }
+}
+
+/**
+ * Stop a member's verification timer (e.g. when they leave)
+ * @param {GuildMember} member - The member
+ */
+function cancelVerification(member) {
+    const key = `${member.guild.id}:${member.id}`;
+    clearTimeout(pendingVerifications.get(key)?.timer);
+    pendingVerifications.delete(key);
+    challenges.delete(key);
+}
+
+/**
+ * Restart verification kick timers lost in a restart. Members whose time ran out
+ * while the bot was offline are kicked now.
+ * @param {Client} client - Discord client instance
+ */
+async function resumeVerifications(client) {
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            const guildSettings = await getGuildSettings(guild.id);
+            if (!isVerificationActive(guildSettings)) continue;
+
+            const verification = resolveVerificationSettings(guildSettings);
+            if (!verification.kick_after_minutes) continue;
+
+            const delayMs = verification.kick_after_minutes * 60 * 1000;
+            const members = await guild.members.fetch();
+            let resumed = 0;
+
+            for (const member of members.values()) {
+                if (member.user.bot || !member.roles.cache.has(verification.role_id) || !member.joinedTimestamp) continue;
+
+                trackPendingVerification(member, Math.max(member.joinedTimestamp + delayMs - Date.now(), 0));
+                resumed++;
+            }
+
+            if (resumed) {
+                console.log(`🚧 Resumed verification timers for ${resumed} member(s) in ${guild.name}`);
+            }
+        } catch (error) {
+            console.error(`❌ Error resuming verification timers in ${guild.name}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    VERIFICATION_CHALLENGES,
+    DEFAULT_VERIFICATION,
+    MAX_VERIFICATION_KICK_MINUTES,
+    resolveVerificationSettings,
+    isVerificationActive,
+    buildVerificationMessage,
+    createCaptchaModal,
+    checkCaptchaAnswer,
+    startVerification,
+    findJoinInviter,
+    completeVerification,
+    welcomeMember,
+    cancelVerification,
+    resumeVerifications
+};
@@ -0,0 +1,238 @@
+/**
+ * Per-guild welcome and goodbye content: defaults, channel selection and
+ * rendering for the welcome post, welcome DM and goodbye message
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { formatWelcomeMessage, truncateText, isChannelSuitable, findBestWelcomeChannel } = require('./helpers');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+const DEFAULT_WELCOME_MESSAGE = t(DEFAULT_LOCALE, 'welcome.message');
+
+const DEFAULT_GOODBYE_MESSAGE = t(DEFAULT_LOCALE, 'welcome.goodbye_message');
+
+const DEFAULT_DM_MESSAGE = t(DEFAULT_LOCALE, 'welcome.dm_message');
+
+const DM_FORMATS = ['text', 'embed'];
+
+const WELCOME_FORMATS = ['embed', 'text', 'both'];
+
+/**
+ * Default welcome embed spec in a language. A guild's welcome_embed only stores
+ * the keys it overrides; null hides that part of the embed. Text values are templates.
+ * Image values are a URL, 'avatar' (the member's avatar) or 'server' (the server icon).
+ * @param {string} [locale] - Locale code
+ * @returns {Object} Embed spec
+ */
+function getDefaultWelcomeEmbed(locale = DEFAULT_LOCALE) {
+    return {
+        color: '#7289DA',
+        content: t(locale, 'welcome.embed.content'),
+        title: t(locale, 'welcome.embed.title'),
+        description: null, // null uses the welcome message in embed mode
+        fields: [
+            { name: t(locale, 'welcome.embed.member_info'), value: t(locale, 'welcome.embed.member_info_value'), inline: true },
+            { name: t(locale, 'welcome.embed.server_stats'), value: t(locale, 'welcome.embed.server_stats_value'), inline: true }
+        ],
+        image: null,
+        thumbnail: 'avatar',
+        footer: t(locale, 'welcome.embed.footer'),
+        footer_icon: 'server',
+        timestamp: true
+    };
+}
+
+const DEFAULT_WELCOME_EMBED = getDefaultWelcomeEmbed();
+
+const MAX_EMBED_FIELDS = 25;
+
+/**
+ * Merge a guild's stored embed overrides onto the default spec
+ * @param {Object} guildSettings - Guild settings row
+ * @param {string} [locale] - Language of the defaults
+ * @returns {Object} Complete embed spec
+ */
+function resolveWelcomeEmbedSpec(guildSettings, locale = DEFAULT_LOCALE) {
+    return { ...getDefaultWelcomeEmbed(locale), ...(guildSettings?.welcome_embed || {}) };
+}
+
+/**
+ * Pick a guild's message template, or the default in its language if it never
+ * changed it. Settings rows are created with the English default, which counts as unchanged.
+ * @param {string|null} stored - Template from the settings row
+ * @param {string} key - Catalogue key of the default
+ * @param {string} [locale] - Locale code
+ * @returns {string} Template
+ */
+function resolveMessageTemplate(stored, key, locale = DEFAULT_LOCALE) {
+    return stored && stored !== t(DEFAULT_LOCALE, key) ? stored : t(locale, key);
+}
+
+/**
+ * Turn an image setting into a URL
+ * @param {string|null} value - URL, 'avatar', 'server' or null
+ * @param {Object} data - Placeholder data
+ * @returns {string|null} Image URL or null
+ */
+function resolveImage(value, { user, guild }) {
+    if (!value) return null;
+    if (value === 'avatar') return user.displayAvatarURL({ dynamic: true, size: 256 });
+    if (value === 'server') return guild.iconURL({ dynamic: true });
+    return value;
+}
+
+/**
+ * Build the welcome embed from a spec
+ * @param {Object} spec - Embed spec
+ * @param {string|null} description - Rendered description
+ * @param {Object} data - Placeholder data
+ * @returns {EmbedBuilder|null} Embed, or null if the spec leaves it empty
+ */
+function buildWelcomeEmbed(spec, description, data) {
+    const render = template => template ? formatWelcomeMessage(template, data) : '';
+    const embed = new EmbedBuilder().setColor(spec.color || DEFAULT_WELCOME_EMBED.color);
+
+    const title = render(spec.title);
+    if (title) embed.setTitle(truncateText(title, 256));
+    if (description) embed.setDescription(truncateText(description, 4096));
+
+    const fields = (spec.fields || [])
+        .slice(0, MAX_EMBED_FIELDS)
+        .map(field => ({
+            name: truncateText(render(field.name), 256) || '\u200B',
+            value: truncateText(render(field.value), 1024) || '\u200B',
+            inline: Boolean(field.inline)
+        }));
+    if (fields.length) embed.addFields(fields);
+
+    const image = resolveImage(spec.image, data);
+    const thumbnail = resolveImage(spec.thumbnail, data);
+    if (image) embed.setImage(image);
+    if (thumbnail) embed.setThumbnail(thumbnail);
+
+    const footer = render(spec.footer);
+    if (footer) embed.setFooter({ text: truncateText(footer, 2048), iconURL: resolveImage(spec.footer_icon, data) || undefined });
+    if (spec.timestamp) embed.setTimestamp();
+
+    const isEmpty = !title && !description && !fields.length && !image && !thumbnail && !footer;
+    return isEmpty ? null : embed;
+}
+
+/**
+ * Pick the channel for welcome (and goodbye) messages: the configured channel if
+ * usable, otherwise #new-joiners, otherwise the best general channel
+ * @param {Guild} guild - Discord guild
+ * @param {string|null} channelId - Configured channel ID
+ * @returns {TextChannel|null} Channel or null if none is suitable
+ */
+function resolveWelcomeChannel(guild, channelId) {
+    const configured = channelId ? guild.channels.cache.get(channelId) : null;
+    if (isChannelSuitable(configured, guild.members.me)) return configured;
+
+    const newJoiners = guild.channels.cache.find(ch =>
+        ch.type === 0 && // text
+        ch.name.toLowerCase() === 'new-joiners' &&
+        ch.permissionsFor(guild.members.me)?.has(['ViewChannel', 'SendMessages'])
+    );
+
+    return newJoiners || findBestWelcomeChannel(guild);
+}
+
+/**
+ * Build the goodbye message for a member who left
+ * @param {Object} guildSettings - Guild settings row
+ * @param {Object} data - Placeholder data
+ * @param {User} data.user - The member's user
+ * @param {Guild} data.guild - The guild they left
+ * @param {GuildMember} [data.member] - The member (may be partial)
+ * @param {Date} [data.joinedAt] - When they joined, for {time_in_server}
+ * @param {string} [data.locale] - The guild's language
+ * @returns {Object} Message options for channel.send
+ */
+function buildGoodbyeMessage(guildSettings, data) {
+    return {
+        content: formatWelcomeMessage(resolveMessageTemplate(guildSettings?.goodbye_message, 'welcome.goodbye_message', data.locale), data),
+        allowedMentions: { parse: [] }
+    };
+}
+
+/**
+ * Build the welcome post for a new member from the guild's settings
+ * @param {Object} guildSettings - Guild settings row
+ * @param {Object} data - Placeholder data
+ * @param {User} data.user - The new member's user
+ * @param {Guild} data.guild - The guild they joined
+ * @param {GuildMember} [data.member] - The new member
+ * @param {User} [data.inviter] - Who invited them, if known
+ * @param {string} [data.locale] - The guild's language
+ * @returns {Object} Message options for channel.send
+ */
+function buildWelcomeMessage(guildSettings, data) {
+    const format = WELCOME_FORMATS.includes(guildSettings?.welcome_format) ? guildSettings.welcome_format : 'embed';
+    const welcomeMessage = formatWelcomeMessage(resolveMessageTemplate(guildSettings?.welcome_message, 'welcome.message', data.locale), data);
+
+    if (format === 'text') {
+        return { content: welcomeMessage };
+    }
+
+    const spec = resolveWelcomeEmbedSpec(guildSettings, data.locale);
+    const description = spec.description
+        ? formatWelcomeMessage(spec.description, data)
+        : (format === 'embed' ? welcomeMessage : null);
+    const embed = buildWelcomeEmbed(spec, description, data);
+    const content = format === 'both'
+        ? welcomeMessage
+        : (spec.content ? formatWelcomeMessage(spec.content, data) : undefined);
+
+    if (!embed) {
+        return { content: content || welcomeMessage };
+    }
+
+    return { content, embeds: [embed] };
+}
+
+/**
+ * Build the welcome DM for a new member from the guild's settings
+ * @param {Object} guildSettings - Guild settings row
+ * @param {Object} data - Placeholder data
+ * @param {User} data.user - The new member's user
+ * @param {Guild} data.guild - The guild they joined
+ * @param {GuildMember} [data.member] - The new member
+ * @param {User} [data.inviter] - Who invited them, if known
+ * @param {string} [data.locale] - The guild's language
+ * @returns {Object|null} Message options for user.send, or null if DMs are disabled
+ */
+function buildWelcomeDm(guildSettings, { user, guild, member, inviter, locale = DEFAULT_LOCALE }) {
+    if (guildSettings?.dm_enabled === false) return null;
+
+    const body = formatWelcomeMessage(resolveMessageTemplate(guildSettings?.dm_message, 'welcome.dm_message', locale), { user, guild, member, inviter, locale });
+
+    if (guildSettings?.dm_format === 'embed') {
+        const embed = new EmbedBuilder()
+            .setColor('#7289DA')
+            .setTitle(t(locale, 'welcome.dm_title', { guild: guild.name }))
+            .setDescription(body)
+            .setThumbnail(guild.iconURL({ dynamic: true }))
+            .setTimestamp();
+
+        return { embeds: [embed] };
+    }
+
+    return { content: body };
+}
+
+module.exports = {
+    DEFAULT_WELCOME_MESSAGE,
+    DEFAULT_DM_MESSAGE,
+    DEFAULT_GOODBYE_MESSAGE,
+    DM_FORMATS,
+    WELCOME_FORMATS,
+    DEFAULT_WELCOME_EMBED,
+    MAX_EMBED_FIELDS,
+    resolveWelcomeEmbedSpec,
+    resolveMessageTemplate,
+    resolveWelcomeChannel,
+    buildWelcomeMessage,
+    buildGoodbyeMessage,
+    buildWelcomeDm
+};
@@ -0,0 +1,253 @@
+/**
+ * Welcome card images: a PNG drawn locally with @napi-rs/canvas showing the new
+ * member's avatar, name and member number over a per-guild background
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+const { formatWelcomeMessage, isPublicHttpsUrl, logWithTimestamp } = require('./helpers');
+const { resolveMessageTemplate } = require('./welcome');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+const CARD_WIDTH = 1024;
+const CARD_HEIGHT = 320;
+const AVATAR_SIZE = 200;
+const IMAGE_FETCH_TIMEOUT_MS = 5000;
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const CARD_FILE_NAME = 'welcome-card.png';
+const FONT_FAMILY = 'Arial, "Helvetica Neue", "DejaVu Sans", sans-serif';
+
+/**
+ * Default card colors. A guild's welcome_card only stores the keys it overrides.
+ */
+const DEFAULT_WELCOME_CARD = {
+    background_color: '#23272a',
+    background_url: null,
+    accent_color: '#7289DA',
+    text_color: '#ffffff'
+};
+
+let canvasModule;
+
+/**
+ * Load @napi-rs/canvas on first use; it is an optional dependency
+ * @returns {Object|null} The canvas module, or null if it isn't installed
+ */
+function loadCanvas() {
+    if (canvasModule === undefined) {
+        try {
+            canvasModule = require('@napi-rs/canvas');
+        } catch (error) {
+            console.log('⚠️ @napi-rs/canvas is not installed, welcome cards are unavailable');
+            canvasModule = null;
+        }
+    }
+    return canvasModule;
+}
+
+/**
+ * Merge a guild's stored card overrides onto the defaults
+ * @param {Object} guildSettings - Guild settings row
+ * @returns {Object} Complete card spec
+ */
+function resolveWelcomeCardSpec(guildSettings) {
+    return { ...DEFAULT_WELCOME_CARD, ...(guildSettings?.welcome_card || {}) };
+}
+
+/**
+ * Download an image and decode it for drawing. Images over MAX_IMAGE_BYTES are
+ * refused, and the download stops as soon as it goes past the limit.
+ * @param {string} url - Image URL
+ * @returns {Promise<Image>} Decoded image
+ */
+async function fetchImage(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`Image request failed with status ${response.status}`);
+    }
+
+    const tooLarge = `Image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`;
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+        await response.body?.cancel();
+        throw new Error(tooLarge);
+    }
+
+    // The header can be missing or wrong, so count the bytes as they arrive
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_IMAGE_BYTES) throw new Error(tooLarge);
+        chunks.push(chunk);
+    }
+
+    return loadCanvas().loadImage(Buffer.concat(chunks));
+}
+
+/**
+ * Draw an image scaled to cover the whole card, cropping the overflow
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {Image} image - Background image
+ */
+function drawCover(ctx, image) {
+    const scale = Math.max(CARD_WIDTH / image.width, CARD_HEIGHT / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, (CARD_WIDTH - width) / 2, (CARD_HEIGHT - height) / 2, width, height);
+}
+
+/**
+ * Set the largest font (down to a minimum) at which the text fits, then
+ * shorten it with an ellipsis if it still doesn't
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @param {number} size - Starting font size
+ * @param {number} minSize - Smallest font size to try
+ * @returns {string} Text to draw
+ */
+function fitText(ctx, text, maxWidth, size, minSize) {
+    for (; size > minSize; size -= 2) {
+        ctx.font = `bold ${size}px ${FONT_FAMILY}`;
+        if (ctx.measureText(text).width <= maxWidth) return text;
+    }
+
+    ctx.font = `bold ${minSize}px ${FONT_FAMILY}`;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return fitted === text ? text : `${fitted}…`;
+}
+
+/**
+ * Render a welcome card for a member
+ * @param {Object} spec - Card spec (see resolveWelcomeCardSpec)
+ * @param {Object} data - Card data
+ * @param {User} data.user - The new member's user
+ * @param {Guild} data.guild - The guild they joined
+ * @param {GuildMember} [data.member] - The new member
+ * @param {User} [data.inviter] - Who invited them, if known
+ * @param {string} [data.locale] - Language of the card text
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderWelcomeCard(spec, { user, guild, member, locale = DEFAULT_LOCALE }) {
+    const canvas = loadCanvas();
+    if (!canvas) {
+        throw new Error('@napi-rs/canvas is not installed');
+    }
+
+    const card = canvas.createCanvas(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = card.getContext('2d');
+
+    // Background: solid color, with the guild's image on top if it has one
+    ctx.fillStyle = spec.background_color;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    // Backgrounds saved before /welcome card background checked the host are skipped too
+    if (spec.background_url && isPublicHttpsUrl(spec.background_url)) {
+        try {
+            drawCover(ctx, await fetchImage(spec.background_url));
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+        } catch (error) {
+            // A broken background shouldn't cost the member their card
+            logWithTimestamp('warn', 'Failed to load welcome card background, drawing the card without it', {
+                error: error.message,
+                guildId: guild.id
+            });
+        }
+    }
+
+    // Accent bar along the left edge
+    ctx.fillStyle = spec.accent_color;
+    ctx.fillRect(0, 0, 12, CARD_HEIGHT);
+
+    // Round avatar with an accent ring
+    const avatarX = 60;
+    const avatarY = (CARD_HEIGHT - AVATAR_SIZE) / 2;
+    let avatar = null;
+
+    try {
+        avatar = await fetchImage(user.displayAvatarURL({ extension: 'png', size: 256 }));
+    } catch (error) {
+        // As with the background, a slow CDN shouldn't cost the member their card
+        logWithTimestamp('warn', 'Failed to load avatar for welcome card, drawing a placeholder', {
+            error: error.message,
+            guildId: guild.id,
+            userId: user.id
+        });
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(avatarX + AVATAR_SIZE / 2, avatarY + AVATAR_SIZE / 2, AVATAR_SIZE / 2, 0, Math.PI * 2);
+    ctx.closePath();
+    if (avatar) {
+        ctx.clip();
+        ctx.drawImage(avatar, avatarX, avatarY, AVATAR_SIZE, AVATAR_SIZE);
+    } else {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fill();
+    }
+    ctx.restore();
+
+    ctx.beginPath();
+    ctx.arc(avatarX + AVATAR_SIZE / 2, avatarY + AVATAR_SIZE / 2, AVATAR_SIZE / 2 + 4, 0, Math.PI * 2);
+    ctx.lineWidth = 8;
+    ctx.strokeStyle = spec.accent_color;
+    ctx.stroke();
+
+    // Text
+    const textX = avatarX + AVATAR_SIZE + 50;
+    const textWidth = CARD_WIDTH - textX - 50;
+    const name = member?.displayName || user.globalName || user.username;
+
+    ctx.fillStyle = spec.accent_color;
+    ctx.font = `bold 34px ${FONT_FAMILY}`;
+    ctx.fillText(t(locale, 'welcome.card.title'), textX, 110);
+
+    ctx.fillStyle = spec.text_color;
+    ctx.fillText(fitText(ctx, name, textWidth, 64, 32), textX, 185);
+
+    ctx.globalAlpha = 0.8;
+    ctx.fillText(fitText(ctx, t(locale, 'welcome.card.subtitle', { count: guild.memberCount, guild: guild.name }), textWidth, 30, 20), textX, 240);
+    ctx.globalAlpha = 1;
+
+    return card.toBuffer('image/png');
+}
+
+/**
+ * Build a welcome post with a card image attached
+ * @param {Object} guildSettings - Guild settings row
+ * @param {Object} data - Placeholder data
+ * @param {User} data.user - The new member's user
+ * @param {Guild} data.guild - The guild they joined
+ * @param {GuildMember} [data.member] - The new member
+ * @param {User} [data.inviter] - Who invited them, if known
+ * @param {string} [data.locale] - The guild's language
+ * @returns {Promise<Object|null>} Message options for channel.send, or null if the card couldn't be rendered
+ */
+async function buildWelcomeCardPost(guildSettings, data) {
+    try {
+        const image = await renderWelcomeCard(resolveWelcomeCardSpec(guildSettings), data);
+
+        return {
+            content: formatWelcomeMessage(resolveMessageTemplate(guildSettings?.welcome_message, 'welcome.message', data.locale), data),
+            files: [new AttachmentBuilder(image, { name: CARD_FILE_NAME })]
+        };
+    } catch (error) {
+        logWithTimestamp('warn', 'Failed to render welcome card, falling back to the welcome embed', {
+            error: error.message,
+            guildId: data.guild?.id,
+            userId: data.user?.id
+        });
+        return null;
+    }
+}
+
+module.exports = {
+    DEFAULT_WELCOME_CARD,
+    resolveWelcomeCardSpec,
+    renderWelcomeCard,
+    buildWelcomeCardPost
+};
@@ -0,0 +1,67 @@
+/**
+ * Sending the welcome: the public welcome post (card or message) and the welcome
+ * DM. Used when a member joins and, with verification on, once they pass it.
+ */
+
+const { buildWelcomeMessage, buildWelcomeDm, resolveWelcomeChannel } = require('./welcome');
+const { buildWelcomeCardPost } = require('./welcomeCard');
+const { resolveLocale } = require('./i18n');
+
+/**
+ * Send a member the guild's welcome post and welcome DM
+ * @param {GuildMember} member - The member to welcome
+ * @param {Object|null} guildSettings - Guild settings row
+ * @param {User|null} inviter - Creator of the invite they joined with, if known
+ */
+async function sendWelcome(member, guildSettings, inviter = null) {
+    const { guild, user } = member;
+
+    // If guild is not active or no settings found, skip welcome message
+    if (!guildSettings || !guildSettings.is_active) {
+        console.log(`⏭️ Skipping welcome message for ${guild.name} (not active or no settings)`);
+        return;
+    }
+
+    // Configured welcome channel, then #new-joiners, then the best general channel
+    const welcomeChannel = resolveWelcomeChannel(guild, guildSettings.welcome_channel_id);
+
+    if (!welcomeChannel) {
+        console.log(`❌ No suitable welcome channel found in ${guild.name}`);
+        return;
+    }
+
+    const data = { user, guild, member, inviter, locale: resolveLocale(guild, guildSettings) };
+
+    // Send a welcome card image if the guild uses them, otherwise (or if rendering
+    // fails) build the welcome post from the guild's format and embed layout
+    const welcomeCard = guildSettings.welcome_card_enabled
+        ? await buildWelcomeCardPost(guildSettings, data)
+        : null;
+    const welcomePost = welcomeCard || buildWelcomeMessage(guildSettings, data);
+
+    // Send welcome message in server
+    await welcomeChannel.send(welcomePost);
+
+    console.log(`✅ Server welcome message sent for ${user.username} in ${guild.name}`);
+
+    // Build the guild's DM welcome (text or embed, may be turned off)
+    const dmMessage = buildWelcomeDm(guildSettings, data);
+
+    if (!dmMessage) {
+        console.log(`⏭️ DM welcome disabled in ${guild.name}`);
+        return;
+    }
+
+    // Send direct message to user
+    try {
+        await user.send(dmMessage);
+        console.log(`✅ DM welcome message sent to ${user.username}`);
+    } catch (dmError) {
+        console.log(`⚠️ Could not send DM to ${user.username}: ${dmError.message}`);
+        // This is normal - some users have DMs disabled
+    }
+}
+
+module.exports = {
+    sendWelcome
+};
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron } = require('../src/utils/cron');
+const { getNextRun, parseScheduleTime } = require('../src/utils/schedule');
+
+/**
+ * Run getNextRun and return the result as an ISO string
+ * @param {string} recurrence - Cron expression
+ * @param {string} after - ISO timestamp
+ * @returns {string|null} Next run
+ */
+function nextRun(recurrence, after) {
+    return getNextRun(recurrence, new Date(after))?.toISOString() ?? null;
+}
+
+describe('getNextRun', () => {
+    it('finds the next matching weekday', () => {
+        // 2026-01-01 is a Thursday
+        assert.equal(nextRun('0 18 * * FRI', '2026-01-01T00:00:00Z'), '2026-01-02T18:00:00.000Z');
+    });
+
+    it('only returns runs strictly after the given time', () => {
+        assert.equal(nextRun('0 18 * * FRI', '2026-01-02T18:00:00Z'), '2026-01-09T18:00:00.000Z');
+        assert.equal(nextRun('@daily', '2026-01-01T00:00:00Z'), '2026-01-02T00:00:00.000Z');
+    });
+
+    it('handles steps, ranges and lists', () => {
+        assert.equal(nextRun('*/15 * * * *', '2026-01-01T10:07:30Z'), '2026-01-01T10:15:00.000Z');
+        assert.equal(nextRun('5/15 * * * *', '2026-01-01T10:21:00Z'), '2026-01-01T10:35:00.000Z');
+        assert.equal(nextRun('0 9-17/4 * * *', '2026-01-01T13:30:00Z'), '2026-01-01T17:00:00.000Z');
+        assert.equal(nextRun('30 8 1,15 * *', '2026-01-02T00:00:00Z'), '2026-01-15T08:30:00.000Z');
+    });
+
+    it('accepts month names and 7 for Sunday', () => {
+        assert.equal(nextRun('0 12 1 JUN *', '2026-01-01T00:00:00Z'), '2026-06-01T12:00:00.000Z');
+        assert.equal(nextRun('0 0 * * 7', '2026-01-01T00:00:00Z'), '2026-01-04T00:00:00.000Z');
+    });
+
+    it('rolls over into the next year', () => {
+        assert.equal(nextRun('@monthly', '2026-12-15T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+    });
+
+    it('runs on either day when both day fields are restricted', () => {
+        assert.equal(nextRun('0 9 1 * MON', '2026-01-01T10:00:00Z'), '2026-01-05T09:00:00.000Z');
+    });
+
+    it('waits for a leap day and gives up on dates that never come', () => {
+        assert.equal(nextRun('0 0 29 2 *', '2026-01-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+        assert.equal(nextRun('0 0 30 2 *', '2026-01-01T00:00:00Z'), null);
+    });
+
+    it('returns null for invalid expressions', () => {
+        assert.equal(nextRun('not a cron', '2026-01-01T00:00:00Z'), null);
+    });
+});
+
+describe('parseCron', () => {
+    it('rejects out-of-range, reversed and malformed fields', () => {
+        for (const expression of ['60 * * * *', '* 24 * * *', '5-1 * * * *', '*/0 * * * *', '* * * *', '* * * * * *', '* * * FOO *', '']) {
+            assert.equal(parseCron(expression), null, expression);
+        }
+    });
+
+    it('expands aliases', () => {
+        const schedule = parseCron('@hourly');
+        assert.deepEqual([...schedule.minute], [0]);
+        assert.equal(schedule.hour.size, 24);
+    });
+});
+
+describe('parseScheduleTime', () => {
+    it('reads UTC times, offsets and Discord timestamps', () => {
+        assert.equal(parseScheduleTime('2026-12-31 18:00').toISOString(), '2026-12-31T18:00:00.000Z');
+        assert.equal(parseScheduleTime('2026-12-31T18:00+02:00').toISOString(), '2026-12-31T16:00:00.000Z');
+        assert.equal(parseScheduleTime('<t:1767225600:F>').toISOString(), '2026-01-01T00:00:00.000Z');
+    });
+
+    it('rejects anything else', () => {
+        assert.equal(parseScheduleTime('tomorrow'), null);
+        assert.equal(parseScheduleTime('2026-13-40 25:00'), null);
+    });
+});
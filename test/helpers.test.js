@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUrl, extractUrls, detectUrlChanges, isPublicHttpsUrl } = require('../src/utils/helpers');
+
+describe('normalizeUrl', () => {
+    it('drops the scheme, www., default port, fragment and trailing slash', () => {
+        assert.equal(normalizeUrl('HTTPS://WWW.Example.com:443/Path/?q=1#frag'), 'example.com/Path?q=1');
+    });
+
+    it('treats a bare domain like an https URL', () => {
+        assert.equal(normalizeUrl('example.com'), normalizeUrl('https://example.com/'));
+    });
+
+    it('keeps non-default ports', () => {
+        assert.equal(normalizeUrl('http://example.com:8080/a/'), 'example.com:8080/a');
+    });
+
+    it('rejects empty input and hosts without a dot', () => {
+        assert.equal(normalizeUrl(''), null);
+        assert.equal(normalizeUrl(null), null);
+        assert.equal(normalizeUrl('http://localhost'), null);
+    });
+});
+
+describe('extractUrls', () => {
+    it('finds markdown, suppressed and bare links once each', () => {
+        const content = 'see [docs](https://example.com/docs), <https://www.example.com/docs> and other.org/page.';
+        assert.deepEqual(extractUrls(content), ['example.com/docs', 'other.org/page']);
+    });
+
+    it('returns nothing for plain text', () => {
+        assert.deepEqual(extractUrls('no links here.'), []);
+        assert.deepEqual(extractUrls(''), []);
+    });
+});
+
+describe('detectUrlChanges', () => {
+    it('ignores the same link written differently', () => {
+        const result = detectUrlChanges('see https://a.com', 'see <https://www.a.com/>');
+        assert.equal(result.hasChangedUrls, false);
+        assert.deepEqual(result.addedUrls, []);
+    });
+
+    it('reports links added to a message that had none', () => {
+        const result = detectUrlChanges('hi', 'see [x](https://b.com/x).');
+        assert.equal(result.hasChangedUrls, true);
+        assert.equal(result.type, 'added');
+        assert.deepEqual(result.addedUrls, ['b.com/x']);
+    });
+
+    it('reports a link swapped for another', () => {
+        const result = detectUrlChanges('see a.com/x', 'see b.com/y');
+        assert.equal(result.hasChangedUrls, true);
+        assert.equal(result.type, 'modified');
+        assert.deepEqual(result.addedUrls, ['b.com/y']);
+        assert.deepEqual(result.removedUrls, ['a.com/x']);
+    });
+
+    it('ignores links that were only removed', () => {
+        const result = detectUrlChanges('a.com/x b.com/y', 'a.com/x');
+        assert.equal(result.hasChangedUrls, false);
+        assert.deepEqual(result.removedUrls, ['b.com/y']);
+    });
+});
+
+describe('isPublicHttpsUrl', () => {
+    it('accepts https URLs on public hosts', () => {
+        assert.equal(isPublicHttpsUrl('https://i.imgur.com/a.png'), true);
+        assert.equal(isPublicHttpsUrl('https://8.8.8.8/a.png'), true);
+        assert.equal(isPublicHttpsUrl('https://172.32.0.1/a.png'), true);
+    });
+
+    it('rejects other schemes and invalid URLs', () => {
+        assert.equal(isPublicHttpsUrl('http://i.imgur.com/a.png'), false);
+        assert.equal(isPublicHttpsUrl('file:///etc/passwd'), false);
+        assert.equal(isPublicHttpsUrl('not a url'), false);
+    });
+
+    it('rejects loopback, private and link-local hosts', () => {
+        for (const url of [
+            'https://localhost/a.png',
+            'https://127.0.0.1/a.png',
+            'https://2130706433/a.png',
+            'https://0.0.0.0/a.png',
+            'https://10.1.2.3/a.png',
+            'https://172.20.0.1/a.png',
+            'https://192.168.1.1/a.png',
+            'https://169.254.169.254/latest',
+            'https://[::1]/a.png',
+            'https://[fd00::1]/a.png',
+            'https://[::ffff:127.0.0.1]/a.png',
+            'https://intranet/a.png'
+        ]) {
+            assert.equal(isPublicHttpsUrl(url), false, url);
+        }
+    });
+});
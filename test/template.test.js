@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Collection } = require('discord.js');
+const { renderTemplate, validateTemplate, describeTemplateErrors } = require('../src/utils/template');
+
+const guild = {
+    name: 'Giggles HQ',
+    memberCount: 100,
+    channels: { cache: new Collection([['1', { id: '1', name: 'rules' }]]) },
+    roles: { cache: new Collection([['2', { id: '2', name: 'Members' }]]) }
+};
+const user = { id: '42', username: 'newbie', createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) };
+
+describe('renderTemplate', () => {
+    it('fills in placeholders', () => {
+        assert.equal(renderTemplate('Welcome {user} to {guild}!', { user, guild }), 'Welcome <@42> to Giggles HQ!');
+    });
+
+    it('writes ordinals and durations in the locale', () => {
+        assert.equal(renderTemplate('{membercount_ordinal} member', { guild }), '100th member');
+        assert.equal(renderTemplate('{account_age}', { user }), '3 days');
+    });
+
+    it('mentions channels and roles by name and falls back to plain text', () => {
+        assert.equal(renderTemplate('{channel:Rules} {role:members} {channel:missing}', { guild }), '<#1> <@&2> #missing');
+    });
+
+    it('renders missing values as empty text', () => {
+        assert.equal(renderTemplate('[{inviter}]', {}), '[]');
+    });
+
+    it('leaves unknown placeholders and escaped braces as written', () => {
+        assert.equal(renderTemplate('{nope} \\{user\\}', { user }), '{nope} {user}');
+    });
+
+    it('picks the branch of a condition', () => {
+        const template = '{if membercount == 100}Milestone!{else}Hi{/if}';
+        assert.equal(renderTemplate(template, { guild }), 'Milestone!');
+        assert.equal(renderTemplate(template, { guild: { ...guild, memberCount: 99 } }), 'Hi');
+    });
+
+    it('supports modulo conditions and nesting', () => {
+        const template = '{if membercount % 50 == 0}{if inviter}invited{else}round{/if}{/if}';
+        assert.equal(renderTemplate(template, { guild }), 'round');
+        assert.equal(renderTemplate(template, { guild: { ...guild, memberCount: 101 } }), '');
+    });
+
+    it('treats a missing value as unequal to anything', () => {
+        assert.equal(renderTemplate('{if inviter != x}yes{/if}', {}), 'yes');
+        assert.equal(renderTemplate('{if inviter == x}yes{/if}', {}), '');
+    });
+});
+
+describe('validateTemplate', () => {
+    it('accepts a well-formed template', () => {
+        const result = validateTemplate('Hi {user}{if membercount > 10}!{/if} See {channel:rules}');
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.errors, []);
+        assert.deepEqual(result.unknownPlaceholders, []);
+    });
+
+    it('lists unknown placeholders once each', () => {
+        const result = validateTemplate('{usr} {usr} {if foo}x{/if}');
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.unknownPlaceholders, ['usr', 'foo']);
+    });
+
+    it('reports unbalanced conditionals', () => {
+        assert.deepEqual(validateTemplate('{if user}a').errors, [{ key: 'unclosed_if', values: { count: 1 } }]);
+        assert.deepEqual(validateTemplate('a{/if}').errors, [{ key: 'unmatched_endif' }]);
+        assert.deepEqual(validateTemplate('{else}').errors, [{ key: 'unmatched_else' }]);
+        assert.deepEqual(validateTemplate('{if user}a{else}b{else}c{/if}').errors, [{ key: 'unmatched_else' }]);
+    });
+
+    it('reports malformed conditions', () => {
+        const result = validateTemplate('{if membercount ~ 3}x{/if}');
+        assert.equal(result.valid, false);
+        assert.equal(result.errors[0].key, 'invalid_condition');
+    });
+});
+
+describe('describeTemplateErrors', () => {
+    it('names the unknown placeholders and lists the available ones', () => {
+        const description = describeTemplateErrors(validateTemplate('{usr}'));
+        assert.match(description, /`\{usr\}`/);
+        assert.match(description, /`\{membercount_ordinal\}`/);
+    });
+});